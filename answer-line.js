@@ -0,0 +1,189 @@
+/**
+ * Quizbowl-style answer lines
+ * Each entry in a question's answers array is an accepted answer, with optional words in
+ * square brackets ("[THE] RAVEN"), or a directive: "PROMPT ON BIRD" asks the student to be
+ * more specific and "DO NOT ACCEPT CROW" (or "REJECT CROW") rules an answer out. Directives
+ * can also follow an answer in parentheses: "RAVEN (PROMPT ON BIRD; DO NOT ACCEPT CROW)".
+ * "ALL OF: CAPULET[S], MONTAGUE[S]" is a list whose comma-separated parts can be given in any order
+ */
+
+// Directive keywords and the list each adds to; longer phrases come first
+const DIRECTIVES = [
+    { pattern: /^DO NOT ACCEPT\b:?\s*/i, list: 'reject' },
+    { pattern: /^REJECT\b:?\s*/i, list: 'reject' },
+    { pattern: /^PROMPT ON\b:?\s*/i, list: 'prompt' },
+    { pattern: /^PROMPT\s*:\s*/i, list: 'prompt' },
+    { pattern: /^ACCEPT\b:?\s*/i, list: 'accept' },
+    { pattern: /^ALL OF\b:?\s*/i, list: 'parts' }
+];
+
+// Separates the answers a directive names ("PROMPT ON BIRD OR BLACKBIRD")
+const ALTERNATIVE_SEPARATOR = /\s*,\s*|\s+OR\s+/i;
+
+// Separates the items of a list answer ("MONTAGUES, CAPULETS", "YIN & YANG"), kept by split()
+const LIST_SEPARATOR = /(\s*(?:,|&|\bAND\b)\s*)/i;
+
+// Most optional groups expanded in one answer (2^n forms)
+const MAX_OPTIONAL_GROUPS = 6;
+
+/**
+ * Finds the directive a clause starts with
+ * @param {string} clause - Answer entry or parenthetical clause
+ * @returns {Object|null} { list, text } with the rest of the clause, or null if it isn't a directive
+ */
+function readDirective(clause) {
+    for (const { pattern, list } of DIRECTIVES) {
+        const match = clause.match(pattern);
+        if (match) {
+            return { list, text: clause.slice(match[0].length) };
+        }
+    }
+    return null;
+}
+
+/**
+ * Lists every way an answer can be written with its optional words left in or out
+ * "[THE] RAVEN" gives "THE RAVEN" and "RAVEN"; text with unbalanced brackets is kept as written
+ * @param {string} answer - Answer with optional words in square brackets
+ * @returns {string[]} Forms of the answer, the full form first
+ */
+export function expandOptionalWords(answer) {
+    if (!/^[^[\]]*(\[[^[\]]*\][^[\]]*)*$/.test(answer)) {
+        return [answer];
+    }
+    
+    const parts = answer.split(/(\[[^\]]*\])/);
+    const groups = parts.filter(part => part.startsWith('['));
+    if (groups.length === 0 || groups.length > MAX_OPTIONAL_GROUPS) {
+        return [answer.replace(/[[\]]/g, '')];
+    }
+    
+    const forms = [];
+    for (let mask = 0; mask < 2 ** groups.length; mask++) {
+        let group = 0;
+        const form = parts.map(part => {
+            if (!part.startsWith('[')) return part;
+            return (mask >> group++) & 1 ? '' : part.slice(1, -1);
+        }).join('').replace(/\s+/g, ' ').trim();
+        
+        if (form && !forms.includes(form)) {
+            forms.push(form);
+        }
+    }
+    return forms;
+}
+
+/**
+ * Adds the answers a directive names to a list
+ * @param {string[]} list - List to add to
+ * @param {string} text - Directive text after the keyword
+ */
+function addAlternatives(list, text) {
+    text.split(ALTERNATIVE_SEPARATOR)
+        .map(alternative => alternative.trim())
+        .filter(Boolean)
+        .forEach(alternative => list.push(...expandOptionalWords(alternative)));
+}
+
+/**
+ * Splits a list answer into its items
+ * @param {string} text - Answer text
+ * @returns {string[]} Items alternating with the separators between them, so
+ *   slice(2 * i, 2 * j - 1).join('') is items i to j - 1 as written
+ */
+export function splitList(text) {
+    return text.split(LIST_SEPARATOR);
+}
+
+/**
+ * Adds a list of required parts from an ALL OF directive
+ * Parts are separated by commas, so a part can contain AND ("ROMEO AND JULIET"), and OR
+ * separates a part's alternatives. The list is also accepted in order, joined with AND
+ * @param {Object} line - Answer line being built
+ * @param {string} text - Directive text after ALL OF
+ */
+function addPartList(line, text) {
+    const parts = text.split(',')
+        .filter(item => item.trim())
+        .map(item => item.trim().split(/\s+OR\s+/i).flatMap(expandOptionalWords));
+    if (parts.length === 0) return;
+    
+    const listText = parts.map(alternatives => alternatives[0]).join(' AND ');
+    line.lists.push({ text: listText, parts });
+    line.accept.push(listText);
+    line.display = line.display || listText;
+}
+
+/**
+ * Adds a directive's answers to an answer line
+ * @param {Object} line - Answer line being built
+ * @param {Object} directive - Directive from readDirective
+ */
+function addDirective(line, directive) {
+    if (directive.list === 'parts') {
+        addPartList(line, directive.text);
+    } else {
+        addAlternatives(line[directive.list], directive.text);
+    }
+}
+
+/**
+ * Reads a question's answers array as an answer line
+ * @param {string[]} answers - Answers as written in the bank
+ * @returns {Object} { accept, prompt, reject, lists, display }: the forms to accept, prompt on
+ *   and reject, the ALL OF lists as { text, parts } with each part's accepted forms, and the
+ *   first accepted answer as written (directives removed) for display
+ */
+export function parseAnswerLine(answers) {
+    const line = { accept: [], prompt: [], reject: [], lists: [], display: '' };
+    
+    answers.forEach(entry => {
+        const directive = readDirective(entry.trim());
+        if (directive) {
+            addDirective(line, directive);
+            return;
+        }
+        
+        // "(PROMPT ON BIRD; DO NOT ACCEPT CROW)" after an answer; other parentheses are part of it
+        const answer = entry.replace(/\(([^()]*)\)/g, (group, inside) => {
+            const clauses = inside.split(';').map(clause => readDirective(clause.trim()));
+            if (clauses.some(clause => !clause)) {
+                return group;
+            }
+            clauses.forEach(clause => addDirective(line, clause));
+            return '';
+        }).replace(/\s+/g, ' ').trim();
+        
+        if (answer) {
+            line.accept.push(...expandOptionalWords(answer));
+            line.display = line.display || answer;
+        }
+    });
+    
+    return line;
+}
+
+/**
+ * Finds answer-line syntax a writer probably got wrong
+ * @param {string[]} answers - Answers as written in the bank
+ * @returns {string[]} Problem descriptions
+ */
+export function findAnswerLineProblems(answers) {
+    const problems = [];
+    
+    answers.forEach(entry => {
+        const brackets = entry.replace(/[^[\]]/g, '');
+        if (!/^(\[\])*$/.test(brackets)) {
+            problems.push(`Answer "${entry}" has unbalanced or nested square brackets`);
+        } else if (brackets.length / 2 > MAX_OPTIONAL_GROUPS) {
+            problems.push(`Answer "${entry}" has more than ${MAX_OPTIONAL_GROUPS} bracketed optional words`);
+        }
+        
+        const directive = readDirective(entry.trim());
+        if (directive?.list === 'parts' && parseAnswerLine([entry]).lists[0]?.parts.length < 2) {
+            problems.push(`List answer "${entry}" needs at least two parts, separated by commas`);
+        }
+    });
+    
+    return problems;
+}
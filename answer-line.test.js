@@ -0,0 +1,85 @@
+/**
+ * Tests for quizbowl answer lines (answer-line.js)
+ * Run with: npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { expandOptionalWords, splitList, parseAnswerLine, findAnswerLineProblems } from './answer-line.js';
+import { VERDICT, TYPO_TOLERANCE, isCorrect } from './normalize.js';
+
+describe('expandOptionalWords', () => {
+    test('lists every form with the optional words in or out, full form first', () => {
+        assert.deepEqual(expandOptionalWords('[THE] RAVEN'), ['THE RAVEN', 'RAVEN']);
+        assert.deepEqual(expandOptionalWords('[SIR] ISAAC [NEWTON]'), ['SIR ISAAC NEWTON', 'ISAAC NEWTON', 'SIR ISAAC', 'ISAAC']);
+    });
+    
+    test('keeps an answer with unbalanced brackets as written', () => {
+        assert.deepEqual(expandOptionalWords('[THE RAVEN'), ['[THE RAVEN']);
+    });
+});
+
+describe('parseAnswerLine', () => {
+    test('reads prompt and reject directives as their own entries', () => {
+        const line = parseAnswerLine(['[THE] RAVEN', 'PROMPT ON BIRD OR BLACKBIRD', 'DO NOT ACCEPT CROW']);
+        assert.deepEqual(line.accept, ['THE RAVEN', 'RAVEN']);
+        assert.deepEqual(line.prompt, ['BIRD', 'BLACKBIRD']);
+        assert.deepEqual(line.reject, ['CROW']);
+        assert.equal(line.display, '[THE] RAVEN');
+    });
+    
+    test('reads directives in parentheses after an answer', () => {
+        const line = parseAnswerLine(['CURRANT (PROMPT ON BERRY; REJECT CURRENT)']);
+        assert.deepEqual(line, { accept: ['CURRANT'], prompt: ['BERRY'], reject: ['CURRENT'], lists: [], display: 'CURRANT' });
+    });
+    
+    test('keeps other parentheses as part of the answer', () => {
+        assert.deepEqual(parseAnswerLine(['GEORGE III (OF ENGLAND)']).accept, ['GEORGE III (OF ENGLAND)']);
+    });
+});
+
+describe('list answers', () => {
+    test('reads ALL OF parts with their optional words and alternatives', () => {
+        const line = parseAnswerLine(['ALL OF: CAPULET[S], MONTAGUE[S] OR VERONESE']);
+        assert.deepEqual(line.lists, [{
+            text: 'CAPULETS AND MONTAGUES',
+            parts: [['CAPULETS', 'CAPULET'], ['MONTAGUES', 'MONTAGUE', 'VERONESE']]
+        }]);
+        assert.deepEqual(line.accept, ['CAPULETS AND MONTAGUES']);
+    });
+    
+    test('splits typed lists on and, commas and &, keeping the separators', () => {
+        assert.deepEqual(splitList('Montague, Capulet & Tudor and York'),
+            ['Montague', ', ', 'Capulet', ' & ', 'Tudor', ' and ', 'York']);
+    });
+});
+
+describe('findAnswerLineProblems', () => {
+    test('flags unbalanced and nested brackets', () => {
+        assert.equal(findAnswerLineProblems(['[THE RAVEN']).length, 1);
+        assert.equal(findAnswerLineProblems(['[[THE]] RAVEN']).length, 1);
+        assert.deepEqual(findAnswerLineProblems(['[THE] RAVEN']), []);
+    });
+    
+    test('flags a list with only one part', () => {
+        assert.equal(findAnswerLineProblems(['ALL OF: CAPULETS AND MONTAGUES']).length, 1);
+    });
+});
+
+describe('isCorrect verdicts', () => {
+    const answers = ['[THE] RAVEN', 'PROMPT ON BIRD', 'DO NOT ACCEPT CROW'];
+    
+    test('accepts the answer with or without its optional words', () => {
+        assert.equal(isCorrect('Raven', answers), VERDICT.CORRECT);
+        assert.equal(isCorrect('the raven', answers), VERDICT.CORRECT);
+    });
+    
+    test('prompts on a less specific answer', () => {
+        assert.equal(isCorrect('bird', answers), VERDICT.PROMPT);
+    });
+    
+    test('rejects a do-not-accept answer even when it is close to an accepted one', () => {
+        assert.equal(isCorrect('crow', answers), VERDICT.INCORRECT);
+        assert.equal(isCorrect('CURRENT', ['CURRANT', 'DO NOT ACCEPT CURRENT'], { tolerance: TYPO_TOLERANCE.LENIENT }), VERDICT.INCORRECT);
+    });
+});
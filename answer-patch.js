@@ -0,0 +1,166 @@
+/**
+ * Accepted answer patches
+ * Collects the answers students marked as right with "I was right" into a patch a coach
+ * can review and apply, appending each answer to its question's answers in the bank file
+ */
+
+import { normalize } from './normalize.js';
+import { parseAnswerLine } from './answer-line.js';
+import { resolveQuestionId, toFileQuestionId } from './identity.js';
+import { createBankParser } from './parser.js';
+import { BANK_FILE_TYPES, getBankFileType, serializeField, parseBankFile, exportBank } from './convert.js';
+
+// Version of the patch format written by buildAnswerPatch
+const ANSWER_PATCH_VERSION = 1;
+
+// Position of the answers field in a flat-format line
+const ANSWERS_FIELD = 2;
+
+/**
+ * Builds a patch from the accepted answers recorded on this device
+ * Answers recorded before a bank edit moved their question's ID are filed under the new ID
+ * @param {Array} records - Accepted answer records ({ id, file, category, question, answers })
+ * @param {Map} [migrations] - Old question ID to new ID (see resolveQuestionId)
+ * @returns {Object} Patch with version, exportedAt and banks as { file, questions } where each
+ *   question is { id, category, question, answers }
+ */
+export function buildAnswerPatch(records, migrations = new Map()) {
+    const banks = new Map();
+    
+    records.forEach(record => {
+        const id = resolveQuestionId(record.id, migrations);
+        if (!banks.has(record.file)) {
+            banks.set(record.file, new Map());
+        }
+        const questions = banks.get(record.file);
+        if (!questions.has(id)) {
+            questions.set(id, { id, category: record.category, question: record.question, answers: [] });
+        }
+        
+        const entry = questions.get(id);
+        record.answers
+            .filter(answer => !entry.answers.includes(answer))
+            .forEach(answer => entry.answers.push(answer));
+    });
+    
+    return {
+        version: ANSWER_PATCH_VERSION,
+        exportedAt: new Date().toISOString(),
+        banks: [...banks].map(([file, questions]) => ({ file, questions: [...questions.values()] }))
+    };
+}
+
+/**
+ * Lists the answers a question doesn't accept yet
+ * @param {Object} question - Parsed question
+ * @param {string[]} answers - Answers from the patch
+ * @returns {string[]} Answers to append, without ones the answer line already accepts
+ */
+function findNewAnswers(question, answers) {
+    const known = new Set(parseAnswerLine(question.answers).accept.map(answer => normalize(answer)));
+    
+    return answers.filter(answer => {
+        const key = normalize(answer);
+        if (!key || known.has(key)) return false;
+        known.add(key);
+        return true;
+    });
+}
+
+/**
+ * Finds where one field of a flat-format line starts and ends
+ * @param {string} line - Raw line
+ * @param {number} index - Field position
+ * @returns {number[]} Start and end offsets of the field as written
+ */
+function findFieldBounds(line, index) {
+    let field = 0;
+    let start = 0;
+    
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '\\') {
+            // Skip the escaped character (see splitOnUnescapedSemicolons)
+            i++;
+        } else if (line[i] === ';') {
+            if (field === index) {
+                return [start, i];
+            }
+            field++;
+            start = i + 1;
+        }
+    }
+    
+    return [start, line.length];
+}
+
+/**
+ * Appends answers to the answers field of a flat-format line, leaving the rest as written
+ * @param {string} line - Raw question line
+ * @param {string[]} answers - Answers to append
+ * @returns {string} Updated line
+ */
+function appendAnswers(line, answers) {
+    const [start, end] = findFieldBounds(line, ANSWERS_FIELD);
+    const field = line.slice(start, end);
+    // Follow the line's own spacing: ["A", "B"] or ["A","B"]
+    const separator = /",\s+"/.test(field) ? ', ' : ',';
+    const added = answers.map(answer => separator + serializeField(JSON.stringify(answer))).join('');
+    
+    return line.slice(0, start) + field.replace(/\](\s*)$/, `${added}]$1`) + line.slice(end);
+}
+
+/**
+ * Applies a patch's answers to one bank file
+ * Text banks only change on the lines that gain answers; CSV, TSV and JSON banks are
+ * written back whole in their own format
+ * @param {string} content - Bank file content
+ * @param {string} filename - Bank file name, whose extension picks the format
+ * @param {Array} entries - Patch questions for this bank ({ id, answers })
+ * @returns {Object} { content, added, questions, missing }: the patched file, the number of
+ *   answers appended, the questions that gained answers, and the IDs not found in the bank
+ */
+export function applyAnswerPatch(content, filename, entries) {
+    // Questions renamed to stay unique across banks are found under their ID in the file
+    const additions = new Map(entries.map(entry => [toFileQuestionId(entry.id), entry.answers]));
+    const found = new Set();
+    let added = 0;
+    let questions = 0;
+    
+    /**
+     * Works out the answers a question gains and counts them
+     * @param {Object} question - Parsed question
+     * @returns {string[]} Answers to append
+     */
+    const takeAnswers = (question) => {
+        if (!additions.has(question.id)) return [];
+        found.add(question.id);
+        const answers = findNewAnswers(question, additions.get(question.id));
+        added += answers.length;
+        questions += answers.length > 0 ? 1 : 0;
+        return answers;
+    };
+    
+    const type = getBankFileType(filename);
+    let patched;
+    if (type === BANK_FILE_TYPES.TEXT) {
+        const parser = createBankParser(filename);
+        patched = content.split('\n').map(line => {
+            const question = parser.parseLine(line);
+            const answers = question ? takeAnswers(question) : [];
+            return answers.length > 0 ? appendAnswers(line, answers) : line;
+        }).join('\n');
+    } else {
+        const bank = parseBankFile(content, filename);
+        bank.questions.forEach(question => {
+            question.answers.push(...takeAnswers(question));
+        });
+        patched = added > 0 ? exportBank(bank.questions, type) : content;
+    }
+    
+    return {
+        content: patched,
+        added,
+        questions,
+        missing: [...additions.keys()].filter(id => !found.has(id))
+    };
+}
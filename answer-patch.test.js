@@ -0,0 +1,81 @@
+/**
+ * Tests for accepted answer patches (answer-patch.js)
+ * Run with: npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuestionBank } from './parser.js';
+import { parseBankFile } from './convert.js';
+import { buildAnswerPatch, applyAnswerPatch } from './answer-patch.js';
+
+// A bank whose second question gains answers; the first has its answers spaced out
+const BANK = [
+    'Humanities>Geography;What is the capital of France?;["PARIS", "CITY OF LIGHT"];Freshman;NCAL',
+    'Languages>English Literature;Who wrote "The Birthday Party"?;["HAROLD PINTER"];Varsity;NCAL'
+].join('\n');
+
+/**
+ * Finds the generated ID of a question in BANK
+ * @param {number} index - Question position
+ * @returns {string} Question ID
+ */
+function idOf(index) {
+    return parseQuestionBank(BANK, 'bank.txt').questions[index].id;
+}
+
+describe('buildAnswerPatch', () => {
+    test('groups accepted answers by bank and question without repeats', () => {
+        const patch = buildAnswerPatch([
+            { id: 'q1', file: 'a.txt', category: 'Humanities>Geography', question: 'Q1', answers: ['LUTETIA'] },
+            { id: 'q1', file: 'a.txt', category: 'Humanities>Geography', question: 'Q1', answers: ['LUTETIA', 'PAREE'] },
+            { id: 'q2', file: 'b.txt', category: 'Science>Physics', question: 'Q2', answers: ['NEWTON'] }
+        ]);
+        assert.equal(patch.version, 1);
+        assert.deepEqual(patch.banks, [
+            { file: 'a.txt', questions: [{ id: 'q1', category: 'Humanities>Geography', question: 'Q1', answers: ['LUTETIA', 'PAREE'] }] },
+            { file: 'b.txt', questions: [{ id: 'q2', category: 'Science>Physics', question: 'Q2', answers: ['NEWTON'] }] }
+        ]);
+    });
+    
+    test('files answers under the question ID after a migration', () => {
+        const patch = buildAnswerPatch([{ id: 'old', file: 'a.txt', category: 'Math', question: 'Q', answers: ['4'] }], new Map([['old', 'new']]));
+        assert.equal(patch.banks[0].questions[0].id, 'new');
+    });
+});
+
+describe('applyAnswerPatch', () => {
+    test('appends answers to the right line of a text bank and leaves the rest as written', () => {
+        const result = applyAnswerPatch(BANK, 'bank.txt', [{ id: idOf(1), answers: ['PINTER', 'H. PINTER'] }]);
+        const lines = result.content.split('\n');
+        assert.equal(lines[0], BANK.split('\n')[0]);
+        assert.equal(lines[1], 'Languages>English Literature;Who wrote "The Birthday Party"?;["HAROLD PINTER","PINTER","H. PINTER"];Varsity;NCAL');
+        assert.deepEqual({ added: result.added, questions: result.questions, missing: result.missing }, { added: 2, questions: 1, missing: [] });
+    });
+    
+    test('follows the line spacing and skips answers the line already accepts', () => {
+        const result = applyAnswerPatch(BANK, 'bank.txt', [{ id: idOf(0), answers: ['the city of light', 'LUTETIA'] }]);
+        assert.equal(result.content.split('\n')[0], 'Humanities>Geography;What is the capital of France?;["PARIS", "CITY OF LIGHT", "LUTETIA"];Freshman;NCAL');
+        assert.equal(result.added, 1);
+    });
+    
+    test('finds a question renamed to stay unique across banks', () => {
+        const result = applyAnswerPatch(BANK, 'bank.txt', [{ id: `${idOf(1)}@bank.txt`, answers: ['PINTER'] }]);
+        assert.equal(result.added, 1);
+        assert.deepEqual(result.missing, []);
+    });
+    
+    test('reports question IDs the bank does not have', () => {
+        const result = applyAnswerPatch(BANK, 'bank.txt', [{ id: 'gone', answers: ['X'] }]);
+        assert.equal(result.content, BANK);
+        assert.deepEqual(result.missing, ['gone']);
+    });
+    
+    test('writes a CSV bank back whole with the new answers', () => {
+        const csv = 'category,question,answers,level,author\n'
+            + 'Humanities>Geography,What is the capital of France?,PARIS,Freshman,NCAL\n';
+        const [question] = parseBankFile(csv, 'bank.csv').questions;
+        const result = applyAnswerPatch(csv, 'bank.csv', [{ id: question.id, answers: ['LUTETIA'] }]);
+        assert.deepEqual(parseBankFile(result.content, 'bank.csv').questions[0].answers, ['PARIS', 'LUTETIA']);
+    });
+});
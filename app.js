@@ -4,12 +4,23 @@
  * timer functionality, and user interactions
  */
 
-import { parseQuestionBank } from './parser.js';
-import { isCorrect } from './normalize.js';
+import { parseBankText, parseBankUrl } from './parser-client.js';
+import { BANK_FILE_TYPES, BANK_FILE_EXTENSIONS, exportBank } from './convert.js';
+import { matchAnswer, isAcceptedResult, createMatchingPipelines, TYPO_TOLERANCE } from './normalize.js';
+import { toIdentityRecord, buildMigrationMap, resolveQuestionId, resolvePoolIds } from './identity.js';
+import { parseAnswerLine } from './answer-line.js';
+import { buildAnswerPatch } from './answer-patch.js';
+import { STUDY_MODES, getReviewQuality, scheduleReview, isDueToday, orderForReview } from './review.js';
+import { QUESTION_SOURCES, DEFAULT_CLEAR_STREAK, updateMissedEntry } from './missed-deck.js';
+import { parseMatchTemplate, pickRoundQuestions, findSubjectShortfalls, scoreMatchRound } from './match.js';
+import { STORES, getAllRecords, getRecord, putRecord, deleteRecord } from './storage.js';
 import {
     showScreen, updateTimerDisplay, setTimerPauseState, updateStats,
-    displayQuestion, showQuestionResult,
-    updateSubjectSelector, showParserErrors, hideParserErrors,
+    displayQuestion, showQuestionResult, showAnswerPrompt, showMatchTrace, formatPartCount,
+    stopTextReveal, showFullQuestion, setBuzzerWaiting, showBuzzResult,
+    renderMatchTemplates, showMatchIntermission, showMatchScoreboard,
+    updateSubjectSelector, toggleSubjectBranch, renderBankSelector, updateDuplicateOption, updateAcceptedAnswersExport, updateMissedDeckSource, showParserErrors, hideParserErrors, toggleParserIssueType, getParserIssueReport,
+    updateLoadingProgress, hideLoadingProgress,
     updateTimerValue, updateReadingSpeedValue, updateReadingSpeedPracticeValue, setStartButtonState, showSummary, announceStatus, announceError,
     updatePoolPreview, updateFilterTags, updateQuestionCounter, updateAccuracyDisplay,
     clearDomCache, clearFilterCache
@@ -23,11 +34,56 @@ const APP_CONSTANTS = {
     MAX_TIMER_VALUE: 60,
     MIN_READING_SPEED: 50,
     MAX_READING_SPEED: 500,
-    READING_SPEED_STEP: 25
+    READING_SPEED_STEP: 25,
+    DATA_DIR: 'data/',
+    BANK_MANIFEST_URL: 'data/banks.json'
+};
+
+// Where a bank came from
+const BANK_SOURCES = {
+    BUNDLED: 'bundled',
+    IMPORTED: 'imported'
+};
+
+// Bank used when no manifest can be loaded
+const DEFAULT_BANK = {
+    file: 'bank_sample.txt',
+    name: 'NCAL Sample Bank',
+    enabled: true
 };
 
 // Application state
 let appState = {
+    banks: [],
+    // Old question ID -> new ID, recorded when a bank edit changes IDs (see resolveQuestionId)
+    idMigrations: new Map(),
+    // Answers students marked as right, by question ID as recorded (see recordAcceptedAnswer)
+    acceptedAnswers: new Map(),
+    // Spaced-repetition schedule by current question ID (see review.js)
+    reviewSchedule: new Map(),
+    // Schedules as they were before this session, so a re-scored answer is rescheduled from the same point
+    reviewBase: new Map(),
+    studyMode: STUDY_MODES.SHUFFLE,
+    // Questions missed across sessions by current question ID (see missed-deck.js)
+    missedDeck: new Map(),
+    // Deck entries as they were before this session, like reviewBase
+    missedBase: new Map(),
+    questionSource: QUESTION_SOURCES.BANKS,
+    missedClearStreak: DEFAULT_CLEAR_STREAK,
+    // Session length limits; 0 means no limit
+    questionLimit: 0,
+    sessionTimeLimit: 0,
+    sessionTimeLeft: 0,
+    sessionClock: null,
+    // Buzzer mode: the answer timer waits for a buzz or the end of the reading
+    buzzerMode: false,
+    // Buzz on the current question ({ word, words }; see buzzer.js), null until buzzed or read
+    buzz: null,
+    // Match templates listed in the bank manifest ({ file, name })
+    matchTemplates: [],
+    // Match being played (see startMatch), or null
+    match: null,
+    skipDuplicates: false,
     questions: [],
     filteredQuestions: [],
     currentQuestionIndex: 0,
@@ -35,6 +91,13 @@ let appState = {
     sessionStartTime: null,
     timeAllocated: APP_CONSTANTS.DEFAULT_TIME_ALLOCATED,
     readingSpeed: APP_CONSTANTS.DEFAULT_READING_SPEED,
+    typoTolerance: TYPO_TOLERANCE.STRICT,
+    accentStrict: false,
+    acceptSurnames: true,
+    // Answer-matching stages by category, from the bank manifest (see applyMatchingConfig)
+    matchingPipelines: createMatchingPipelines(),
+    traceMatching: false,
+    promptedAnswers: [],
     timer: null,
     isPaused: false,
     isSessionActive: false,
@@ -66,7 +129,7 @@ function shuffleArray(array) {
  */
 function calculateStats(userAnswers) {
     return userAnswers.reduce((acc, answer) => {
-        if (answer?.correctness === 'Correct') {
+        if (isAcceptedResult(answer?.correctness)) {
             acc.correct++;
         } else if (answer?.correctness) {
             acc.incorrect++;
@@ -384,23 +447,53 @@ function initializeElements() {
         selectAll: document.getElementById('select-all'),
         clearAll: document.getElementById('clear-all'),
         resetFilters: document.getElementById('reset-filters'),
+        bankSelector: document.getElementById('bank-selector'),
+        bankDropZone: document.getElementById('bank-drop-zone'),
+        bankFileInput: document.getElementById('bank-file-input'),
+        chooseBankFiles: document.getElementById('choose-bank-files'),
+        skipDuplicates: document.getElementById('skip-duplicates'),
+        exportFormat: document.getElementById('export-format'),
+        exportAcceptedAnswers: document.getElementById('export-accepted-answers'),
+        studyMode: document.getElementById('study-mode'),
+        questionSource: document.getElementById('session-source'),
+        missedClearStreak: document.getElementById('missed-clear-streak'),
+        buzzerMode: document.getElementById('buzzer-mode'),
+        questionLimit: document.getElementById('question-limit'),
+        matchTemplate: document.getElementById('match-template'),
+        startMatch: document.getElementById('start-match'),
+        sessionTimeLimit: document.getElementById('session-time-limit'),
+        typoTolerance: document.getElementById('typo-tolerance'),
+        accentStrict: document.getElementById('accent-strict'),
+        acceptSurnames: document.getElementById('accept-surnames'),
+        showMatchTrace: document.getElementById('show-match-trace'),
         
         // Practice screen
         backToSetup: document.getElementById('back-to-setup'),
+        endSessionNow: document.getElementById('end-session'),
         answerInput: document.getElementById('answer-input'),
         submitAnswer: document.getElementById('submit-answer'),
+        buzzIn: document.getElementById('buzz-in'),
         nextQuestion: document.getElementById('next-question'),
+        acceptOwnAnswer: document.getElementById('accept-own-answer'),
         pauseTimer: document.getElementById('pause-timer'),
         
         // Summary screen
         backToPractice: document.getElementById('back-to-practice'),
+        missedTable: document.getElementById('missed-table'),
+        drillMissed: document.getElementById('drill-missed'),
         newSession: document.getElementById('new-session'),
         
+        // Match screen
+        nextRound: document.getElementById('next-round'),
+        endMatch: document.getElementById('end-match'),
+        leaveMatch: document.getElementById('leave-match'),
+        
         // Error handling
         copyErrors: document.getElementById('copy-errors'),
-        dismissErrors: document.getElementById('dismiss-errors')
+        dismissErrors: document.getElementById('dismiss-errors'),
+        errorFilters: document.getElementById('error-filters')
     };
-    
+
 }
 
 /**
@@ -435,21 +528,133 @@ function setupEventListeners() {
         elements.clearAll.addEventListener('click', clearAllSubjects);
     }
     
+    // Bank selection
+    if (elements.bankSelector) {
+        elements.bankSelector.addEventListener('change', handleBankToggle);
+        elements.bankSelector.addEventListener('click', handleBankAction);
+    }
+    
+    // Bank import
+    setupBankImport();
+    
+    if (elements.exportAcceptedAnswers) {
+        elements.exportAcceptedAnswers.addEventListener('click', exportAcceptedAnswers);
+    }
+    
+    // Duplicate question handling
+    if (elements.skipDuplicates) {
+        elements.skipDuplicates.addEventListener('change', (e) => {
+            appState.skipDuplicates = e.target.checked;
+            applyBankSelection();
+            announceStatus(appState.skipDuplicates ? 'Duplicate questions skipped' : 'Duplicate questions included');
+        });
+    }
+    
+    // Questions from the checked banks or the missed deck
+    if (elements.questionSource) {
+        elements.questionSource.addEventListener('change', (e) => {
+            appState.questionSource = e.target.value;
+            updatePoolPreview();
+            updateFilterTags();
+        });
+    }
+    
+    if (elements.missedClearStreak) {
+        elements.missedClearStreak.addEventListener('change', (e) => {
+            appState.missedClearStreak = parseInt(e.target.value) || DEFAULT_CLEAR_STREAK;
+        });
+    }
+    
+    if (elements.buzzerMode) {
+        elements.buzzerMode.addEventListener('change', (e) => {
+            appState.buzzerMode = e.target.checked;
+            updateFilterTags();
+        });
+    }
+    
+    // Session length
+    if (elements.questionLimit) {
+        elements.questionLimit.addEventListener('change', (e) => {
+            appState.questionLimit = parseInt(e.target.value) || 0;
+            updateFilterTags();
+        });
+    }
+    
+    if (elements.sessionTimeLimit) {
+        elements.sessionTimeLimit.addEventListener('change', (e) => {
+            appState.sessionTimeLimit = parseInt(e.target.value) || 0;
+            updateFilterTags();
+        });
+    }
+    
+    // Shuffled or spaced-review question order
+    if (elements.studyMode) {
+        elements.studyMode.addEventListener('change', (e) => {
+            appState.studyMode = e.target.value;
+            updateFilterTags();
+        });
+    }
+    
+    // Typo tolerance for answer matching
+    if (elements.typoTolerance) {
+        elements.typoTolerance.addEventListener('change', (e) => {
+            appState.typoTolerance = e.target.value;
+            updateFilterTags();
+        });
+    }
+    
+    // Accent-strict grading for Languages questions
+    if (elements.accentStrict) {
+        elements.accentStrict.addEventListener('change', (e) => {
+            appState.accentStrict = e.target.checked;
+            updateFilterTags();
+        });
+    }
+    
+    // Surnames alone for person answers
+    if (elements.acceptSurnames) {
+        elements.acceptSurnames.addEventListener('change', (e) => {
+            appState.acceptSurnames = e.target.checked;
+            updateFilterTags();
+        });
+    }
+    
+    // Debugging view of the matching stages after each answer
+    if (elements.showMatchTrace) {
+        elements.showMatchTrace.addEventListener('change', (e) => {
+            appState.traceMatching = e.target.checked;
+        });
+    }
+    
     // Start practice
     if (elements.startPractice) {
         elements.startPractice.addEventListener('click', startPracticeSession);
     }
     
+    if (elements.startMatch) {
+        elements.startMatch.addEventListener('click', startMatch);
+    }
+    
     // Practice screen navigation
     if (elements.backToSetup) {
         elements.backToSetup.addEventListener('click', () => {
             if (confirm('Are you sure you want to end this session?')) {
                 endSession();
+                closeMatch();
                 showScreen('setup-screen');
             }
         });
     }
     
+    // End early and go to the summary; unanswered questions count as skipped
+    if (elements.endSessionNow) {
+        elements.endSessionNow.addEventListener('click', () => {
+            if (appState.isSessionActive) {
+                finishSession('Session ended');
+            }
+        });
+    }
+    
     // Answer submission
     if (elements.answerInput) {
         elements.answerInput.addEventListener('keydown', (e) => {
@@ -484,11 +689,19 @@ function setupEventListeners() {
         elements.submitAnswer.addEventListener('click', submitAnswer);
     }
     
+    if (elements.buzzIn) {
+        elements.buzzIn.addEventListener('click', buzzIn);
+    }
+    
     // Next question
     if (elements.nextQuestion) {
         elements.nextQuestion.addEventListener('click', nextQuestion);
     }
     
+    if (elements.acceptOwnAnswer) {
+        elements.acceptOwnAnswer.addEventListener('click', acceptCurrentAnswer);
+    }
+    
     // Timer controls
     if (elements.pauseTimer) {
         elements.pauseTimer.addEventListener('click', toggleTimerPause);
@@ -543,11 +756,37 @@ function setupEventListeners() {
         });
     }
     
+    // "I was right" on a missed question re-scores it and refreshes the summary
+    if (elements.missedTable) {
+        elements.missedTable.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-accept-answer]');
+            if (button && acceptOwnAnswer(Number(button.dataset.acceptAnswer))) {
+                showSessionSummary();
+            }
+        });
+    }
+    
+    if (elements.drillMissed) {
+        elements.drillMissed.addEventListener('click', drillMissedQuestions);
+    }
     
     if (elements.newSession) {
         elements.newSession.addEventListener('click', startNewSession);
     }
     
+    // Match screen
+    if (elements.nextRound) {
+        elements.nextRound.addEventListener('click', startMatchRound);
+    }
+    
+    if (elements.endMatch) {
+        elements.endMatch.addEventListener('click', finishMatch);
+    }
+    
+    if (elements.leaveMatch) {
+        elements.leaveMatch.addEventListener('click', startNewSession);
+    }
+    
     // Error handling
     if (elements.copyErrors) {
         elements.copyErrors.addEventListener('click', copyErrorDetails);
@@ -557,6 +796,15 @@ function setupEventListeners() {
         elements.dismissErrors.addEventListener('click', hideParserErrors);
     }
     
+    if (elements.errorFilters) {
+        elements.errorFilters.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-issue-type]');
+            if (button) {
+                toggleParserIssueType(button.dataset.issueType);
+            }
+        });
+    }
+    
     // Subject and level change listeners
     document.addEventListener('change', handleFilterChange);
     
@@ -580,11 +828,19 @@ function handleFilterChange(event) {
 
 /**
  * Handle section header clicks to select/deselect all subcategories
+ * The arrow button in a header expands or collapses the branch instead
  */
 function handleSectionHeaderClick(event) {
-    if (event.target.classList.contains('section-header')) {
-        const section = event.target.getAttribute('data-section');
-        const sectionGroup = event.target.closest('.subject-group');
+    const expandButton = event.target.closest('.subject-expand');
+    if (expandButton) {
+        toggleSubjectBranch(expandButton.closest('.subject-branch'));
+        return;
+    }
+    
+    const header = event.target.closest('.section-header');
+    if (header) {
+        const section = header.querySelector('.subject-name')?.textContent || header.getAttribute('data-section');
+        const sectionGroup = header.closest('.subject-branch');
         const checkboxes = sectionGroup.querySelectorAll('input[type="checkbox"]');
         
         // Check if all checkboxes in this section are selected
@@ -615,7 +871,7 @@ function updateSectionHeaderStates() {
     const sectionHeaders = document.querySelectorAll('.section-header');
     
     sectionHeaders.forEach(header => {
-        const sectionGroup = header.closest('.subject-group');
+        const sectionGroup = header.closest('.subject-branch');
         const checkboxes = sectionGroup.querySelectorAll('input[type="checkbox"]');
         const enabledCheckboxes = Array.from(checkboxes).filter(cb => !cb.disabled);
         
@@ -643,159 +899,893 @@ function updateSectionHeaderStates() {
 }
 
 /**
- * Load the question bank from file
+ * Use the answer-matching pipelines configured in the bank manifest
+ * A bad configuration is reported and the built-in pipelines are kept
+ * @param {Object} config - Stage lists by category (see createMatchingPipelines)
  */
-async function loadQuestionBank() {
+function applyMatchingConfig(config) {
     try {
-        setStartButtonState(true);
-        
-        const response = await fetch('data/bank_sample.txt');
+        appState.matchingPipelines = createMatchingPipelines(config);
+    } catch (error) {
+        console.warn('Ignoring answer matching settings in the bank manifest:', error);
+        announceError(`Answer matching settings ignored: ${error.message}`);
+    }
+}
+
+/**
+ * Load the bank manifest listing which question bank files to fetch
+ * Falls back to the bundled sample bank if the manifest is missing or malformed
+ * @returns {Promise<Array>} Bundled bank entries with file, name and enabled flag
+ */
+async function loadBankManifest() {
+    let entries;
+    
+    try {
+        const response = await fetch(APP_CONSTANTS.BANK_MANIFEST_URL);
         if (!response.ok) {
-            throw new Error(`Failed to load question bank: ${response.status}`);
+            throw new Error(`Failed to load bank manifest: ${response.status}`);
         }
         
-        const content = await response.text();
+        const manifest = await response.json();
+        if (!manifest || !Array.isArray(manifest.banks)) {
+            throw new Error('Bank manifest must contain a "banks" array');
+        }
+        if (manifest.matching !== undefined) {
+            applyMatchingConfig(manifest.matching);
+        }
+        if (Array.isArray(manifest.matches)) {
+            appState.matchTemplates = manifest.matches
+                .filter(match => match && typeof match.file === 'string' && match.file.trim())
+                .map(match => ({
+                    file: match.file.trim(),
+                    name: (typeof match.name === 'string' && match.name.trim()) || match.file.trim()
+                }));
+        }
         
-        // Parse the question bank
-        const parseResult = parseQuestionBank(content, 'bank_sample.txt');
+        entries = manifest.banks
+            .filter(bank => bank && typeof bank.file === 'string' && bank.file.trim())
+            .map(bank => ({
+                file: bank.file.trim(),
+                name: (typeof bank.name === 'string' && bank.name.trim()) || bank.file.trim(),
+                enabled: bank.enabled !== false
+            }));
+            
+    } catch (error) {
+        console.warn('Falling back to default question bank:', error);
+        entries = [{ ...DEFAULT_BANK }];
+    }
+    
+    return entries.map(entry => ({ ...entry, id: entry.file, source: BANK_SOURCES.BUNDLED }));
+}
+
+/**
+ * Tag parsed questions with their source bank and attach them to the bank entry
+ * @param {Object} bank - Bank entry (id, file, name, enabled, source)
+ * @param {Object} parseResult - Result from the bank parser
+ * @returns {Object} Bank with its parsed questions and errors
+ */
+function toLoadedBank(bank, parseResult) {
+    // Tag each question with its source bank so the pool can be filtered by bank
+    parseResult.questions.forEach(question => {
+        question.bankId = bank.id;
+    });
+    
+    return {
+        ...bank,
+        questions: parseResult.questions,
+        errors: parseResult.errors,
+        warnings: parseResult.warnings,
+        questionLines: parseResult.questionLines,
+        // Later copies of repeated questions, dropped from the pool when skipping duplicates
+        duplicateQuestions: new Set(parseResult.duplicates.map(duplicate => parseResult.questions[duplicate.index]))
+    };
+}
+
+/**
+ * Fetch and parse a single bank file listed in the manifest
+ * Fetch failures are reported as a file-level parser error instead of throwing
+ * @param {Object} bank - Manifest entry
+ * @param {Function} onProgress - Called with a 0-1 fraction as the file loads
+ * @returns {Promise<Object>} Bank with its parsed questions and errors
+ */
+async function loadBankFile(bank, onProgress) {
+    try {
+        const parseResult = await parseBankUrl(APP_CONSTANTS.DATA_DIR + bank.file, bank.file, onProgress);
+        return toLoadedBank(bank, parseResult);
         
-        // Clear caches before updating questions
-        clearFilterCache();
-        clearDomCache();
+    } catch (error) {
+        console.error(`Failed to load question bank ${bank.file}:`, error);
+        onProgress(1);
+        return {
+            ...bank,
+            questions: [],
+            errors: [{
+                error: true,
+                filename: bank.file,
+                line: 0,
+                reason: error.message,
+                rawLine: ''
+            }],
+            warnings: [],
+            duplicateQuestions: new Set()
+        };
+    }
+}
+
+/**
+ * Read banks imported on this device from IndexedDB
+ * @returns {Promise<Array>} Stored bank records, oldest first
+ */
+async function loadImportedBankRecords() {
+    try {
+        const records = await getAllRecords(STORES.BANKS);
+        return records.sort((a, b) => a.importedAt - b.importedAt);
         
-        appState.questions = parseResult.questions;
+    } catch (error) {
+        console.warn('Imported question banks unavailable:', error);
+        return [];
+    }
+}
+
+/**
+ * Parse a stored imported bank
+ * Stored content is re-parsed so imported banks pick up parser fixes
+ * @param {Object} record - Stored bank record
+ * @param {Function} onProgress - Called with a 0-1 fraction as parsing advances
+ * @returns {Promise<Object>} Bank with its parsed questions and errors
+ */
+async function loadImportedBank(record, onProgress) {
+    const bank = { ...record, source: BANK_SOURCES.IMPORTED };
+    try {
+        return toLoadedBank(bank, await parseBankText(record.content, record.file, onProgress));
         
-        // Show parser errors if any
-        if (parseResult.errors.length > 0) {
-            showParserErrors(parseResult.errors);
-            announceError(`Found ${parseResult.errors.length} parsing errors`);
-        } else {
-            hideParserErrors();
-        }
+    } catch (error) {
+        console.error(`Failed to parse imported bank ${record.file}:`, error);
+        onProgress(1);
+        return {
+            ...bank,
+            questions: [],
+            errors: [{
+                error: true,
+                filename: record.file,
+                line: 0,
+                reason: error.message,
+                rawLine: ''
+            }],
+            warnings: [],
+            duplicateQuestions: new Set()
+        };
+    }
+}
+
+/**
+ * Load saved name and enabled overrides for bundled banks
+ * @returns {Promise<Map>} Preferences keyed by bank ID
+ */
+async function loadBankPreferences() {
+    try {
+        const prefs = await getAllRecords(STORES.BANK_PREFS);
+        return new Map(prefs.map(pref => [pref.id, pref]));
+        
+    } catch (error) {
+        console.warn('Bank preferences unavailable:', error);
+        return new Map();
+    }
+}
+
+/**
+ * Load every bundled bank listed in the manifest plus any imported banks
+ */
+async function loadQuestionBank() {
+    try {
+        setStartButtonState(true);
         
-        // Update subject selector based on available questions
-        updateSubjectSelector(appState.questions);
+        const [manifest, importedRecords, bankPrefs] = await Promise.all([
+            loadBankManifest(),
+            loadImportedBankRecords(),
+            loadBankPreferences()
+        ]);
         
-        // Update pool preview
-        updatePoolPreview();
+        // Apply saved renames and enabled flags to bundled banks
+        manifest.forEach(bank => {
+            const pref = bankPrefs.get(bank.id);
+            if (pref) {
+                bank.name = pref.name || bank.name;
+                bank.enabled = pref.enabled !== false;
+            }
+        });
+        
+        // Parse every bank in parallel, reporting overall progress as the average across banks
+        const bankCount = manifest.length + importedRecords.length;
+        const fractions = new Array(bankCount).fill(0);
+        const trackProgress = (index) => (fraction) => {
+            fractions[index] = fraction;
+            const overall = fractions.reduce((sum, value) => sum + value, 0) / bankCount;
+            updateLoadingProgress(overall, `Loading question banks… ${Math.round(overall * 100)}%`);
+        };
+        
+        updateLoadingProgress(0, 'Loading question banks…');
+        const [bundledBanks, importedBanks] = await Promise.all([
+            Promise.all(manifest.map((bank, index) => loadBankFile(bank, trackProgress(index)))),
+            Promise.all(importedRecords.map((record, index) => loadImportedBank(record, trackProgress(manifest.length + index))))
+        ]);
+        appState.banks = [...bundledBanks, ...importedBanks];
+        assignPoolIds();
         
-        announceStatus(`Loaded ${parseResult.validQuestions} questions successfully`);
+        refreshParserErrors();
+        renderBankSelector(appState.banks);
+        renderMatchTemplates(appState.matchTemplates);
+        applyBankSelection();
+        await updateIdMigrations(appState.banks);
+        await loadAcceptedAnswers();
+        await loadReviewSchedule();
+        await loadMissedDeck();
+        
+        const totalQuestions = appState.banks.reduce((sum, bank) => sum + bank.questions.length, 0);
+        announceStatus(`Loaded ${totalQuestions} questions from ${appState.banks.length} banks`);
         
     } catch (error) {
         console.error('Failed to load question bank:', error);
         announceError('Failed to load question bank');
         throw error;
     } finally {
+        hideLoadingProgress();
         setStartButtonState(false);
     }
 }
 
 /**
- * Initialize the UI with default values
+ * Give every loaded question an ID no other bank uses
+ * Review schedules, the missed deck and accepted answers are keyed by question ID alone, so a
+ * question reusing an earlier bank's ID is renamed and the rename reported on its bank
  */
-function initializeUI() {
-    // Set default timer value
-    updateTimerValue(appState.timeAllocated);
-    
-    // Set default reading speed value
-    updateReadingSpeedValue(appState.readingSpeed);
-    
-    // Select all subjects by default
-    selectAllSubjects();
-    
-    // Update filter tags
-    updateFilterTags();
-    
-    // Update section header states
-    updateSectionHeaderStates();
+function assignPoolIds() {
+    resolvePoolIds(appState.banks).forEach(({ bank, index, from, to, owner }) => {
+        bank.warnings.push({
+            warning: true,
+            type: 'id-collision',
+            filename: bank.file,
+            line: bank.questionLines?.[index] ?? 0,
+            reason: `Question ID "${from}" is already used in ${owner.file}; this question uses "${to}"`,
+            rawLine: ''
+        });
+    });
 }
 
 /**
- * Select all subject checkboxes
+ * Compare banks with the snapshot saved when they were last loaded and record moved question IDs
+ * Edits to a question's text or category change its generated ID; matching the old and new
+ * versions lets progress saved under the old ID carry over
+ * @param {Array} banks - Loaded banks
  */
-function selectAllSubjects() {
-    document.querySelectorAll('.subject-group input[type="checkbox"]').forEach(checkbox => {
-        if (!checkbox.disabled) {
-            checkbox.checked = true;
-        }
-    });
-    updatePoolPreview();
-    updateFilterTags();
-    updateSectionHeaderStates();
+async function updateIdMigrations(banks) {
+    try {
+        const stored = await getAllRecords(STORES.ID_MIGRATIONS);
+        stored.forEach(migration => appState.idMigrations.set(migration.from, migration.to));
+        
+        await Promise.all(banks.filter(bank => bank.questions.length > 0).map(async bank => {
+            const questions = bank.questions.map(toIdentityRecord);
+            const snapshot = await getRecord(STORES.BANK_SNAPSHOTS, bank.id);
+            const unchanged = snapshot && snapshot.questions.length === questions.length
+                && snapshot.questions.every((question, index) => question.id === questions[index].id);
+            if (unchanged) return;
+            
+            if (snapshot) {
+                const migrationMap = buildMigrationMap(snapshot.questions, questions);
+                await Promise.all(migrationMap.migrations.map(migration => {
+                    appState.idMigrations.set(migration.from, migration.to);
+                    return putRecord(STORES.ID_MIGRATIONS, {
+                        from: migration.from,
+                        to: migration.to,
+                        bankId: bank.id,
+                        similarity: migration.similarity,
+                        migratedAt: Date.now()
+                    });
+                }));
+            }
+            await putRecord(STORES.BANK_SNAPSHOTS, { id: bank.id, file: bank.file, savedAt: Date.now(), questions });
+        }));
+        
+    } catch (error) {
+        console.warn('Question ID migrations unavailable:', error);
+    }
 }
 
 /**
- * Clear all subject checkboxes
+ * Load the answers students marked as right on this device
  */
-function clearAllSubjects() {
-    document.querySelectorAll('.subject-group input[type="checkbox"]').forEach(checkbox => {
-        checkbox.checked = false;
-    });
-    updatePoolPreview();
-    updateFilterTags();
-    updateSectionHeaderStates();
+async function loadAcceptedAnswers() {
+    try {
+        const records = await getAllRecords(STORES.ACCEPTED_ANSWERS);
+        records.forEach(record => appState.acceptedAnswers.set(record.id, record));
+    } catch (error) {
+        console.warn('Accepted answers unavailable:', error);
+    }
+    updateAcceptedAnswersExport(countAcceptedAnswers());
 }
 
 /**
- * Select only subjects that have available questions
+ * Load per-question records saved by question ID, moving any whose question ID has changed
+ * since they were saved
+ * @param {string} store - Object store holding the records
+ * @param {Map} target - Map to fill by current question ID
+ * @param {string} timeField - Record time; when an old and a new ID both have a record, the latest is kept
  */
-function selectAllAvailableSubjects() {
-    document.querySelectorAll('.subject-group input[type="checkbox"]').forEach(checkbox => {
-        if (!checkbox.disabled) {
-            checkbox.checked = true;
+async function loadQuestionRecords(store, target, timeField) {
+    const records = await getAllRecords(store);
+    const moved = [];
+    records.forEach(record => {
+        const id = resolveQuestionId(record.id, appState.idMigrations);
+        if (id !== record.id) {
+            moved.push(record.id);
+        }
+        const current = target.get(id);
+        if (!current || record[timeField] > current[timeField]) {
+            target.set(id, { ...record, id });
         }
     });
-    updatePoolPreview();
-    updateFilterTags();
-    updateSectionHeaderStates();
+    
+    await Promise.all(moved.map(async oldId => {
+        const id = resolveQuestionId(oldId, appState.idMigrations);
+        await putRecord(store, target.get(id));
+        await deleteRecord(store, oldId);
+    }));
 }
 
 /**
- * Get selected subjects and level filters
+ * Load each question's review schedule
  */
-function getActiveFilters() {
-    const selectedSubjects = Array.from(
-        document.querySelectorAll('.subject-group input[type="checkbox"]:checked')
-    ).map(cb => cb.value);
-    
-    const selectedLevel = document.querySelector('input[name="level"]:checked')?.value || '';
-    
-    return { selectedSubjects, selectedLevel };
+async function loadReviewSchedule() {
+    try {
+        await loadQuestionRecords(STORES.REVIEW_SCHEDULE, appState.reviewSchedule, 'reviewedAt');
+    } catch (error) {
+        console.warn('Review schedule unavailable:', error);
+    }
+    updateDueCounts();
 }
 
 /**
- * Filter questions based on selected subjects and level
+ * Load the questions missed in earlier sessions
  */
-function filterQuestions() {
-    const { selectedSubjects, selectedLevel } = getActiveFilters();
-    
-    appState.filteredQuestions = appState.questions.filter(question => {
-        // Subject filter
-        const subjectMatch = selectedSubjects.length === 0 || 
-                           selectedSubjects.includes(question.category);
-        
-        // Level filter
-        const levelMatch = !selectedLevel || question.level === selectedLevel;
-        
-        return subjectMatch && levelMatch;
-    });
-    
-    // Randomize the order of filtered questions
-    shuffleArray(appState.filteredQuestions);
-    
-    return appState.filteredQuestions.length;
+async function loadMissedDeck() {
+    try {
+        await loadQuestionRecords(STORES.MISSED_DECK, appState.missedDeck, 'missedAt');
+    } catch (error) {
+        console.warn('Missed deck unavailable:', error);
+    }
+    updateMissedDeckCount();
 }
 
 /**
- * Start a new practice session
+ * Checks whether a question is due for review today
+ * @param {Object} question - Question
+ * @returns {boolean} True for reviewed questions due today or overdue
  */
-function startPracticeSession() {
-    let questionCount = filterQuestions();
+function isQuestionDue(question) {
+    return isDueToday(appState.reviewSchedule.get(question.id));
+}
+
+/**
+ * Show how many questions are due for review in each subject on the setup screen
+ */
+function updateDueCounts() {
+    updateSubjectSelector(appState.questions, isQuestionDue);
+}
+
+/**
+ * Schedule a question's next review from its answer in this session
+ * @param {number} index - Question index in the session
+ */
+async function updateReviewSchedule(index) {
+    const question = appState.filteredQuestions[index];
+    const answer = appState.userAnswers[index];
+    if (!question || !answer) return;
     
-    // If no questions match, try to expand filters automatically
-    if (questionCount === 0) {
-        
-        // First try: select all subjects if none selected
+    if (!appState.reviewBase.has(question.id)) {
+        appState.reviewBase.set(question.id, appState.reviewSchedule.get(question.id) || null);
+    }
+    const record = {
+        id: question.id,
+        ...scheduleReview(appState.reviewBase.get(question.id), getReviewQuality(answer))
+    };
+    appState.reviewSchedule.set(question.id, record);
+    
+    try {
+        await putRecord(STORES.REVIEW_SCHEDULE, record);
+    } catch (error) {
+        console.warn('Failed to save review schedule:', error);
+    }
+}
+
+/**
+ * Count the missed deck's questions among the loaded banks
+ * @returns {number} Questions in the deck that can be practiced
+ */
+function countMissedQuestions() {
+    return appState.questions.filter(question => appState.missedDeck.has(question.id)).length;
+}
+
+/**
+ * Show the size of the missed deck on the setup screen
+ */
+function updateMissedDeckCount() {
+    updateMissedDeckSource(countMissedQuestions());
+}
+
+/**
+ * Update a question's place in the missed deck from its answer in this session
+ * Like updateReviewSchedule, this works from the entry before the session, so a re-scored
+ * answer replaces the first result instead of counting twice
+ * @param {number} index - Question index in the session
+ */
+async function updateMissedDeck(index) {
+    const question = appState.filteredQuestions[index];
+    const answer = appState.userAnswers[index];
+    if (!question || !answer) return;
+    
+    if (!appState.missedBase.has(question.id)) {
+        appState.missedBase.set(question.id, appState.missedDeck.get(question.id) || null);
+    }
+    const entry = updateMissedEntry(appState.missedBase.get(question.id), answer.correctness,
+                                    appState.missedClearStreak);
+    if (!entry && !appState.missedDeck.has(question.id)) return;
+    
+    try {
+        if (entry) {
+            const record = { ...entry, id: question.id };
+            appState.missedDeck.set(question.id, record);
+            await putRecord(STORES.MISSED_DECK, record);
+        } else {
+            appState.missedDeck.delete(question.id);
+            await deleteRecord(STORES.MISSED_DECK, question.id);
+        }
+    } catch (error) {
+        console.warn('Failed to save missed deck:', error);
+    }
+}
+
+/**
+ * Count the answers waiting to be exported
+ * @returns {number} Accepted answers across every question
+ */
+function countAcceptedAnswers() {
+    return [...appState.acceptedAnswers.values()].reduce((sum, record) => sum + record.answers.length, 0);
+}
+
+/**
+ * Record an answer a student marked as right against its question's ID
+ * @param {Object} question - Answered question
+ * @param {string} answer - Answer as given
+ */
+async function recordAcceptedAnswer(question, answer) {
+    const bank = appState.banks.find(b => b.id === question.bankId);
+    const record = appState.acceptedAnswers.get(question.id) || {
+        id: question.id,
+        bankId: question.bankId,
+        file: bank?.file || '',
+        category: question.category,
+        question: question.question,
+        answers: []
+    };
+    
+    // Bank answers are written in capitals
+    const variant = answer.trim().toUpperCase();
+    if (record.answers.includes(variant)) return;
+    
+    record.answers.push(variant);
+    record.updatedAt = Date.now();
+    appState.acceptedAnswers.set(question.id, record);
+    updateAcceptedAnswersExport(countAcceptedAnswers());
+    
+    try {
+        await putRecord(STORES.ACCEPTED_ANSWERS, record);
+    } catch (error) {
+        console.warn('Failed to save accepted answer:', error);
+    }
+}
+
+/**
+ * Download the accepted answers as a patch for tools/apply-answer-patch.js
+ */
+function exportAcceptedAnswers() {
+    try {
+        const patch = buildAnswerPatch([...appState.acceptedAnswers.values()], appState.idMigrations);
+        const date = new Date().toISOString().slice(0, 10);
+        downloadFile(JSON.stringify(patch, null, 2), `accepted-answers-${date}.json`, 'application/json');
+        
+        announceStatus(`Exported ${countAcceptedAnswers()} accepted answers`);
+        
+    } catch (error) {
+        console.error('Failed to export accepted answers:', error);
+        announceError('Failed to export accepted answers');
+    }
+}
+
+/**
+ * Show parser errors and warnings from every loaded bank, or hide the panel if there are none
+ */
+function refreshParserErrors() {
+    const errors = appState.banks.flatMap(bank => bank.errors);
+    const warnings = appState.banks.flatMap(bank => bank.warnings);
+    
+    if (errors.length > 0 || warnings.length > 0) {
+        showParserErrors(errors, warnings);
+        if (errors.length > 0) {
+            announceError(`Found ${errors.length} parsing errors`);
+        }
+    } else {
+        hideParserErrors();
+    }
+}
+
+/**
+ * Rebuild the question pool from the enabled banks
+ */
+function applyBankSelection() {
+    // Clear caches before updating questions
+    clearFilterCache();
+    clearDomCache();
+    
+    const enabledBanks = appState.banks.filter(bank => bank.enabled);
+    
+    appState.questions = enabledBanks.flatMap(bank => appState.skipDuplicates
+        ? bank.questions.filter(question => !bank.duplicateQuestions.has(question))
+        : bank.questions);
+    
+    updateDuplicateOption(enabledBanks.reduce((sum, bank) => sum + bank.duplicateQuestions.size, 0));
+    
+    // Rebuild the subject tree; subjects that weren't listed before start selected
+    updateSubjectSelector(appState.questions, isQuestionDue);
+    updateMissedDeckCount();
+    
+    updatePoolPreview();
+    updateFilterTags();
+    updateSectionHeaderStates();
+}
+
+/**
+ * Save a bank's name and enabled flag
+ * Imported banks are stored whole; bundled banks only store overrides
+ * @param {Object} bank - Bank to persist
+ */
+async function persistBank(bank) {
+    try {
+        if (bank.source === BANK_SOURCES.IMPORTED) {
+            await putRecord(STORES.BANKS, toBankRecord(bank));
+        } else {
+            await putRecord(STORES.BANK_PREFS, { id: bank.id, name: bank.name, enabled: bank.enabled });
+        }
+    } catch (error) {
+        console.warn('Failed to save bank settings:', error);
+    }
+}
+
+/**
+ * Build the IndexedDB record for an imported bank
+ * @param {Object} bank - Imported bank
+ * @returns {Object} Storable record without parsed questions
+ */
+function toBankRecord(bank) {
+    return {
+        id: bank.id,
+        file: bank.file,
+        name: bank.name,
+        enabled: bank.enabled,
+        content: bank.content,
+        importedAt: bank.importedAt
+    };
+}
+
+/**
+ * Handle a bank checkbox being toggled on the setup screen
+ */
+function handleBankToggle(event) {
+    const bankId = event.target.dataset.bank;
+    const bank = appState.banks.find(b => b.id === bankId);
+    if (!bank) return;
+    
+    bank.enabled = event.target.checked;
+    applyBankSelection();
+    persistBank(bank);
+    
+    announceStatus(`${bank.name} ${bank.enabled ? 'enabled' : 'disabled'}`);
+}
+
+/**
+ * Handle rename, export and delete buttons in the bank list
+ */
+async function handleBankAction(event) {
+    const button = event.target.closest('[data-bank-action]');
+    if (!button) return;
+    
+    const bank = appState.banks.find(b => b.id === button.dataset.bankId);
+    if (!bank) return;
+    
+    if (button.dataset.bankAction === 'rename') {
+        const newName = prompt('Rename question bank', bank.name);
+        if (!newName || !newName.trim() || newName.trim() === bank.name) return;
+        
+        bank.name = newName.trim();
+        renderBankSelector(appState.banks);
+        await persistBank(bank);
+        announceStatus(`Bank renamed to ${bank.name}`);
+        
+    } else if (button.dataset.bankAction === 'export') {
+        exportBankFile(bank, elements.exportFormat?.value || BANK_FILE_TYPES.TEXT);
+        
+    } else if (button.dataset.bankAction === 'delete' && bank.source === BANK_SOURCES.IMPORTED) {
+        if (!confirm(`Delete "${bank.name}" from this device?`)) return;
+        
+        appState.banks = appState.banks.filter(b => b !== bank);
+        refreshParserErrors();
+        renderBankSelector(appState.banks);
+        applyBankSelection();
+        
+        try {
+            await deleteRecord(STORES.BANKS, bank.id);
+            await deleteRecord(STORES.BANK_SNAPSHOTS, bank.id);
+        } catch (error) {
+            console.warn('Failed to delete stored bank:', error);
+        }
+        announceStatus(`${bank.name} deleted`);
+    }
+}
+
+/**
+ * Save text to a file through the browser's download prompt
+ * @param {string} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type of the content
+ */
+function downloadFile(content, filename, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Download a bank's questions as a flat, CSV, TSV or JSON file
+ * @param {Object} bank - Loaded bank
+ * @param {string} type - One of BANK_FILE_TYPES
+ */
+function exportBankFile(bank, type) {
+    try {
+        const { extension, mimeType } = BANK_FILE_EXTENSIONS[type];
+        let content = exportBank(bank.questions, type);
+        
+        // Spreadsheet apps need a byte order mark to read UTF-8 CSV files
+        if (type === BANK_FILE_TYPES.CSV || type === BANK_FILE_TYPES.TSV) {
+            content = '\uFEFF' + content;
+        }
+        
+        downloadFile(content, `${bank.name}${extension}`, mimeType);
+        announceStatus(`Exported ${bank.name} as ${extension.slice(1).toUpperCase()}`);
+        
+    } catch (error) {
+        console.error(`Failed to export ${bank.name}:`, error);
+        announceError(`Failed to export ${bank.name}`);
+    }
+}
+
+/**
+ * Import question bank files chosen with the file picker or dropped on the drop zone
+ * @param {FileList|Array<File>} files - Files to import
+ */
+async function importBankFiles(files) {
+    const importedNames = [];
+    
+    for (const file of Array.from(files)) {
+        try {
+            const content = await file.text();
+            const parseResult = await parseBankText(content, file.name, (fraction) => {
+                updateLoadingProgress(fraction, `Parsing ${file.name}… ${Math.round(fraction * 100)}%`);
+            });
+            const bank = toLoadedBank({
+                id: `imported:${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                file: file.name,
+                name: file.name.replace(/\.[^.]+$/, ''),
+                enabled: true,
+                source: BANK_SOURCES.IMPORTED,
+                importedAt: Date.now(),
+                content
+            }, parseResult);
+            
+            if (bank.questions.length === 0) {
+                // Nothing usable - show why, but don't keep the bank
+                showParserErrors(bank.errors);
+                announceError(`No valid questions found in ${file.name}`);
+                continue;
+            }
+            
+            appState.banks.push(bank);
+            importedNames.push(bank.name);
+            
+            try {
+                await putRecord(STORES.BANKS, toBankRecord(bank));
+            } catch (error) {
+                console.warn('Failed to store imported bank:', error);
+                announceError(`${file.name} imported for this session only`);
+            }
+            
+        } catch (error) {
+            // Unreadable files and files that can't be converted (e.g. a CSV without a header row)
+            console.error(`Failed to import ${file.name}:`, error);
+            showParserErrors([{ error: true, filename: file.name, line: 0, reason: error.message, rawLine: '' }]);
+            announceError(`Failed to import ${file.name}`);
+        }
+    }
+    
+    hideLoadingProgress();
+    if (importedNames.length === 0) return;
+    
+    assignPoolIds();
+    refreshParserErrors();
+    renderBankSelector(appState.banks);
+    applyBankSelection();
+    await updateIdMigrations(appState.banks);
+    
+    announceStatus(`Imported ${importedNames.join(', ')}`);
+}
+
+/**
+ * Set up the bank file picker and drag-and-drop zone
+ */
+function setupBankImport() {
+    const dropZone = elements.bankDropZone;
+    const fileInput = elements.bankFileInput;
+    
+    if (elements.chooseBankFiles && fileInput) {
+        elements.chooseBankFiles.addEventListener('click', () => fileInput.click());
+        
+        fileInput.addEventListener('change', async () => {
+            await importBankFiles(fileInput.files);
+            // Allow the same file to be picked again later
+            fileInput.value = '';
+        });
+    }
+    
+    if (dropZone) {
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+        
+        dropZone.addEventListener('dragleave', () => {
+            dropZone.classList.remove('drag-over');
+        });
+        
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('drag-over');
+            if (e.dataTransfer?.files?.length) {
+                importBankFiles(e.dataTransfer.files);
+            }
+        });
+    }
+}
+
+/**
+ * Initialize the UI with default values
+ */
+function initializeUI() {
+    // Set default timer value
+    updateTimerValue(appState.timeAllocated);
+    
+    // Set default reading speed value
+    updateReadingSpeedValue(appState.readingSpeed);
+    
+    // Select all subjects by default
+    selectAllSubjects();
+    
+    // Update filter tags
+    updateFilterTags();
+    
+    // Update section header states
+    updateSectionHeaderStates();
+}
+
+/**
+ * Select all subject checkboxes
+ */
+function selectAllSubjects() {
+    document.querySelectorAll('.subject-group input[type="checkbox"]').forEach(checkbox => {
+        if (!checkbox.disabled) {
+            checkbox.checked = true;
+        }
+    });
+    updatePoolPreview();
+    updateFilterTags();
+    updateSectionHeaderStates();
+}
+
+/**
+ * Clear all subject checkboxes
+ */
+function clearAllSubjects() {
+    document.querySelectorAll('.subject-group input[type="checkbox"]').forEach(checkbox => {
+        checkbox.checked = false;
+    });
+    updatePoolPreview();
+    updateFilterTags();
+    updateSectionHeaderStates();
+}
+
+/**
+ * Select only subjects that have available questions
+ */
+function selectAllAvailableSubjects() {
+    document.querySelectorAll('.subject-group input[type="checkbox"]').forEach(checkbox => {
+        if (!checkbox.disabled) {
+            checkbox.checked = true;
+        }
+    });
+    updatePoolPreview();
+    updateFilterTags();
+    updateSectionHeaderStates();
+}
+
+/**
+ * Get selected subjects and level filters
+ */
+function getActiveFilters() {
+    const selectedSubjects = Array.from(
+        document.querySelectorAll('.subject-group input[type="checkbox"]:checked')
+    ).map(cb => cb.value);
+    
+    const selectedLevel = document.querySelector('input[name="level"]:checked')?.value || '';
+    
+    return { selectedSubjects, selectedLevel };
+}
+
+/**
+ * Filter questions based on selected subjects and level
+ */
+function filterQuestions() {
+    const { selectedSubjects, selectedLevel } = getActiveFilters();
+    const pool = appState.questionSource === QUESTION_SOURCES.MISSED
+        ? appState.questions.filter(question => appState.missedDeck.has(question.id))
+        : appState.questions;
+    
+    appState.filteredQuestions = pool.filter(question => {
+        // Subject filter
+        const subjectMatch = selectedSubjects.length === 0 || 
+                           selectedSubjects.includes(question.category);
+        
+        // Level filter
+        const levelMatch = !selectedLevel || question.level === selectedLevel;
+        
+        return subjectMatch && levelMatch;
+    });
+    
+    // Randomize the order of filtered questions; spaced review then puts due questions first
+    shuffleArray(appState.filteredQuestions);
+    if (appState.studyMode === STUDY_MODES.REVIEW) {
+        appState.filteredQuestions = orderForReview(appState.filteredQuestions, appState.reviewSchedule);
+    }
+    
+    return appState.filteredQuestions.length;
+}
+
+/**
+ * Start a new practice session
+ */
+function startPracticeSession() {
+    if (appState.questionSource === QUESTION_SOURCES.MISSED && countMissedQuestions() === 0) {
+        announceError('Your missed deck is empty. Questions you get wrong or run out of time on are added to it.');
+        return;
+    }
+    
+    let questionCount = filterQuestions();
+    
+    // If no questions match, try to expand filters automatically
+    if (questionCount === 0) {
+        
+        // First try: select all subjects if none selected
         const selectedSubjects = Array.from(
             document.querySelectorAll('.subject-group input[type="checkbox"]:checked')
         );
@@ -826,9 +1816,44 @@ function startPracticeSession() {
         updatePoolPreview();
     }
     
+    if (appState.questionLimit && questionCount > appState.questionLimit) {
+        appState.filteredQuestions = appState.filteredQuestions.slice(0, appState.questionLimit);
+        questionCount = appState.questionLimit;
+    }
+    
+    if (appState.studyMode === STUDY_MODES.REVIEW) {
+        const dueCount = appState.filteredQuestions.filter(isQuestionDue).length;
+        beginSession(`Review session started with ${questionCount} questions, ${dueCount} due today first`);
+    } else {
+        beginSession(`Practice session started with ${questionCount} randomized questions`);
+    }
+}
+
+/**
+ * Start a session with the questions that were missed in the session just finished
+ */
+function drillMissedQuestions() {
+    const missed = appState.filteredQuestions.filter((question, index) => {
+        const answer = appState.userAnswers[index];
+        return answer && !isAcceptedResult(answer.correctness);
+    });
+    if (missed.length === 0) return;
+    
+    appState.filteredQuestions = shuffleArray(missed);
+    beginSession(`Drilling ${missed.length} missed ${missed.length === 1 ? 'question' : 'questions'}`);
+}
+
+/**
+ * Start practicing appState.filteredQuestions
+ * @param {string} announcement - Status announced once the first question is shown
+ */
+function beginSession(announcement) {
     // Initialize session state
     appState.currentQuestionIndex = 0;
     appState.userAnswers = [];
+    appState.promptedAnswers = [];
+    appState.reviewBase = new Map();
+    appState.missedBase = new Map();
     appState.sessionStartTime = Date.now();
     appState.isSessionActive = true;
     appState.isPaused = false;
@@ -852,13 +1877,10 @@ function startPracticeSession() {
     
     // Display first question (safety check)
     if (appState.filteredQuestions.length > 0) {
-        resetEnterCounter();
-        displayQuestion(appState.filteredQuestions[0]);
+        presentQuestion(appState.filteredQuestions[0]);
+        startSessionClock();
         
-        // Start timer
-        startTimer();
-        
-        announceStatus(`Practice session started with ${questionCount} randomized questions`);
+        announceStatus(announcement);
     } else {
         // This should not happen due to earlier checks, but handle gracefully
         announceError('No questions available. Please check your filters.');
@@ -896,6 +1918,78 @@ function startTimer() {
     }, 1000);
 }
 
+/**
+ * Show a question and start its timer
+ * In buzzer mode the timer waits until the student buzzes in or the question has been read
+ * @param {Object} question - Question to show
+ */
+function presentQuestion(question) {
+    resetEnterCounter();
+    appState.buzz = null;
+    setBuzzerWaiting(appState.buzzerMode);
+    
+    if (appState.buzzerMode) {
+        displayQuestion(question, handleReadComplete);
+    } else {
+        displayQuestion(question);
+        startTimer();
+    }
+}
+
+/**
+ * Buzz in while the question is being read: stop the reading and start the answer timer
+ */
+function buzzIn() {
+    if (!appState.buzzerMode || !appState.isSessionActive || appState.buzz || !appState.textRevealTimer) {
+        return;
+    }
+    
+    appState.buzz = stopTextReveal();
+    setBuzzerWaiting(false);
+    elements.answerInput?.focus();
+    startTimer();
+    
+    announceStatus(`Buzzed at word ${appState.buzz.word} of ${appState.buzz.words}`);
+}
+
+/**
+ * Start the answer timer when a question has been read without a buzz
+ */
+function handleReadComplete() {
+    if (!appState.buzzerMode || !appState.isSessionActive || appState.buzz) return;
+    
+    const { words } = stopTextReveal();
+    appState.buzz = { word: null, words };
+    setBuzzerWaiting(false);
+    elements.answerInput?.focus();
+    startTimer();
+}
+
+/**
+ * Count down the session's time limit, if one is set, ending the session when it runs out
+ * Like the question timer, the clock stops while paused
+ */
+function startSessionClock() {
+    if (appState.sessionClock) {
+        clearInterval(appState.sessionClock);
+        appState.sessionClock = null;
+    }
+    
+    appState.sessionTimeLeft = appState.sessionTimeLimit * 60;
+    updateQuestionCounter();
+    if (!appState.sessionTimeLeft) return;
+    
+    appState.sessionClock = setInterval(() => {
+        if (appState.isPaused) return;
+        
+        appState.sessionTimeLeft--;
+        updateQuestionCounter();
+        if (appState.sessionTimeLeft <= 0) {
+            finishSession('Time limit reached');
+        }
+    }, 1000);
+}
+
 /**
  * Handle timer timeout
  */
@@ -912,29 +2006,24 @@ function handleTimeout() {
         }, 500);
     }
     
-    // Record timeout
+    // Record timeout, with any answers that drew a prompt first
     appState.userAnswers[appState.currentQuestionIndex] = {
         answer: '',
         correctness: 'Timeout',
+        prompts: appState.promptedAnswers.splice(0),
+        buzz: appState.buzz,
         timeElapsed: appState.timeAllocated,
         timestamp: Date.now()
     };
+    updateReviewSchedule(appState.currentQuestionIndex);
+    updateMissedDeck(appState.currentQuestionIndex);
     
     // Show result
-    showQuestionResult(false, '', currentQuestion.answers[0], 'Timeout');
+    showQuestionResult(false, '', parseAnswerLine(currentQuestion.answers).display, 'Timeout', currentQuestion);
+    showBuzzOutcome(appState.currentQuestionIndex);
     
     // Update stats
-    // Update stats with optimized calculation
-    const stats = calculateStats(appState.userAnswers);
-    updateStats(
-        stats.correct,
-        stats.incorrect,
-        appState.currentQuestionIndex + 1,
-        appState.filteredQuestions.length
-    );
-    
-    // Update accuracy display
-    updateAccuracyDisplay();
+    updateSessionStats();
     
     announceStatus('Time is up');
 }
@@ -965,14 +2054,38 @@ function submitAnswer() {
         return;
     }
     
+    const currentQuestion = appState.filteredQuestions[appState.currentQuestionIndex];
+    let match = matchAnswer(userAnswer, currentQuestion.answers, {
+        tolerance: appState.typoTolerance,
+        questionText: currentQuestion.question,
+        category: currentQuestion.category,
+        accentStrict: appState.accentStrict,
+        spelling: currentQuestion.spelling,
+        surnames: appState.acceptSurnames,
+        person: currentQuestion.person,
+        pipelines: appState.matchingPipelines
+    });
+    
+    // A prompt asks for a more specific answer while the timer keeps running;
+    // giving the same less specific answer again is wrong
+    if (match.result === 'Prompt') {
+        if (!appState.promptedAnswers.includes(match.matchedAnswer)) {
+            appState.promptedAnswers.push(match.matchedAnswer);
+            resetEnterCounter();
+            showAnswerPrompt(userAnswer);
+            announceStatus(`Prompt: ${userAnswer} - be more specific`);
+            return;
+        }
+        match = { result: 'Incorrect', matchedAnswer: null, distance: null, trace: match.trace };
+    }
+    
     // Stop timer
     if (appState.timer) {
         clearInterval(appState.timer);
         appState.timer = null;
     }
     
-    const currentQuestion = appState.filteredQuestions[appState.currentQuestionIndex];
-    const isAnswerCorrect = isCorrect(userAnswer, currentQuestion.answers);
+    const isAnswerCorrect = isAcceptedResult(match.result);
     
     // Calculate time elapsed
     const timeLeft = parseInt(document.getElementById('timer-countdown').textContent) || 0;
@@ -981,17 +2094,54 @@ function submitAnswer() {
     // Record answer
     appState.userAnswers[appState.currentQuestionIndex] = {
         answer: userAnswer,
-        correctness: isAnswerCorrect ? 'Correct' : 'Incorrect',
+        correctness: match.result,
+        matchedAnswer: match.matchedAnswer,
+        prompts: appState.promptedAnswers.splice(0),
+        parts: match.parts,
+        buzz: appState.buzz,
         timeElapsed: timeElapsed,
         timestamp: Date.now()
     };
-    
-    // Show result
-    showQuestionResult(isAnswerCorrect, userAnswer, currentQuestion.answers[0], 
-                      isAnswerCorrect ? 'Correct' : 'Incorrect');
+    updateReviewSchedule(appState.currentQuestionIndex);
+    updateMissedDeck(appState.currentQuestionIndex);
+    
+    // Show result; a close answer shows the spelling it was accepted as
+    showQuestionResult(isAnswerCorrect, userAnswer, match.result === 'Close' ? match.matchedAnswer : parseAnswerLine(currentQuestion.answers).display, 
+                      match.result, currentQuestion, match.parts);
+    if (appState.traceMatching) {
+        showMatchTrace(match.trace);
+    }
+    showBuzzOutcome(appState.currentQuestionIndex);
     
     // Update stats
-    // Update stats with optimized calculation
+    updateSessionStats();
+    
+    // Announce result
+    if (match.result === 'Close') {
+        announceStatus(`Accepted - correct spelling is ${match.matchedAnswer}`);
+    } else if (match.result === 'Partial') {
+        announceStatus(`Partly correct - ${formatPartCount(match.parts)}`);
+    } else {
+        announceStatus(isAnswerCorrect ? 'Correct answer!' : 'Incorrect answer');
+    }
+}
+
+/**
+ * After a buzzer-mode answer, show the rest of the question and where the student buzzed
+ * @param {number} index - Question index in the session
+ */
+function showBuzzOutcome(index) {
+    const answer = appState.userAnswers[index];
+    if (!answer?.buzz) return;
+    
+    showFullQuestion(appState.filteredQuestions[index].question);
+    showBuzzResult(answer);
+}
+
+/**
+ * Update the score and accuracy shown during practice
+ */
+function updateSessionStats() {
     const stats = calculateStats(appState.userAnswers);
     updateStats(
         stats.correct,
@@ -999,12 +2149,45 @@ function submitAnswer() {
         appState.currentQuestionIndex + 1,
         appState.filteredQuestions.length
     );
-    
-    // Update accuracy display
     updateAccuracyDisplay();
+}
+
+/**
+ * Re-score a missed answer as correct when the student says it was right
+ * The original result is kept with the answer, and the answer is recorded as an accepted
+ * variant of the question for coaches to export
+ * @param {number} index - Question index in the session
+ * @returns {boolean} True if the answer was re-scored
+ */
+function acceptOwnAnswer(index) {
+    const userAnswer = appState.userAnswers[index];
+    if (!userAnswer?.answer || isAcceptedResult(userAnswer.correctness)) {
+        return false;
+    }
     
-    // Announce result
-    announceStatus(isAnswerCorrect ? 'Correct answer!' : 'Incorrect answer');
+    userAnswer.overriddenFrom = userAnswer.correctness;
+    userAnswer.correctness = 'Correct';
+    recordAcceptedAnswer(appState.filteredQuestions[index], userAnswer.answer);
+    updateReviewSchedule(index);
+    updateMissedDeck(index);
+    
+    announceStatus('Marked as correct');
+    return true;
+}
+
+/**
+ * Handle "I was right" on the result of the current question
+ */
+function acceptCurrentAnswer() {
+    const index = appState.currentQuestionIndex;
+    if (!acceptOwnAnswer(index)) return;
+    
+    const question = appState.filteredQuestions[index];
+    showQuestionResult(true, appState.userAnswers[index].answer, parseAnswerLine(question.answers).display,
+                      'Overridden', question);
+    showBuzzOutcome(index);
+    updateSessionStats();
+    elements.nextQuestion?.focus();
 }
 
 /**
@@ -1023,32 +2206,53 @@ function nextQuestion() {
     
     if (appState.currentQuestionIndex >= appState.filteredQuestions.length) {
         // Session complete
-        endSession();
-        const stats = calculateStats(appState.userAnswers);
-        showSummary({
-            questions: appState.filteredQuestions,
-            userAnswers: appState.userAnswers,
-            timeAllocated: appState.timeAllocated,
-            correct: stats.correct,
-            incorrect: stats.incorrect,
-            total: appState.filteredQuestions.length
-        });
+        finishSession();
         return;
     }
     
     // Update question counter
     updateQuestionCounter();
     
-    // Display next question
-    resetEnterCounter();
-    displayQuestion(appState.filteredQuestions[appState.currentQuestionIndex]);
-    
-    // Start timer for new question
-    startTimer();
+    // Display next question and start its timer
+    presentQuestion(appState.filteredQuestions[appState.currentQuestionIndex]);
     
     announceStatus(`Question ${appState.currentQuestionIndex + 1} of ${appState.filteredQuestions.length}`);
 }
 
+/**
+ * Show the summary screen for the current session's answers
+ * Questions without an answer (skipped, or not reached when the session ended early) count
+ * as skipped rather than missed
+ */
+function showSessionSummary() {
+    const stats = calculateStats(appState.userAnswers);
+    showSummary({
+        questions: appState.filteredQuestions,
+        userAnswers: appState.userAnswers,
+        timeAllocated: appState.timeAllocated,
+        correct: stats.correct,
+        incorrect: stats.incorrect,
+        skipped: appState.filteredQuestions.length - stats.correct - stats.incorrect,
+        total: stats.correct + stats.incorrect
+    });
+}
+
+/**
+ * End the session and show its summary
+ * @param {string} [announcement] - Why the session ended, announced with the summary
+ */
+function finishSession(announcement) {
+    endSession();
+    if (appState.match) {
+        finishMatchRound();
+    } else {
+        showSessionSummary();
+    }
+    if (announcement) {
+        announceStatus(announcement);
+    }
+}
+
 /**
  * End the current session
  */
@@ -1066,8 +2270,128 @@ function endSession() {
         appState.textRevealTimer = null;
     }
     
+    if (appState.sessionClock) {
+        clearInterval(appState.sessionClock);
+        appState.sessionClock = null;
+    }
+    
     // Clear caches when session ends
     clearFilterCache();
+    
+    // The session's answers change which questions are due and which are in the missed deck
+    updateDueCounts();
+    updateMissedDeckCount();
+}
+
+/**
+ * Start a match from the template chosen on the setup screen
+ * Each round's questions come from the checked banks, without repeats across rounds; the
+ * setup screen's subject and level filters don't apply
+ */
+async function startMatch() {
+    const entry = appState.matchTemplates.find(template => template.file === elements.matchTemplate?.value);
+    if (!entry) return;
+    
+    let template;
+    try {
+        const response = await fetch(APP_CONSTANTS.DATA_DIR + entry.file);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${entry.file}: ${response.status}`);
+        }
+        template = parseMatchTemplate(await response.json());
+    } catch (error) {
+        console.error('Failed to load match template:', error);
+        announceError(`Match template not loaded: ${error.message}`);
+        return;
+    }
+    
+    // Rounds the checked banks have no questions for are left out; short rounds are
+    // played with what there is, and both are listed on the match screen
+    const shuffled = shuffleArray([...appState.questions]);
+    const used = new Set();
+    const picks = template.rounds.map(round => {
+        const picked = pickRoundQuestions(shuffled, round, used);
+        return { ...round, picked, shortfalls: findSubjectShortfalls(round, picked) };
+    });
+    const rounds = picks.filter(round => round.picked.length > 0);
+    if (rounds.length === 0) {
+        announceError('No questions in the checked banks fit this match template');
+        return;
+    }
+    
+    appState.match = {
+        name: template.name,
+        rounds,
+        droppedRounds: picks.filter(round => round.picked.length === 0).map(round => round.name),
+        current: 0,
+        results: [],
+        // Setup screen settings the rounds override, restored when the match ends
+        settings: {
+            timeAllocated: appState.timeAllocated,
+            buzzerMode: appState.buzzerMode,
+            questionLimit: appState.questionLimit,
+            sessionTimeLimit: appState.sessionTimeLimit
+        }
+    };
+    startMatchRound();
+}
+
+/**
+ * Play the match's next round with its own timing and buzzer setting
+ */
+function startMatchRound() {
+    const match = appState.match;
+    if (!match || match.current >= match.rounds.length) return;
+    
+    const round = match.rounds[match.current];
+    appState.timeAllocated = round.time;
+    appState.buzzerMode = round.buzzer;
+    appState.questionLimit = 0;
+    appState.sessionTimeLimit = 0;
+    appState.filteredQuestions = [...round.picked];
+    
+    const count = round.picked.length < round.questions
+        ? `${round.picked.length} of ${round.questions} questions`
+        : `${round.picked.length} questions`;
+    beginSession(`Round ${match.current + 1} of ${match.rounds.length}: ${round.name}, ${count}`);
+}
+
+/**
+ * Score the round just played, then show the intermission or, after the last round, the scoreboard
+ */
+function finishMatchRound() {
+    const match = appState.match;
+    const round = match.rounds[match.current];
+    match.results.push(scoreMatchRound(round, appState.userAnswers, appState.filteredQuestions.length));
+    match.current++;
+    
+    if (match.current < match.rounds.length) {
+        showMatchIntermission(match);
+    } else {
+        finishMatch();
+    }
+}
+
+/**
+ * End the match, skipping any rounds not played, and show the final scoreboard
+ */
+function finishMatch() {
+    const match = appState.match;
+    if (!match) return;
+    
+    closeMatch();
+    showMatchScoreboard(match);
+}
+
+/**
+ * Leave match mode and restore the setup screen's settings
+ */
+function closeMatch() {
+    if (!appState.match) return;
+    
+    Object.assign(appState, appState.match.settings);
+    appState.match = null;
+    updateFilterTags();
 }
 
 /**
@@ -1083,17 +2407,18 @@ function resetFilters() {
  * Start a new session
  */
 function startNewSession() {
+    updateDueCounts();
+    updateMissedDeckCount();
     showScreen('setup-screen');
     resetFilters();
 }
 
 /**
- * Copy error details to clipboard
+ * Copy error and warning details to the clipboard as JSON
  */
 async function copyErrorDetails() {
     try {
-        const errorList = document.getElementById('error-list');
-        const errorText = errorList.textContent;
+        const errorText = JSON.stringify(getParserIssueReport(), null, 2);
         
         await navigator.clipboard.writeText(errorText);
         announceStatus('Error details copied to clipboard');
@@ -1121,6 +2446,14 @@ function handleGlobalKeyboard(event) {
         }
     }
     
+    // B key buzzes in during buzzer mode
+    if (event.key === 'b' || event.key === 'B') {
+        if (appState.isSessionActive && appState.buzzerMode) {
+            event.preventDefault();
+            buzzIn();
+        }
+    }
+    
     // N key skips to next question
     if (event.key === 'n' || event.key === 'N') {
         event.preventDefault();
@@ -0,0 +1,55 @@
+/**
+ * Buzzer mode
+ * Scores buzzes the way match play does: buzzing in while the question is still being read
+ * earns more for a right answer and costs points for a wrong one
+ */
+
+import { isAcceptedResult } from './normalize.js';
+
+// Points for each kind of buzz
+export const BUZZ_POINTS = {
+    EARLY_CORRECT: 15,
+    CORRECT: 10,
+    EARLY_WRONG: -5,
+    WRONG: 0
+};
+
+/**
+ * Checks whether a buzz came before the question was fully read
+ * @param {Object|undefined} buzz - Buzz recorded with an answer ({ word, words }), where word is
+ *   the number of words read when the student buzzed, or null if they waited for the whole question
+ * @returns {boolean} True for buzzes that interrupted the reading
+ */
+export function isEarlyBuzz(buzz) {
+    return Boolean(buzz) && buzz.word !== null && buzz.word < buzz.words;
+}
+
+/**
+ * Scores an answer given in buzzer mode
+ * @param {Object} answer - Entry from appState.userAnswers
+ * @returns {number} Points from BUZZ_POINTS; an answer without a buzz scores nothing
+ */
+export function scoreBuzz(answer) {
+    if (!answer?.buzz) {
+        return 0;
+    }
+    
+    const early = isEarlyBuzz(answer.buzz);
+    if (isAcceptedResult(answer.correctness)) {
+        return early ? BUZZ_POINTS.EARLY_CORRECT : BUZZ_POINTS.CORRECT;
+    }
+    return early ? BUZZ_POINTS.EARLY_WRONG : BUZZ_POINTS.WRONG;
+}
+
+/**
+ * Describes where in the question a student buzzed
+ * @param {Object} answer - Entry from appState.userAnswers with a buzz
+ * @returns {string} "Word 7 of 20", "After reading", or "No buzz" when time ran out first
+ */
+export function formatBuzzPosition(answer) {
+    const { word, words } = answer.buzz;
+    if (word !== null) {
+        return `Word ${word} of ${words}`;
+    }
+    return answer.answer ? 'After reading' : 'No buzz';
+}
@@ -0,0 +1,49 @@
+/**
+ * Tests for buzz scoring (buzzer.js)
+ * Run with: npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BUZZ_POINTS, isEarlyBuzz, scoreBuzz, formatBuzzPosition } from './buzzer.js';
+
+describe('isEarlyBuzz', () => {
+    test('counts only buzzes before the last word', () => {
+        assert.equal(isEarlyBuzz({ word: 7, words: 20 }), true);
+        assert.equal(isEarlyBuzz({ word: 20, words: 20 }), false);
+        assert.equal(isEarlyBuzz({ word: null, words: 20 }), false);
+        assert.equal(isEarlyBuzz(undefined), false);
+    });
+});
+
+describe('scoreBuzz', () => {
+    test('scores 15, 10, -5 and 0', () => {
+        assert.deepEqual(BUZZ_POINTS, { EARLY_CORRECT: 15, CORRECT: 10, EARLY_WRONG: -5, WRONG: 0 });
+        
+        assert.equal(scoreBuzz({ correctness: 'Correct', buzz: { word: 7, words: 20 } }), 15);
+        assert.equal(scoreBuzz({ correctness: 'Correct', buzz: { word: null, words: 20 } }), 10);
+        assert.equal(scoreBuzz({ correctness: 'Incorrect', buzz: { word: 7, words: 20 } }), -5);
+        assert.equal(scoreBuzz({ correctness: 'Incorrect', buzz: { word: null, words: 20 } }), 0);
+    });
+    
+    test('scores a close answer as right and a partly correct one as wrong', () => {
+        assert.equal(scoreBuzz({ correctness: 'Close', buzz: { word: 3, words: 20 } }), 15);
+        assert.equal(scoreBuzz({ correctness: 'Partial', buzz: { word: 3, words: 20 } }), -5);
+    });
+    
+    test('scores an early buzz that runs out of time as wrong', () => {
+        assert.equal(scoreBuzz({ correctness: 'Timeout', buzz: { word: 3, words: 20 } }), -5);
+    });
+    
+    test('scores nothing for an answer without a buzz', () => {
+        assert.equal(scoreBuzz({ correctness: 'Correct' }), 0);
+    });
+});
+
+describe('formatBuzzPosition', () => {
+    test('describes where the student buzzed', () => {
+        assert.equal(formatBuzzPosition({ answer: 'PARIS', buzz: { word: 7, words: 20 } }), 'Word 7 of 20');
+        assert.equal(formatBuzzPosition({ answer: 'PARIS', buzz: { word: null, words: 20 } }), 'After reading');
+        assert.equal(formatBuzzPosition({ answer: '', buzz: { word: null, words: 20 } }), 'No buzz');
+    });
+});
@@ -0,0 +1,534 @@
+/**
+ * Question bank format converters
+ * Converts between the flat semicolon format and CSV, TSV and JSON so writers
+ * can work in spreadsheets. Converted banks go through the normal parser, and
+ * serializing parsed questions back to the flat format is lossless.
+ */
+
+import { createBankParser, parseQuestionBank } from './parser.js';
+
+// Bank file types, chosen by file extension
+export const BANK_FILE_TYPES = {
+    TEXT: 'text',
+    CSV: 'csv',
+    TSV: 'tsv',
+    JSON: 'json'
+};
+
+// File extension and MIME type for each bank file type
+export const BANK_FILE_EXTENSIONS = {
+    text: { extension: '.txt', mimeType: 'text/plain' },
+    csv: { extension: '.csv', mimeType: 'text/csv' },
+    tsv: { extension: '.tsv', mimeType: 'text/tab-separated-values' },
+    json: { extension: '.json', mimeType: 'application/json' }
+};
+
+// Cell delimiter for each spreadsheet type
+const DELIMITERS = {
+    csv: ',',
+    tsv: '\t'
+};
+
+// Columns every spreadsheet or JSON bank must have, in flat-format order
+const BASE_COLUMNS = ['category', 'question', 'answers', 'level', 'author'];
+
+// Separates answers in a spreadsheet cell ("Paris | City of Light")
+const ANSWER_SEPARATOR = '|';
+
+/**
+ * Works out a bank file's type from its name
+ * @param {string} filename - File name
+ * @returns {string} One of BANK_FILE_TYPES (text for unknown extensions)
+ */
+export function getBankFileType(filename) {
+    const extension = (filename.match(/\.([^.]+)$/) || [])[1]?.toLowerCase();
+    const converted = [BANK_FILE_TYPES.CSV, BANK_FILE_TYPES.TSV, BANK_FILE_TYPES.JSON];
+    return converted.includes(extension) ? extension : BANK_FILE_TYPES.TEXT;
+}
+
+/**
+ * Escapes a value for one field of a flat-format line
+ * Reverses splitOnUnescapedSemicolons: \ becomes \\ and ; becomes \;
+ * @param {string} value - Field value
+ * @returns {string} Escaped field
+ */
+export function serializeField(value) {
+    if (/[\r\n]/.test(value)) {
+        throw new Error('Fields cannot contain line breaks');
+    }
+    return value.replace(/\\/g, '\\\\').replace(/;/g, '\\;');
+}
+
+/**
+ * Writes a question as one flat-format line
+ * @param {Object} question - Question with category, question, answers, level, author and metadata
+ * @param {string[]} [columns] - Extra columns declared by the bank header, in order
+ * @returns {string} Flat-format line
+ */
+export function serializeQuestion(question, columns = []) {
+    // In format 2 a line starting with # would be read as a comment
+    if (columns.length > 0 && question.category.trim().startsWith('#')) {
+        throw new Error('Category cannot start with "#" in a bank with extra columns');
+    }
+    
+    const metadata = question.metadata || {};
+    const fields = [
+        question.category,
+        question.question,
+        JSON.stringify(question.answers),
+        question.level,
+        question.author,
+        ...columns.map(column => metadata[column] ?? '')
+    ];
+    
+    return fields.map(field => serializeField(String(field))).join(';');
+}
+
+/**
+ * Lists the metadata keys used across questions, in first-seen order
+ * @param {Array} questions - Questions with optional metadata
+ * @returns {string[]} Metadata keys
+ */
+function collectMetadataKeys(questions) {
+    const keys = new Set();
+    questions.forEach(question => {
+        Object.keys(question.metadata || {}).forEach(key => keys.add(key));
+    });
+    return [...keys];
+}
+
+/**
+ * Writes questions as a flat-format bank file
+ * Banks with metadata are written as format 2 with every key declared as a column
+ * @param {Array} questions - Parsed questions
+ * @returns {string} Bank file content
+ */
+export function serializeBank(questions) {
+    const columns = collectMetadataKeys(questions);
+    const header = columns.length > 0 ? ['#format: 2', `#columns: ${columns.join('; ')}`] : [];
+    
+    return [...header, ...questions.map(question => serializeQuestion(question, columns))].join('\n') + '\n';
+}
+
+/**
+ * Splits CSV or TSV content into rows of cells
+ * Follows RFC 4180: quoted cells may contain the delimiter, "" and line breaks
+ * @param {string} content - File content
+ * @param {string} delimiter - Cell delimiter
+ * @returns {Array} Rows as { cells, line } where line is the 1-based line the row starts on
+ */
+export function parseDelimited(content, delimiter) {
+    const text = content.replace(/^\uFEFF/, '');
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+    let i = 0;
+    
+    const endRow = () => {
+        cells.push(cell);
+        rows.push({ cells, line: rowLine });
+        cells = [];
+        cell = '';
+        rowLine = line;
+    };
+    
+    while (i < text.length) {
+        const char = text[i];
+        
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                // Escaped quote
+                cell += '"';
+                i += 2;
+                continue;
+            }
+            if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+            i++;
+        } else if (char === '"' && cell === '') {
+            inQuotes = true;
+            i++;
+        } else if (char === delimiter) {
+            cells.push(cell);
+            cell = '';
+            i++;
+        } else if (char === '\r' && text[i + 1] === '\n') {
+            line++;
+            i += 2;
+            endRow();
+        } else if (char === '\n') {
+            line++;
+            i++;
+            endRow();
+        } else {
+            cell += char;
+            i++;
+        }
+    }
+    
+    if (inQuotes) {
+        throw new Error(`Unclosed quote in row starting on line ${rowLine}`);
+    }
+    
+    // A trailing newline doesn't start another row
+    if (cell !== '' || cells.length > 0) {
+        endRow();
+    }
+    
+    return rows;
+}
+
+/**
+ * Writes rows of cells as CSV or TSV, quoting cells that need it
+ * @param {Array<string[]>} rows - Rows of cells
+ * @param {string} delimiter - Cell delimiter
+ * @returns {string} File content with CRLF line endings
+ */
+export function formatDelimited(rows, delimiter) {
+    const needsQuotes = (cell) => cell.includes(delimiter) || /["\r\n]/.test(cell);
+    
+    return rows
+        .map(cells => cells
+            .map(cell => needsQuotes(cell) ? `"${cell.replace(/"/g, '""')}"` : cell)
+            .join(delimiter))
+        .join('\r\n') + '\r\n';
+}
+
+/**
+ * Writes answers for a spreadsheet cell
+ * Uses "A | B", or a JSON array when an answer contains | or the cell would look like JSON
+ * @param {string[]} answers - Accepted answers
+ * @returns {string} Cell text
+ */
+function formatAnswersCell(answers) {
+    const needsJson = answers.some(answer => answer.includes(ANSWER_SEPARATOR)) || /^\[\s*("|\])/.test(answers[0]?.trim());
+    return needsJson ? JSON.stringify(answers) : answers.join(` ${ANSWER_SEPARATOR} `);
+}
+
+/**
+ * Reads answers from a spreadsheet cell written as "A | B" or as a JSON array
+ * @param {string} cell - Cell text
+ * @returns {string[]} Answers (validated later by the parser)
+ */
+function parseAnswersCell(cell) {
+    // A JSON array starts with [" or []; "[THE] RAVEN | RAVEN" is an answer with an optional word
+    if (/^\[\s*("|\])/.test(cell.trim())) {
+        try {
+            return JSON.parse(cell);
+        } catch (error) {
+            throw new Error(`Invalid JSON in answers cell: ${error.message}`);
+        }
+    }
+    return cell.split(ANSWER_SEPARATOR).map(answer => answer.trim());
+}
+
+/**
+ * Writes questions as CSV or TSV with one column per field and metadata key
+ * @param {Array} questions - Parsed questions
+ * @param {string} [delimiter] - Cell delimiter (',' for CSV, '\t' for TSV)
+ * @returns {string} File content
+ */
+export function questionsToDelimited(questions, delimiter = DELIMITERS.csv) {
+    const columns = collectMetadataKeys(questions);
+    const rows = questions.map(question => [
+        question.category,
+        question.question,
+        formatAnswersCell(question.answers),
+        question.level,
+        question.author,
+        ...columns.map(column => question.metadata?.[column] ?? '')
+    ]);
+    
+    return formatDelimited([[...BASE_COLUMNS, ...columns], ...rows], delimiter);
+}
+
+/**
+ * Writes questions as JSON, one object per question with metadata keys alongside the fields
+ * @param {Array} questions - Parsed questions
+ * @returns {string} File content
+ */
+export function questionsToJson(questions) {
+    const records = questions.map(question => ({
+        category: question.category,
+        question: question.question,
+        answers: question.answers,
+        level: question.level,
+        author: question.author,
+        ...question.metadata
+    }));
+    
+    return JSON.stringify({ questions: records }, null, 4) + '\n';
+}
+
+/**
+ * Writes questions in any bank file type
+ * @param {Array} questions - Parsed questions
+ * @param {string} type - One of BANK_FILE_TYPES
+ * @returns {string} File content
+ */
+export function exportBank(questions, type) {
+    switch (type) {
+        case BANK_FILE_TYPES.CSV:
+        case BANK_FILE_TYPES.TSV:
+            return questionsToDelimited(questions, DELIMITERS[type]);
+        case BANK_FILE_TYPES.JSON:
+            return questionsToJson(questions);
+        default:
+            return serializeBank(questions);
+    }
+}
+
+/**
+ * Builds flat-format bank text from converted records
+ * Records that can't be written become errors at their source line, and every
+ * output line keeps the source line it came from so parse errors point at the original file
+ * @param {Array} records - Records as { line, question } or { line, error }
+ * @param {string[]} columns - Extra columns for the header
+ * @param {number} headerLine - Source line reported for the generated header
+ * @param {string} filename - Source filename for error reporting
+ * @returns {Object} Conversion with text, lineNumbers and errors
+ */
+function buildBankText(records, columns, headerLine, filename) {
+    const lines = [];
+    const lineNumbers = [];
+    const errors = [];
+    
+    if (columns.length > 0) {
+        lines.push('#format: 2', `#columns: ${columns.join('; ')}`);
+        lineNumbers.push(headerLine, headerLine);
+    }
+    
+    records.forEach(({ line, question, error, rawLine }) => {
+        try {
+            if (error) throw error;
+            lines.push(serializeQuestion(question, columns));
+            lineNumbers.push(line);
+        } catch (recordError) {
+            errors.push({ error: true, filename, line, reason: recordError.message, rawLine });
+        }
+    });
+    
+    return { text: lines.join('\n'), lineNumbers, errors };
+}
+
+/**
+ * Converts CSV or TSV content to flat-format bank text
+ * The header row names the columns; category, question, answers, level and author
+ * are required and any other column becomes a format 2 extra column
+ * @param {string} content - File content
+ * @param {string} filename - Source filename for error reporting
+ * @param {string} delimiter - Cell delimiter
+ * @returns {Object} Conversion with text, lineNumbers and errors
+ */
+export function delimitedToBankText(content, filename, delimiter) {
+    const rows = parseDelimited(content, delimiter)
+        .filter(row => row.cells.some(cell => cell.trim()));
+    if (rows.length === 0) {
+        throw new Error('File is empty');
+    }
+    
+    const [headerRow, ...dataRows] = rows;
+    const header = headerRow.cells.map(name => name.trim().toLowerCase());
+    
+    BASE_COLUMNS.forEach(column => {
+        if (!header.includes(column)) {
+            throw new Error(`Missing required column: ${column}`);
+        }
+        if (header.indexOf(column) !== header.lastIndexOf(column)) {
+            throw new Error(`Duplicate column: ${column}`);
+        }
+    });
+    const columns = header.filter(name => !BASE_COLUMNS.includes(name));
+    
+    const records = dataRows.map(({ cells, line }) => {
+        const rawLine = cells.join(delimiter);
+        try {
+            if (cells.length > header.length && cells.slice(header.length).some(cell => cell.trim())) {
+                throw new Error(`Expected ${header.length} cells, got ${cells.length}`);
+            }
+            
+            const values = {};
+            header.forEach((name, index) => {
+                values[name] = cells[index] ?? '';
+            });
+            
+            const metadata = {};
+            columns.forEach(column => {
+                metadata[column] = values[column];
+            });
+            
+            return {
+                line,
+                rawLine,
+                question: {
+                    category: values.category,
+                    question: values.question,
+                    answers: parseAnswersCell(values.answers),
+                    level: values.level,
+                    author: values.author,
+                    metadata
+                }
+            };
+        } catch (error) {
+            return { line, rawLine, error };
+        }
+    });
+    
+    return buildBankText(records, columns, headerRow.line, filename);
+}
+
+/**
+ * Finds the line each item of the question list starts on
+ * @param {string} content - JSON text
+ * @param {boolean} nested - True if the list is the "questions" property of the root object
+ * @returns {number[]} 1-based line numbers in list order
+ */
+function findRecordLines(content, nested) {
+    const lines = [];
+    const listDepth = nested ? 2 : 1;
+    let depth = 0;
+    let line = 1;
+    let inString = false;
+    let expectingItem = false;
+    
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (char === '\n') line++;
+        
+        if (expectingItem && depth === listDepth && !/[\s,\]]/.test(char)) {
+            lines.push(line);
+            expectingItem = false;
+        }
+        
+        if (inString) {
+            if (char === '\\') i++;
+            else if (char === '"') inString = false;
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            depth++;
+            if (char === '[' && depth === listDepth) expectingItem = true;
+        } else if (char === '}' || char === ']') {
+            depth--;
+        } else if (char === ',' && depth === listDepth) {
+            expectingItem = true;
+        }
+    }
+    
+    return lines;
+}
+
+/**
+ * Converts JSON content to flat-format bank text
+ * Accepts an array of question objects or { "questions": [...] }; keys other
+ * than the five base fields become format 2 extra columns
+ * @param {string} content - File content
+ * @param {string} filename - Source filename for error reporting
+ * @returns {Object} Conversion with text, lineNumbers and errors
+ */
+export function jsonToBankText(content, filename) {
+    let data;
+    try {
+        data = JSON.parse(content.replace(/^\uFEFF/, ''));
+    } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    
+    const nested = !Array.isArray(data);
+    const items = nested ? data?.questions : data;
+    if (!Array.isArray(items)) {
+        throw new Error('Expected an array of questions or an object with a "questions" array');
+    }
+    
+    // Other list-valued properties can throw off the count; report no lines rather than wrong ones
+    const recordLines = findRecordLines(content, nested);
+    const lineFor = (index) => recordLines.length === items.length ? recordLines[index] : 0;
+    
+    const columns = [];
+    const records = items.map((item, index) => {
+        const line = lineFor(index);
+        const rawLine = JSON.stringify(item);
+        try {
+            if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                throw new Error(`Question ${index + 1} is not an object`);
+            }
+            
+            const metadata = {};
+            Object.entries(item).forEach(([key, value]) => {
+                if (BASE_COLUMNS.includes(key) || value === null || value === undefined) return;
+                if (!columns.includes(key)) columns.push(key);
+                metadata[key] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            });
+            
+            const text = (key) => typeof item[key] === 'string' ? item[key] : '';
+            return {
+                line,
+                rawLine,
+                question: {
+                    category: text('category'),
+                    question: text('question'),
+                    answers: typeof item.answers === 'string' ? parseAnswersCell(item.answers) : item.answers ?? [],
+                    level: text('level'),
+                    author: text('author'),
+                    metadata
+                }
+            };
+        } catch (error) {
+            return { line, rawLine, error };
+        }
+    });
+    
+    return buildBankText(records, columns, 0, filename);
+}
+
+/**
+ * Converts any bank file to flat-format text for the parser
+ * Flat files are passed through unchanged
+ * @param {string} content - File content
+ * @param {string} filename - File name, whose extension picks the converter
+ * @returns {Object} Conversion with text, lineNumbers (null for flat files) and errors
+ */
+export function convertBankFile(content, filename) {
+    const type = getBankFileType(filename);
+    
+    if (type === BANK_FILE_TYPES.CSV || type === BANK_FILE_TYPES.TSV) {
+        return delimitedToBankText(content, filename, DELIMITERS[type]);
+    }
+    if (type === BANK_FILE_TYPES.JSON) {
+        return jsonToBankText(content, filename);
+    }
+    return { text: content, lineNumbers: null, errors: [] };
+}
+
+/**
+ * Parses a bank file of any type synchronously
+ * Converted banks report errors and duplicates at their original line numbers
+ * @param {string} content - File content
+ * @param {string} filename - File name, whose extension picks the converter
+ * @returns {Object} Same shape as parseQuestionBank's result
+ */
+export function parseBankFile(content, filename) {
+    if (getBankFileType(filename) === BANK_FILE_TYPES.TEXT) {
+        return parseQuestionBank(content, filename);
+    }
+    
+    const conversion = convertBankFile(content, filename);
+    const parser = createBankParser(filename, conversion);
+    const questions = [];
+    
+    conversion.text.split('\n').forEach(line => {
+        const question = parser.parseLine(line);
+        if (question) {
+            questions.push(question);
+        }
+    });
+    
+    return { questions, ...parser.finish() };
+}
@@ -0,0 +1,120 @@
+/**
+ * Tests for the bank format converters (convert.js)
+ * Run with: npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuestionBank } from './parser.js';
+import {
+    BANK_FILE_TYPES,
+    getBankFileType,
+    serializeField,
+    serializeBank,
+    parseDelimited,
+    exportBank,
+    parseBankFile
+} from './convert.js';
+
+// A flat bank with escaped semicolons and backslashes and a format 2 extra column
+const FLAT_BANK = [
+    '#format: 2',
+    '#columns: source',
+    'Math>Algebra;Solve x\\;y = 1\\;2. What is x?;["1"];Freshman;NCAL;Invitational',
+    'Science>Physics;A path like C:\\\\temp uses which slash?;["BACKSLASH"];Varsity;NCAL;',
+    'Humanities>Geography;What is the capital of France?;["PARIS","CITY OF LIGHT"];Junior Varsity;NCAL;League'
+].join('\n');
+
+/**
+ * Reduces parsed questions to the fields a converter must keep
+ * @param {Array} questions - Parsed questions
+ * @returns {Array} Plain question records
+ */
+function toRecords(questions) {
+    return questions.map(question => ({
+        category: question.category,
+        question: question.question,
+        answers: question.answers,
+        level: question.level,
+        author: question.author,
+        source: question.metadata.source ?? ''
+    }));
+}
+
+describe('getBankFileType', () => {
+    test('picks the type from the extension', () => {
+        assert.equal(getBankFileType('bank.CSV'), BANK_FILE_TYPES.CSV);
+        assert.equal(getBankFileType('bank.tsv'), BANK_FILE_TYPES.TSV);
+        assert.equal(getBankFileType('bank.json'), BANK_FILE_TYPES.JSON);
+        assert.equal(getBankFileType('bank.txt'), BANK_FILE_TYPES.TEXT);
+        assert.equal(getBankFileType('bank'), BANK_FILE_TYPES.TEXT);
+    });
+});
+
+describe('serializeField', () => {
+    test('escapes backslashes and semicolons', () => {
+        assert.equal(serializeField('a;b\\c'), 'a\\;b\\\\c');
+    });
+    
+    test('rejects line breaks', () => {
+        assert.throws(() => serializeField('two\nlines'), /line breaks/);
+    });
+});
+
+describe('serializeBank', () => {
+    test('round-trips through the parser without losing anything', () => {
+        const parsed = parseQuestionBank(FLAT_BANK, 'bank.txt');
+        assert.equal(parsed.errors.length, 0);
+        assert.equal(parsed.questions[0].question, 'Solve x;y = 1;2. What is x?');
+        assert.equal(parsed.questions[1].question, 'A path like C:\\temp uses which slash?');
+        
+        const reparsed = parseQuestionBank(serializeBank(parsed.questions), 'bank.txt');
+        assert.equal(reparsed.errors.length, 0);
+        assert.deepEqual(toRecords(reparsed.questions), toRecords(parsed.questions));
+    });
+});
+
+describe('parseDelimited', () => {
+    test('reads quoted cells with delimiters, doubled quotes and line breaks', () => {
+        const rows = parseDelimited('a,"b, c","say ""hi"""\n"two\nlines",x,y\n', ',');
+        assert.deepEqual(rows, [
+            { cells: ['a', 'b, c', 'say "hi"'], line: 1 },
+            { cells: ['two\nlines', 'x', 'y'], line: 2 }
+        ]);
+    });
+});
+
+describe('spreadsheet and JSON banks', () => {
+    const questions = parseQuestionBank(FLAT_BANK, 'bank.txt').questions;
+    
+    [BANK_FILE_TYPES.CSV, BANK_FILE_TYPES.TSV, BANK_FILE_TYPES.JSON].forEach(type => {
+        test(`round-trips a bank through ${type.toUpperCase()}`, () => {
+            const content = exportBank(questions, type);
+            const result = parseBankFile(content, `bank.${type}`);
+            assert.equal(result.errors.length, 0);
+            assert.deepEqual(toRecords(result.questions), toRecords(questions));
+        });
+    });
+    
+    test('reads answers separated by | in a CSV cell', () => {
+        const csv = 'category,question,answers,level,author\n'
+            + 'Humanities>Geography,"What is the capital of France, in short?",PARIS | CITY OF LIGHT,Freshman,NCAL\n';
+        const [question] = parseBankFile(csv, 'bank.csv').questions;
+        assert.equal(question.question, 'What is the capital of France, in short?');
+        assert.deepEqual(question.answers, ['PARIS', 'CITY OF LIGHT']);
+    });
+    
+    test('reports bad rows at their line in the spreadsheet', () => {
+        const csv = 'category,question,answers,level,author\n'
+            + 'Humanities>Geography,What is the capital of France?,PARIS,Freshman,NCAL\n'
+            + 'Humanities>Geography,What is the capital of Spain?,MADRID,Expert,NCAL\n';
+        const result = parseBankFile(csv, 'bank.csv');
+        assert.equal(result.questions.length, 1);
+        assert.equal(result.errors.length, 1);
+        assert.equal(result.errors[0].line, 3);
+    });
+    
+    test('rejects a spreadsheet without the required columns', () => {
+        assert.throws(() => parseBankFile('category,question,answers,level\n', 'bank.csv'), /Missing required column: author/);
+    });
+});
@@ -0,0 +1,361 @@
+/**
+ * Algebraic expressions in Math answers
+ * Reads expressions written with symbols ("13x^2", "100*sqrt(3)", "π/3") or in words
+ * ("13 x squared", "100 times root 3", "pi over 3") and checks two expressions for
+ * equivalence by evaluating them at sample points
+ */
+
+import { isNumberWord, readNumber, readOrdinal } from './numbers.js';
+
+// Spoken operators rewritten as symbols before tokenizing; longer phrases come first
+const SPOKEN_OPERATORS = [
+    [/\bTO THE POWER OF\b/g, ' ^ '],
+    [/\bRAISED TO(?: THE POWER OF)?\b/g, ' ^ '],
+    [/\bSQUARED\b/g, ' ^ 2 '],
+    [/\bCUBED\b/g, ' ^ 3 '],
+    [/\bSQUARE ROOT(?: OF)?\b/g, ' SQRT '],
+    [/\bCUBE ROOT(?: OF)?\b/g, ' CBRT '],
+    [/\bROOT(?: OF)?\b/g, ' SQRT '],
+    [/\bMULTIPLIED BY\b/g, ' * '],
+    [/\bTIMES\b/g, ' * '],
+    [/\bDIVIDED BY\b/g, ' / '],
+    [/\bOVER\b/g, ' / '],
+    [/\bPLUS\b/g, ' + '],
+    [/\bMINUS\b/g, ' - '],
+    [/\bNEGATIVE\b/g, ' - '],
+    [/\bIS EQUAL TO\b|\bEQUALS\b/g, ' = ']
+];
+
+// Functions by name, with their spoken spellings
+const FUNCTIONS = {
+    SQRT: Math.sqrt,
+    CBRT: Math.cbrt,
+    SIN: Math.sin,
+    COS: Math.cos,
+    TAN: Math.tan,
+    LN: Math.log,
+    LOG: Math.log10,
+    ABS: Math.abs
+};
+const FUNCTION_ALIASES = { SINE: 'SIN', COSINE: 'COS', TANGENT: 'TAN' };
+
+// Values tried for each variable; a variable's letter scales them so x and y differ.
+// Negative values tell x apart from sqrt(x^2)
+const SAMPLE_VALUES = [0.7, 1.3, 2.1, 2.9, 3.7, 0.45, -1.1, -2.3];
+
+// Points where both sides must be defined for a comparison to count
+const MIN_DEFINED_SAMPLES = 3;
+
+/**
+ * Checks whether a category is a Math category
+ * @param {string} category - Category path (e.g. "Math>Algebra")
+ * @returns {boolean} True for Math and its subjects
+ */
+export function isMathCategory(category) {
+    return category.split('>')[0].trim().toUpperCase() === 'MATH';
+}
+
+/**
+ * Rewrites spoken math as symbols ("x to the 14th" -> "x ^ 14")
+ * @param {string} text - Uppercase answer text
+ * @returns {string} Text with symbolic operators
+ */
+function rewriteSpokenMath(text) {
+    let rewritten = text
+        .replace(/[πΠ]/g, ' PI ')
+        .replace(/√/g, ' SQRT ')
+        .replace(/[×·]/g, '*')
+        .replace(/÷/g, '/')
+        .replace(/[−–]/g, '-')
+        .replace(/\*\*/g, '^')
+        .replace(/(\d),(?=\d{3}\b)/g, '$1')
+        .replace(/([A-Z]{2,})-(?=[A-Z]{2,})/g, '$1 ');
+    
+    // "to the second power", "to the 14th", "to the nth power"
+    rewritten = rewritten.replace(/\bTO THE (\w+)(?: POWER)?\b/g, (phrase, word) => {
+        const ordinal = readOrdinal(word);
+        if (ordinal !== null) {
+            return ` ^ ${ordinal} `;
+        }
+        const letter = word.match(/^([A-Z])TH$/);
+        return letter ? ` ^ ${letter[1]} ` : phrase;
+    });
+    
+    SPOKEN_OPERATORS.forEach(([pattern, symbol]) => {
+        rewritten = rewritten.replace(pattern, symbol);
+    });
+    
+    return rewritten;
+}
+
+/**
+ * Splits rewritten text into number, variable, function and operator tokens
+ * @param {string} text - Output of rewriteSpokenMath
+ * @returns {Array|null} Tokens, or null if the text contains anything else
+ */
+function tokenize(text) {
+    const rawTokens = [];
+    const tokenPattern = /\s*(\d+\.?\d*|\.\d+|[A-Z]+|[-+*/^()=])\s*/y;
+    while (tokenPattern.lastIndex < text.length) {
+        const match = tokenPattern.exec(text);
+        if (!match) {
+            return null;
+        }
+        rawTokens.push(match[1]);
+    }
+    
+    const tokens = [];
+    for (let i = 0; i < rawTokens.length; i++) {
+        const raw = rawTokens[i];
+        
+        if (/^[\d.]/.test(raw)) {
+            tokens.push({ type: 'num', value: Number(raw) });
+        } else if (/^[-+*/^()=]$/.test(raw)) {
+            tokens.push({ type: 'op', value: raw });
+        } else if (isNumberWord(raw)) {
+            // A run of number words is one number ("five twelfths", "twenty four")
+            const run = [];
+            while (i < rawTokens.length && isNumberWord(rawTokens[i])) {
+                run.push(rawTokens[i++]);
+            }
+            i--;
+            const number = readNumber(run, 0);
+            if (!number || number.next !== run.length) {
+                return null;
+            }
+            tokens.push({ type: 'num', value: number.value });
+        } else if (raw === 'PI') {
+            tokens.push({ type: 'num', value: Math.PI });
+        } else {
+            const wordTokens = tokenizeWord(raw);
+            if (!wordTokens) {
+                return null;
+            }
+            tokens.push(...wordTokens);
+            
+            // "sine of x"
+            if (wordTokens[wordTokens.length - 1].type === 'func' && rawTokens[i + 1] === 'OF') {
+                i++;
+            }
+        }
+    }
+    
+    return tokens;
+}
+
+/**
+ * Reads a word that isn't a number: a function, a single-letter variable, or a
+ * function written against its argument ("COSX")
+ * @param {string} word - Uppercase word
+ * @returns {Array|null} Tokens, or null for any other word
+ */
+function tokenizeWord(word) {
+    const name = FUNCTION_ALIASES[word] || word;
+    if (FUNCTIONS[name]) {
+        return [{ type: 'func', name }];
+    }
+    if (word.length === 1) {
+        return [{ type: 'var', name: word }];
+    }
+    
+    const prefix = Object.keys(FUNCTIONS).find(fn => word.startsWith(fn) && word.length === fn.length + 1);
+    return prefix ? [{ type: 'func', name: prefix }, { type: 'var', name: word.slice(-1) }] : null;
+}
+
+/**
+ * Builds an expression tree from tokens
+ * Juxtaposition multiplies ("13 X", "5 PI / 4") and ^ is right-associative
+ * @param {Array} tokens - Tokens from tokenize
+ * @returns {Object|null} Expression tree, or null if the tokens aren't a single expression
+ */
+function buildTree(tokens) {
+    let position = 0;
+    const peek = () => tokens[position];
+    const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+    const startsOperand = () => peek() && (peek().type !== 'op' || peek().value === '(');
+    
+    const parsePrimary = () => {
+        const token = peek();
+        if (!token) {
+            throw new Error('Unexpected end');
+        }
+        position++;
+        
+        if (token.type === 'num') {
+            return { type: 'num', value: token.value };
+        }
+        if (token.type === 'var') {
+            return { type: 'var', name: token.name };
+        }
+        if (token.type === 'func') {
+            return { type: 'call', name: token.name, arg: isOp('(') ? parsePrimary() : parsePower() };
+        }
+        if (token.value === '(') {
+            const inner = parseSum();
+            if (!isOp(')')) {
+                throw new Error('Missing )');
+            }
+            position++;
+            return inner;
+        }
+        throw new Error(`Unexpected ${token.value}`);
+    };
+    
+    const parsePower = () => {
+        const base = parsePrimary();
+        if (isOp('^')) {
+            position++;
+            return { type: 'bin', op: '^', left: base, right: parseUnary() };
+        }
+        return base;
+    };
+    
+    const parseUnary = () => {
+        if (isOp('-')) {
+            position++;
+            return { type: 'neg', arg: parseUnary() };
+        }
+        if (isOp('+')) {
+            position++;
+            return parseUnary();
+        }
+        return parsePower();
+    };
+    
+    const parseProduct = () => {
+        let left = parseUnary();
+        for (;;) {
+            if (isOp('*') || isOp('/')) {
+                const op = peek().value;
+                position++;
+                left = { type: 'bin', op, left, right: parseUnary() };
+            } else if (startsOperand()) {
+                left = { type: 'bin', op: '*', left, right: parsePower() };
+            } else {
+                return left;
+            }
+        }
+    };
+    
+    const parseSum = () => {
+        let left = parseProduct();
+        while (isOp('+') || isOp('-')) {
+            const op = peek().value;
+            position++;
+            left = { type: 'bin', op, left, right: parseProduct() };
+        }
+        return left;
+    };
+    
+    try {
+        const tree = parseSum();
+        return position === tokens.length ? tree : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Reads a math answer as an expression
+ * "x = ..." answers are read as an equation node ({ type: 'equation', variable, arg }) that
+ * keeps the variable, so "X EQUALS 6/5" matches "X = 6/5" but not "Y = 6/5" or a bare "6/5"
+ * @param {string} text - Answer text
+ * @returns {Object|null} Expression tree, or null if the text isn't an expression
+ */
+export function parseExpression(text) {
+    const tokens = tokenize(rewriteSpokenMath(text.trim().toUpperCase()));
+    if (!tokens || tokens.length === 0) {
+        return null;
+    }
+    
+    const equals = tokens.findIndex(token => token.type === 'op' && token.value === '=');
+    if (equals === -1) {
+        return buildTree(tokens);
+    }
+    if (equals !== 1 || tokens[0].type !== 'var') {
+        return null;
+    }
+    const arg = buildTree(tokens.slice(2));
+    return arg && { type: 'equation', variable: tokens[0].name, arg };
+}
+
+/**
+ * Evaluates an expression tree
+ * @param {Object} node - Expression tree
+ * @param {Object} values - Variable values by letter
+ * @returns {number} Value (NaN or Infinity where undefined)
+ */
+function evaluate(node, values) {
+    switch (node.type) {
+        case 'num':
+            return node.value;
+        case 'var':
+            return values[node.name];
+        case 'neg':
+            return -evaluate(node.arg, values);
+        case 'call':
+            return FUNCTIONS[node.name](evaluate(node.arg, values));
+        default: {
+            const left = evaluate(node.left, values);
+            const right = evaluate(node.right, values);
+            if (node.op === '+') return left + right;
+            if (node.op === '-') return left - right;
+            if (node.op === '*') return left * right;
+            if (node.op === '/') return left / right;
+            return Math.pow(left, right);
+        }
+    }
+}
+
+/**
+ * Lists the variables in an expression tree
+ * @param {Object} node - Expression tree
+ * @param {Set} [names] - Collects the names
+ * @returns {Set} Variable letters
+ */
+function collectVariables(node, names = new Set()) {
+    if (node.type === 'var') {
+        names.add(node.name);
+    }
+    [node.arg, node.left, node.right].filter(Boolean).forEach(child => collectVariables(child, names));
+    return names;
+}
+
+/**
+ * Checks whether two expressions are equal by evaluating both at the same sample points
+ * Points where both are undefined are skipped; a point where only one is defined is a mismatch.
+ * An equation only matches an equation for the same variable
+ * @param {Object} a - Expression tree from parseExpression
+ * @param {Object} b - Expression tree from parseExpression
+ * @returns {boolean} True if they agree at every sample point
+ */
+export function areEquivalentExpressions(a, b) {
+    if (a.type === 'equation' || b.type === 'equation') {
+        return a.type === b.type && a.variable === b.variable && areEquivalentExpressions(a.arg, b.arg);
+    }
+    
+    const variables = [...collectVariables(b, collectVariables(a))];
+    let defined = 0;
+    
+    for (let index = 0; index < SAMPLE_VALUES.length; index++) {
+        const values = {};
+        variables.forEach(name => {
+            values[name] = SAMPLE_VALUES[index] * (1 + (name.charCodeAt(0) - 65) * 0.0371);
+        });
+        
+        const valueA = evaluate(a, values);
+        const valueB = evaluate(b, values);
+        if (!Number.isFinite(valueA) && !Number.isFinite(valueB)) continue;
+        if (!Number.isFinite(valueA) || !Number.isFinite(valueB)) {
+            return false;
+        }
+        
+        const scale = Math.max(1, Math.abs(valueA), Math.abs(valueB));
+        if (Math.abs(valueA - valueB) > 1e-9 * scale) {
+            return false;
+        }
+        defined++;
+    }
+    
+    return defined >= MIN_DEFINED_SAMPLES;
+}
@@ -0,0 +1,72 @@
+/**
+ * Tests for reading and comparing Math expressions (expression.js)
+ * Run with: npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isMathCategory, parseExpression, areEquivalentExpressions } from './expression.js';
+
+/**
+ * Parses two answers and compares them as expressions
+ * @param {string} a - First answer
+ * @param {string} b - Second answer
+ * @returns {boolean} True if both parse and are equivalent
+ */
+function sameExpression(a, b) {
+    const left = parseExpression(a);
+    const right = parseExpression(b);
+    return Boolean(left && right && areEquivalentExpressions(left, right));
+}
+
+describe('isMathCategory', () => {
+    test('matches the Math subject and its sub-categories only', () => {
+        assert.equal(isMathCategory('Math'), true);
+        assert.equal(isMathCategory('math > Algebra'), true);
+        assert.equal(isMathCategory('Science>Physics'), false);
+    });
+});
+
+describe('parseExpression', () => {
+    test('reads symbols and spoken math', () => {
+        assert.notEqual(parseExpression('100*sqrt(3)'), null);
+        assert.notEqual(parseExpression('100 times root 3'), null);
+        assert.notEqual(parseExpression('π/3'), null);
+    });
+    
+    test('keeps the variable an equation is solved for', () => {
+        assert.equal(parseExpression('x = 6/5').variable, 'X');
+        assert.equal(parseExpression('2 = x'), null);
+    });
+    
+    test('returns null for text that is not an expression', () => {
+        assert.equal(parseExpression('the Pythagorean theorem'), null);
+        assert.equal(parseExpression('3 +'), null);
+    });
+});
+
+describe('areEquivalentExpressions', () => {
+    test('matches the spellings from the bank', () => {
+        assert.equal(sameExpression('100 TIMES ROOT 3', '100*sqrt(3)'), true);
+        assert.equal(sameExpression('13 X SQUARED', '13X^2'), true);
+        assert.equal(sameExpression('13X TO THE SECOND POWER', '13X^2'), true);
+        assert.equal(sameExpression('X TO THE POWER OF 14', 'X^14'), true);
+        assert.equal(sameExpression('pi over 3', 'π/3'), true);
+    });
+    
+    test('matches rearranged expressions and tells different ones apart', () => {
+        assert.equal(sameExpression('2(x+1)', '2x+2'), true);
+        assert.equal(sameExpression('x^2', 'sqrt(x^4)'), true);
+        assert.equal(sameExpression('x', 'sqrt(x^2)'), false);
+        assert.equal(sameExpression('13x^2', '13x^3'), false);
+        assert.equal(sameExpression('cos x', 'cos y'), false);
+    });
+    
+    test('match equations only for the same variable', () => {
+        assert.equal(sameExpression('x = 3', 'X EQUALS 3'), true);
+        assert.equal(sameExpression('Y=2X', 'y = x + x'), true);
+        assert.equal(sameExpression('x=3', 'y=3'), false);
+        assert.equal(sameExpression('X=0', '0'), false);
+        assert.equal(sameExpression('Y=2X', '2X'), false);
+    });
+});
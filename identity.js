@@ -0,0 +1,265 @@
+/**
+ * Question identity
+ * Generates question IDs, checks explicit IDs from a bank's id column, and builds
+ * migration maps that carry progress across edits that change a question's ID
+ */
+
+import { normalize, toComparisonText, getTrigrams, trigramSimilarity } from './normalize.js';
+import { parseAnswerLine } from './answer-line.js';
+
+// Explicit IDs: letters, digits and _ . : - (starting with a letter or digit), up to 64 characters
+const EXPLICIT_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.:-]{0,63}$/;
+
+// Joins a question ID to its bank's ID when another bank already uses the ID; explicit IDs
+// can't contain it
+const POOL_ID_SEPARATOR = '@';
+
+// Minimum question-text similarity for an edited question to inherit an old ID
+const MIGRATION_THRESHOLD = 0.6;
+
+// Version of the migration map format written by buildMigrationMap
+const MIGRATION_MAP_VERSION = 1;
+
+/**
+ * Hashes text to a 53-bit integer (cyrb53)
+ * Wide enough that collisions within a bank are rare; they are still checked (see createIdRegistry)
+ * @param {string} text - Text to hash
+ * @returns {number} Non-negative integer below 2^53
+ */
+function hash53(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ char, 2654435761);
+        h2 = Math.imul(h2 ^ char, 1597334677);
+    }
+    
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    
+    return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+}
+
+/**
+ * Generates the ID of a question that has no explicit ID
+ * Only the category and the question's letters and digits are hashed, so fixing
+ * answers, level, author, case, punctuation or spacing keeps the ID
+ * @param {string} category - Category path (e.g. "Humanities>Geography")
+ * @param {string} questionText - Question text
+ * @returns {string} Base-36 ID
+ */
+export function generateQuestionId(category, questionText) {
+    const key = `${toComparisonText(category)}\n${toComparisonText(questionText)}`;
+    return hash53(key).toString(36);
+}
+
+/**
+ * Checks an ID written in a bank's id column
+ * @param {string} id - Explicit ID
+ * @returns {boolean} True if the ID can be used
+ */
+export function isValidExplicitId(id) {
+    return EXPLICIT_ID_PATTERN.test(id);
+}
+
+/**
+ * Creates a per-file registry of the IDs handed out so far
+ * A repeated explicit ID is a conflict for the writer to fix; a repeated generated
+ * ID (two questions that differ only in punctuation, or a hash collision) gets a
+ * -2, -3, ... suffix in file order so it stays stable between loads
+ * @returns {Object} Registry with a claim(id, explicit, line) method
+ */
+export function createIdRegistry() {
+    const claimedLines = new Map();
+    
+    return {
+        /**
+         * Claims an ID for the question on a line
+         * @param {string} id - Explicit or generated ID
+         * @param {boolean} explicit - Whether the ID came from the bank file
+         * @param {number} line - Source line number
+         * @returns {Object} { id } with the ID to use, or { conflictLine } if an explicit ID is taken
+         */
+        claim(id, explicit, line) {
+            if (!claimedLines.has(id)) {
+                claimedLines.set(id, line);
+                return { id };
+            }
+            if (explicit) {
+                return { conflictLine: claimedLines.get(id) };
+            }
+            
+            let suffix = 2;
+            while (claimedLines.has(`${id}-${suffix}`)) {
+                suffix++;
+            }
+            const uniqueId = `${id}-${suffix}`;
+            claimedLines.set(uniqueId, line);
+            return { id: uniqueId };
+        }
+    };
+}
+
+/**
+ * Makes question IDs unique across banks
+ * Parsing only checks IDs within a file, so a question whose ID an earlier bank already uses
+ * (explicit or generated) is renamed after its own bank: "abc" in bank "extra.txt" becomes
+ * "abc@extra.txt". Explicit IDs can't contain "@", so the new ID is free unless two banks
+ * share a bank ID, and then a -2, -3, ... suffix follows it. The new ID doesn't depend on how
+ * many banks load before this one, only on which bank loads first and keeps the plain ID
+ * @param {Array} banks - Loaded banks in load order, each with its id and questions
+ * @returns {Array} Renamed questions as { bank, index, from, to, owner }, where owner is the
+ *   bank that already used the ID
+ */
+export function resolvePoolIds(banks) {
+    const owners = new Map();
+    const renamed = [];
+    
+    banks.forEach(bank => {
+        // A bank's own IDs are already unique within it, so only earlier banks can hold one
+        const bankIds = new Set(bank.questions.map(question => question.id));
+        bank.questions.forEach((question, index) => {
+            const owner = owners.get(question.id);
+            if (!owner) return;
+            
+            const bankedId = `${question.id}${POOL_ID_SEPARATOR}${bank.id}`;
+            let uniqueId = bankedId;
+            for (let suffix = 2; owners.has(uniqueId) || bankIds.has(uniqueId); suffix++) {
+                uniqueId = `${bankedId}-${suffix}`;
+            }
+            bankIds.add(uniqueId);
+            renamed.push({ bank, index, from: question.id, to: uniqueId, owner });
+            question.id = uniqueId;
+        });
+        bank.questions.forEach(question => owners.set(question.id, bank));
+    });
+    
+    return renamed;
+}
+
+/**
+ * Gives the ID a question has in its own bank file, before resolvePoolIds renamed it
+ * @param {string} id - Question ID, possibly renamed ("abc@extra.txt")
+ * @returns {string} ID as parsed from the file ("abc")
+ */
+export function toFileQuestionId(id) {
+    const separator = id.indexOf(POOL_ID_SEPARATOR);
+    return separator === -1 ? id : id.slice(0, separator);
+}
+
+/**
+ * Reduces a question to what buildMigrationMap and bank snapshots need
+ * @param {Object} question - Parsed question
+ * @returns {Object} { id, category, question, answers }
+ */
+export function toIdentityRecord(question) {
+    return {
+        id: question.id,
+        category: question.category,
+        question: question.question,
+        answers: question.answers
+    };
+}
+
+/**
+ * Lists a question's accepted answers after normalize, for pairing questions by answer
+ * @param {Object} question - Question with answers as written in the bank
+ * @returns {string[]} Normalized accepted answers
+ */
+function acceptedAnswerKeys(question) {
+    return parseAnswerLine(question.answers).accept.map(answer => normalize(answer));
+}
+
+/**
+ * Matches questions whose IDs changed between two versions of a bank
+ * Only questions whose ID disappeared are matched against questions whose ID is new.
+ * A pair must share an answer (after normalize) and have similar question text;
+ * the most similar pairs are matched first and each question is used at most once.
+ * @param {Array} oldQuestions - Questions from the old version ({ id, question, answers })
+ * @param {Array} newQuestions - Questions from the new version
+ * @returns {Object} { version, migrations: [{ from, to, similarity, question }], removed, added },
+ *   where removed and added list the IDs that could not be matched
+ */
+export function buildMigrationMap(oldQuestions, newQuestions) {
+    const oldIds = new Set(oldQuestions.map(q => q.id));
+    const newIds = new Set(newQuestions.map(q => q.id));
+    const removed = oldQuestions.filter(q => !newIds.has(q.id));
+    const added = newQuestions.filter(q => !oldIds.has(q.id));
+    
+    // Index new questions by answer so only plausible pairs are compared
+    const addedByAnswer = new Map();
+    added.forEach((question, index) => {
+        new Set(acceptedAnswerKeys(question)).forEach(answer => {
+            if (!addedByAnswer.has(answer)) {
+                addedByAnswer.set(answer, []);
+            }
+            addedByAnswer.get(answer).push(index);
+        });
+    });
+    
+    const addedTrigrams = added.map(q => getTrigrams(toComparisonText(q.question)));
+    const candidates = [];
+    removed.forEach((question, removedIndex) => {
+        const trigrams = getTrigrams(toComparisonText(question.question));
+        const compared = new Set();
+        acceptedAnswerKeys(question).forEach(answer => {
+            (addedByAnswer.get(answer) || []).forEach(addedIndex => {
+                if (compared.has(addedIndex)) return;
+                compared.add(addedIndex);
+                
+                const similarity = trigramSimilarity(trigrams, addedTrigrams[addedIndex]);
+                if (similarity >= MIGRATION_THRESHOLD) {
+                    candidates.push({ removedIndex, addedIndex, similarity });
+                }
+            });
+        });
+    });
+    
+    // Best matches first; ties resolve in file order so the map is deterministic
+    candidates.sort((a, b) => b.similarity - a.similarity
+        || a.removedIndex - b.removedIndex
+        || a.addedIndex - b.addedIndex);
+    
+    const matchedRemoved = new Set();
+    const matchedAdded = new Set();
+    const migrations = [];
+    candidates.forEach(({ removedIndex, addedIndex, similarity }) => {
+        if (matchedRemoved.has(removedIndex) || matchedAdded.has(addedIndex)) return;
+        matchedRemoved.add(removedIndex);
+        matchedAdded.add(addedIndex);
+        migrations.push({
+            from: removed[removedIndex].id,
+            to: added[addedIndex].id,
+            similarity: Math.round(similarity * 1000) / 1000,
+            question: added[addedIndex].question
+        });
+    });
+    
+    return {
+        version: MIGRATION_MAP_VERSION,
+        migrations,
+        removed: removed.filter((q, index) => !matchedRemoved.has(index)).map(q => q.id),
+        added: added.filter((q, index) => !matchedAdded.has(index)).map(q => q.id)
+    };
+}
+
+/**
+ * Follows recorded migrations from an old question ID to its current ID
+ * @param {string} id - Question ID as stored with saved progress
+ * @param {Map} migrations - Old ID to new ID
+ * @returns {string} Current ID (the same ID if it never moved)
+ */
+export function resolveQuestionId(id, migrations) {
+    const seen = new Set([id]);
+    let current = id;
+    
+    // Banks edited back and forth can record a cycle; stop at the first repeat
+    while (migrations.has(current) && !seen.has(migrations.get(current))) {
+        current = migrations.get(current);
+        seen.add(current);
+    }
+    
+    return current;
+}
@@ -0,0 +1,166 @@
+/**
+ * Tests for question IDs and ID migration maps (identity.js)
+ * Run with: npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuestionBank } from './parser.js';
+import {
+    generateQuestionId,
+    isValidExplicitId,
+    createIdRegistry,
+    buildMigrationMap,
+    resolveQuestionId,
+    resolvePoolIds,
+    toFileQuestionId
+} from './identity.js';
+
+describe('generateQuestionId', () => {
+    test('keeps the ID through fixes to case, punctuation, spacing, answers, level and author', () => {
+        const id = generateQuestionId('Humanities>Geography', 'What is the capital of France?');
+        assert.equal(generateQuestionId('Humanities>Geography', 'what is the  capital of France'), id);
+        
+        const bank = parseQuestionBank([
+            'Humanities>Geography;What is the capital of France?;["PARIS"];Freshman;NCAL',
+            'Humanities>Geography;What is the capital of france?;["PARIS","CITY OF LIGHT"];Varsity;Jane Doe'
+        ].join('\n'), 'bank.txt');
+        assert.equal(bank.questions[0].id, id);
+    });
+    
+    test('changes the ID when the wording or category changes', () => {
+        const id = generateQuestionId('Humanities>Geography', 'What is the capital of France?');
+        assert.notEqual(generateQuestionId('Humanities>Geography', 'What is the capital of Spain?'), id);
+        assert.notEqual(generateQuestionId('Humanities>World History', 'What is the capital of France?'), id);
+    });
+    
+    test('folds accents and tells apart questions written in other scripts', () => {
+        assert.equal(generateQuestionId('Languages>French', 'Que veut dire « piéton » ?'),
+            generateQuestionId('Languages>French', 'Que veut dire « pieton » ?'));
+        assert.notEqual(generateQuestionId('Languages>Russian', 'Что значит «мир»?'),
+            generateQuestionId('Languages>Russian', 'Что значит «дом»?'));
+    });
+});
+
+describe('createIdRegistry', () => {
+    test('suffixes repeated generated IDs in file order', () => {
+        const ids = createIdRegistry();
+        assert.deepEqual(ids.claim('abc', false, 1), { id: 'abc' });
+        assert.deepEqual(ids.claim('abc', false, 2), { id: 'abc-2' });
+        assert.deepEqual(ids.claim('abc', false, 3), { id: 'abc-3' });
+    });
+    
+    test('reports a repeated explicit ID as a conflict', () => {
+        const ids = createIdRegistry();
+        ids.claim('geo-paris', true, 4);
+        assert.deepEqual(ids.claim('geo-paris', true, 9), { conflictLine: 4 });
+    });
+});
+
+describe('explicit IDs', () => {
+    test('accepts letters, digits and _ . : - up to 64 characters', () => {
+        assert.equal(isValidExplicitId('geo-paris_2024.v1:a'), true);
+        assert.equal(isValidExplicitId('-leading-dash'), false);
+        assert.equal(isValidExplicitId('has space'), false);
+        assert.equal(isValidExplicitId('a'.repeat(65)), false);
+    });
+    
+    test('are read from the id column and must be unique within a file', () => {
+        const bank = parseQuestionBank([
+            '#format: 2',
+            '#columns: id',
+            'Humanities>Geography;What is the capital of France?;["PARIS"];Freshman;NCAL;geo-paris',
+            'Humanities>Geography;What is the capital of Spain?;["MADRID"];Freshman;NCAL;geo-paris'
+        ].join('\n'), 'bank.txt');
+        assert.deepEqual(bank.questions.map(question => question.id), ['geo-paris']);
+        assert.match(bank.errors[0].reason, /Duplicate question ID "geo-paris" \(already used on line 3\)/);
+    });
+});
+
+describe('buildMigrationMap', () => {
+    const oldQuestions = [
+        { id: 'a', question: 'What is the capitol of France?', answers: ['PARIS'] },
+        { id: 'b', question: 'What is the largest planet?', answers: ['JUPITER'] },
+        { id: 'c', question: 'Who wrote Hamlet?', answers: ['SHAKESPEARE'] }
+    ];
+    const newQuestions = [
+        { id: 'a2', question: 'What is the capital of France?', answers: ['PARIS'] },
+        { id: 'b', question: 'What is the largest planet?', answers: ['JUPITER'] },
+        { id: 'd', question: 'Who painted the Mona Lisa?', answers: ['DA VINCI'] }
+    ];
+    
+    test('carries an edited question over to its new ID', () => {
+        const map = buildMigrationMap(oldQuestions, newQuestions);
+        assert.deepEqual(map.migrations.map(({ from, to }) => ({ from, to })), [{ from: 'a', to: 'a2' }]);
+        assert.deepEqual(map.removed, ['c']);
+        assert.deepEqual(map.added, ['d']);
+    });
+    
+    test('needs a shared answer to pair questions', () => {
+        const map = buildMigrationMap(oldQuestions.slice(0, 1), [{ id: 'x', question: 'What is the capital of France?', answers: ['LYON'] }]);
+        assert.deepEqual(map.migrations, []);
+    });
+});
+
+describe('resolveQuestionId', () => {
+    test('follows chained migrations and stops at a cycle', () => {
+        assert.equal(resolveQuestionId('a', new Map([['a', 'b'], ['b', 'c']])), 'c');
+        assert.equal(resolveQuestionId('a', new Map([['a', 'b'], ['b', 'a']])), 'b');
+        assert.equal(resolveQuestionId('z', new Map()), 'z');
+    });
+});
+
+describe('resolvePoolIds', () => {
+    /**
+     * Builds a loaded bank with questions that have the given IDs
+     * @param {string} id - Bank ID
+     * @param {string[]} questionIds - Question IDs
+     * @returns {Object} Bank
+     */
+    function makeBank(id, questionIds) {
+        return { id, file: id, questions: questionIds.map(questionId => ({ id: questionId })) };
+    }
+    
+    test('renames a reused ID after its own bank and reports the bank that kept it', () => {
+        const sample = makeBank('sample.txt', ['a', 'b']);
+        const extra = makeBank('extra.txt', ['b', 'c']);
+        const renamed = resolvePoolIds([sample, extra]);
+        assert.deepEqual(extra.questions.map(question => question.id), ['b@extra.txt', 'c']);
+        assert.deepEqual(renamed.map(({ index, from, to, owner }) => ({ index, from, to, owner: owner.id })),
+            [{ index: 0, from: 'b', to: 'b@extra.txt', owner: 'sample.txt' }]);
+    });
+    
+    test('gives the same new ID whatever other banks load before', () => {
+        const alone = [makeBank('sample.txt', ['b']), makeBank('extra.txt', ['b'])];
+        const withMore = [makeBank('sample.txt', ['b']), makeBank('other.txt', ['b']), makeBank('extra.txt', ['b'])];
+        resolvePoolIds(alone);
+        resolvePoolIds(withMore);
+        assert.equal(alone[1].questions[0].id, 'b@extra.txt');
+        assert.equal(withMore[2].questions[0].id, 'b@extra.txt');
+        assert.equal(withMore[1].questions[0].id, 'b@other.txt');
+    });
+    
+    test('keeps the plain ID with the bank that loads first', () => {
+        const banks = [makeBank('extra.txt', ['b']), makeBank('sample.txt', ['b'])];
+        resolvePoolIds(banks);
+        assert.deepEqual(banks.map(bank => bank.questions[0].id), ['b', 'b@sample.txt']);
+    });
+    
+    test('numbers the new ID only when two banks share a bank ID', () => {
+        const banks = [makeBank('x.txt', ['b']), makeBank('x.txt', ['b']), makeBank('x.txt', ['b'])];
+        resolvePoolIds(banks);
+        assert.deepEqual(banks.map(bank => bank.questions[0].id), ['b', 'b@x.txt', 'b@x.txt-2']);
+    });
+    
+    test('leaves IDs alone when resolved again', () => {
+        const banks = [makeBank('sample.txt', ['b']), makeBank('extra.txt', ['b'])];
+        resolvePoolIds(banks);
+        assert.deepEqual(resolvePoolIds(banks), []);
+    });
+    
+    test('can be traced back to the ID in the bank file', () => {
+        assert.equal(toFileQuestionId('b@extra.txt'), 'b');
+        assert.equal(toFileQuestionId('b@x.txt-2'), 'b');
+        assert.equal(toFileQuestionId('geo-paris'), 'geo-paris');
+    });
+});
@@ -0,0 +1,247 @@
+/**
+ * Match simulation
+ * Reads match templates (rounds with their own question count, subject mix, level, timing
+ * and scoring), picks each round's questions, and scores the rounds as they're played
+ *
+ * Template format:
+ * {
+ *     "name": "NCAL League Match",
+ *     "rounds": [
+ *         {
+ *             "name": "Toss-ups",
+ *             "questions": 10,
+ *             "subjects": { "Science": 4, "Humanities>World History": 2 },
+ *             "level": "Junior Varsity",
+ *             "time": 10,
+ *             "buzzer": true,
+ *             "points": { "correct": 10, "wrong": 0, "earlyCorrect": 15, "earlyWrong": -5 }
+ *         }
+ *     ]
+ * }
+ */
+
+import { isAcceptedResult } from './normalize.js';
+import { findLevel } from './parser.js';
+import { isEarlyBuzz } from './buzzer.js';
+
+// Seconds per question for rounds that don't set a time
+const DEFAULT_QUESTION_TIME = 10;
+
+// Points for rounds that don't set them; early buzzes score like other answers unless set
+const DEFAULT_POINTS = {
+    correct: 10,
+    wrong: 0
+};
+
+/**
+ * Checks a round's subject mix
+ * @param {*} subjects - Subject path to question count, e.g. { "Science": 4 }
+ * @param {string} label - Round label for error messages
+ * @returns {Array} Mix as { path, count }
+ */
+function parseSubjectMix(subjects, label) {
+    if (subjects === undefined) {
+        return [];
+    }
+    if (!subjects || typeof subjects !== 'object' || Array.isArray(subjects)) {
+        throw new Error(`${label}: "subjects" must map subjects to question counts`);
+    }
+    
+    return Object.entries(subjects).map(([path, count]) => {
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error(`${label}: the count for "${path}" must be a whole number above 0`);
+        }
+        return { path, count };
+    });
+}
+
+/**
+ * Checks a round's point values, filling in defaults
+ * @param {*} points - Points as { correct, wrong, earlyCorrect, earlyWrong }, all optional
+ * @param {string} label - Round label for error messages
+ * @returns {Object} Complete point values
+ */
+function parsePoints(points = {}, label) {
+    if (!points || typeof points !== 'object') {
+        throw new Error(`${label}: "points" must be an object`);
+    }
+    
+    const correct = points.correct ?? DEFAULT_POINTS.correct;
+    const wrong = points.wrong ?? DEFAULT_POINTS.wrong;
+    const values = {
+        correct,
+        wrong,
+        earlyCorrect: points.earlyCorrect ?? correct,
+        earlyWrong: points.earlyWrong ?? wrong
+    };
+    Object.entries(values).forEach(([key, value]) => {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new Error(`${label}: points "${key}" must be a number`);
+        }
+    });
+    return values;
+}
+
+/**
+ * Checks one round of a template
+ * @param {*} round - Round as written in the template
+ * @param {number} index - Round position
+ * @returns {Object} Round with name, questions, subjects, level, time, buzzer and points
+ */
+function parseRound(round, index) {
+    const label = `Round ${index + 1}`;
+    if (!round || typeof round !== 'object') {
+        throw new Error(`${label} must be an object`);
+    }
+    
+    if (!Number.isInteger(round.questions) || round.questions < 1) {
+        throw new Error(`${label}: "questions" must be a whole number above 0`);
+    }
+    
+    const time = round.time ?? DEFAULT_QUESTION_TIME;
+    if (!Number.isInteger(time) || time < 1) {
+        throw new Error(`${label}: "time" must be a whole number of seconds`);
+    }
+    
+    const subjects = parseSubjectMix(round.subjects, label);
+    const mixed = subjects.reduce((sum, subject) => sum + subject.count, 0);
+    if (mixed > round.questions) {
+        throw new Error(`${label}: the subject mix asks for ${mixed} questions but the round has ${round.questions}`);
+    }
+    
+    let level = '';
+    if (round.level !== undefined && round.level !== '') {
+        level = typeof round.level === 'string' ? findLevel(round.level) : null;
+        if (!level) {
+            throw new Error(`${label}: unknown level "${round.level}"`);
+        }
+    }
+    
+    return {
+        name: (typeof round.name === 'string' && round.name.trim()) || label,
+        questions: round.questions,
+        subjects,
+        level,
+        time,
+        buzzer: round.buzzer === true,
+        points: parsePoints(round.points, label)
+    };
+}
+
+/**
+ * Checks a match template and fills in defaults
+ * @param {*} template - Parsed template JSON
+ * @returns {Object} { name, rounds }
+ * @throws {Error} If the template is malformed, naming the round at fault
+ */
+export function parseMatchTemplate(template) {
+    if (!template || !Array.isArray(template.rounds) || template.rounds.length === 0) {
+        throw new Error('A match template needs a "rounds" list');
+    }
+    
+    return {
+        name: (typeof template.name === 'string' && template.name.trim()) || 'Match',
+        rounds: template.rounds.map(parseRound)
+    };
+}
+
+/**
+ * Checks whether a question belongs to a subject path
+ * @param {Object} question - Question
+ * @param {string} path - Broad subject ("Science") or category ("Science>Physics")
+ * @returns {boolean} True if the question's category is the path or under it
+ */
+function isInSubject(question, path) {
+    return question.category === path || question.category.startsWith(`${path}>`);
+}
+
+/**
+ * Picks a round's questions: the subject mix first, then any subject for the rest
+ * A round gets fewer questions than it asks for when the pool runs out
+ * @param {Array} questions - Question pool, already shuffled
+ * @param {Object} round - Round from parseMatchTemplate
+ * @param {Set} used - Questions asked in earlier rounds; the picks are added to it
+ * @returns {Array} Questions for the round, in the order they'll be asked
+ */
+export function pickRoundQuestions(questions, round, used) {
+    const available = questions.filter(question =>
+        !used.has(question) && (!round.level || question.level === round.level));
+    const picked = [];
+    
+    const take = (matches, count) => {
+        available
+            .filter(question => !used.has(question) && matches(question))
+            .slice(0, count)
+            .forEach(question => {
+                used.add(question);
+                picked.push(question);
+            });
+    };
+    
+    round.subjects.forEach(subject => take(question => isInSubject(question, subject.path), subject.count));
+    take(() => true, round.questions - picked.length);
+    
+    return picked;
+}
+
+/**
+ * Finds the subjects in a round's mix that didn't get all their questions
+ * Picks are counted against the mix in order, like pickRoundQuestions takes them
+ * @param {Object} round - Round from parseMatchTemplate
+ * @param {Array} picked - Questions from pickRoundQuestions
+ * @returns {Array} Short subjects as { path, wanted, found }
+ */
+export function findSubjectShortfalls(round, picked) {
+    const counted = new Set();
+    
+    return round.subjects
+        .map(subject => {
+            const found = picked
+                .filter(question => !counted.has(question) && isInSubject(question, subject.path))
+                .slice(0, subject.count);
+            found.forEach(question => counted.add(question));
+            return { path: subject.path, wanted: subject.count, found: found.length };
+        })
+        .filter(subject => subject.found < subject.wanted);
+}
+
+/**
+ * Scores one answer with a round's point values
+ * Questions skipped or timed out without an early buzz score nothing
+ * @param {Object|undefined} answer - Entry from appState.userAnswers
+ * @param {Object} points - Round's point values
+ * @returns {number} Points scored
+ */
+export function scoreMatchAnswer(answer, points) {
+    if (!answer) {
+        return 0;
+    }
+    
+    const early = isEarlyBuzz(answer.buzz);
+    if (isAcceptedResult(answer.correctness)) {
+        return early ? points.earlyCorrect : points.correct;
+    }
+    if (early) {
+        return points.earlyWrong;
+    }
+    return answer.correctness === 'Timeout' ? 0 : points.wrong;
+}
+
+/**
+ * Totals a played round
+ * @param {Object} round - Round from parseMatchTemplate
+ * @param {Array} userAnswers - Answers given in the round
+ * @param {number} asked - Questions in the round
+ * @returns {Object} { name, asked, answered, correct, points }
+ */
+export function scoreMatchRound(round, userAnswers, asked) {
+    const answers = userAnswers.filter(Boolean);
+    
+    return {
+        name: round.name,
+        asked,
+        answered: answers.length,
+        correct: answers.filter(answer => isAcceptedResult(answer.correctness)).length,
+        points: answers.reduce((sum, answer) => sum + scoreMatchAnswer(answer, round.points), 0)
+    };
+}
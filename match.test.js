@@ -0,0 +1,143 @@
+/**
+ * Tests for match templates, round picks and round scoring (match.js)
+ * Run with: npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMatchTemplate, pickRoundQuestions, findSubjectShortfalls, scoreMatchAnswer, scoreMatchRound } from './match.js';
+
+// Point values of a buzzer round
+const BUZZER_POINTS = { correct: 10, wrong: 0, earlyCorrect: 15, earlyWrong: -5 };
+
+/**
+ * Builds a minimal question
+ * @param {string} id - Question ID
+ * @param {string} category - Category path
+ * @param {string} [level] - Level
+ * @returns {Object} Question
+ */
+function makeQuestion(id, category, level = 'Varsity') {
+    return { id, category, level };
+}
+
+describe('parseMatchTemplate', () => {
+    test('fills in defaults', () => {
+        const match = parseMatchTemplate({ rounds: [{ questions: 5 }] });
+        assert.deepEqual(match, {
+            name: 'Match',
+            rounds: [{
+                name: 'Round 1',
+                questions: 5,
+                subjects: [],
+                level: '',
+                time: 10,
+                buzzer: false,
+                points: { correct: 10, wrong: 0, earlyCorrect: 10, earlyWrong: 0 }
+            }]
+        });
+    });
+    
+    test('reads the subject mix and finds the level whatever its casing', () => {
+        const [round] = parseMatchTemplate({
+            rounds: [{ questions: 6, subjects: { Science: 2, 'Humanities>Geography': 3 }, level: 'junior varsity' }]
+        }).rounds;
+        assert.deepEqual(round.subjects, [{ path: 'Science', count: 2 }, { path: 'Humanities>Geography', count: 3 }]);
+        assert.equal(round.level, 'Junior Varsity');
+    });
+    
+    test('rejects templates without rounds', () => {
+        assert.throws(() => parseMatchTemplate({}), /needs a "rounds" list/);
+        assert.throws(() => parseMatchTemplate({ rounds: [] }), /needs a "rounds" list/);
+    });
+    
+    test('names the round at fault', () => {
+        const check = (round, message) => assert.throws(
+            () => parseMatchTemplate({ rounds: [{ questions: 1 }, round] }),
+            error => error.message.startsWith('Round 2') && message.test(error.message)
+        );
+        check({ questions: 0 }, /"questions" must be a whole number/);
+        check({ questions: 2, time: 2.5 }, /"time" must be a whole number of seconds/);
+        check({ questions: 2, subjects: ['Science'] }, /"subjects" must map subjects/);
+        check({ questions: 2, subjects: { Science: 0 } }, /count for "Science"/);
+        check({ questions: 2, subjects: { Science: 2, Math: 1 } }, /asks for 3 questions but the round has 2/);
+        check({ questions: 2, level: 'Expert' }, /unknown level "Expert"/);
+        check({ questions: 2, points: { correct: '10' } }, /points "correct" must be a number/);
+    });
+});
+
+describe('pickRoundQuestions', () => {
+    const pool = [
+        makeQuestion('m1', 'Math>Algebra'),
+        makeQuestion('p1', 'Science>Physics'),
+        makeQuestion('c1', 'Science>Chemistry'),
+        makeQuestion('p2', 'Science>Physics', 'Freshman'),
+        makeQuestion('g1', 'Humanities>Geography'),
+        makeQuestion('p3', 'Science>Physics')
+    ];
+    
+    test('takes the subject mix first, then the rest from any subject', () => {
+        const round = { questions: 3, subjects: [{ path: 'Science>Physics', count: 2 }], level: '' };
+        const picked = pickRoundQuestions(pool, round, new Set());
+        assert.deepEqual(picked.map(question => question.id), ['p1', 'p2', 'm1']);
+    });
+    
+    test('keeps to the round level and never repeats a question', () => {
+        const used = new Set();
+        const round = { questions: 2, subjects: [{ path: 'Science', count: 2 }], level: 'Varsity' };
+        
+        assert.deepEqual(pickRoundQuestions(pool, round, used).map(question => question.id), ['p1', 'c1']);
+        assert.deepEqual(pickRoundQuestions(pool, round, used).map(question => question.id), ['p3', 'm1']);
+    });
+    
+    test('comes up short when the pool runs out', () => {
+        const round = { questions: 10, subjects: [], level: 'Freshman' };
+        assert.deepEqual(pickRoundQuestions(pool, round, new Set()).map(question => question.id), ['p2']);
+    });
+});
+
+describe('findSubjectShortfalls', () => {
+    test('lists the subjects that got fewer questions than the mix asks for', () => {
+        const round = {
+            questions: 4,
+            subjects: [{ path: 'Science', count: 1 }, { path: 'Science>Physics', count: 2 }, { path: 'Math', count: 1 }]
+        };
+        const picked = [
+            makeQuestion('c1', 'Science>Chemistry'),
+            makeQuestion('p1', 'Science>Physics'),
+            makeQuestion('m1', 'Math>Algebra'),
+            makeQuestion('g1', 'Humanities>Geography')
+        ];
+        assert.deepEqual(findSubjectShortfalls(round, picked), [{ path: 'Science>Physics', wanted: 2, found: 1 }]);
+    });
+});
+
+describe('scoreMatchAnswer', () => {
+    test('uses the round point values for early and late buzzes', () => {
+        const early = { word: 4, words: 20 };
+        assert.equal(scoreMatchAnswer({ correctness: 'Correct', buzz: early }, BUZZER_POINTS), 15);
+        assert.equal(scoreMatchAnswer({ correctness: 'Incorrect', buzz: early }, BUZZER_POINTS), -5);
+        assert.equal(scoreMatchAnswer({ correctness: 'Close' }, BUZZER_POINTS), 10);
+        assert.equal(scoreMatchAnswer({ correctness: 'Incorrect' }, { ...BUZZER_POINTS, wrong: -2 }), -2);
+    });
+    
+    test('scores skipped questions and plain timeouts as nothing', () => {
+        const points = { ...BUZZER_POINTS, wrong: -2 };
+        assert.equal(scoreMatchAnswer(undefined, points), 0);
+        assert.equal(scoreMatchAnswer({ correctness: 'Timeout' }, points), 0);
+        assert.equal(scoreMatchAnswer({ correctness: 'Timeout', buzz: { word: 4, words: 20 } }, points), -5);
+    });
+});
+
+describe('scoreMatchRound', () => {
+    test('totals the answers given in a round', () => {
+        const round = { name: 'Toss-ups', points: BUZZER_POINTS };
+        const answers = [
+            { correctness: 'Correct', buzz: { word: 4, words: 20 } },
+            undefined,
+            { correctness: 'Incorrect', buzz: { word: 2, words: 20 } },
+            { correctness: 'Correct', buzz: { word: null, words: 20 } }
+        ];
+        assert.deepEqual(scoreMatchRound(round, answers, 5), { name: 'Toss-ups', asked: 5, answered: 3, correct: 2, points: 20 });
+    });
+});
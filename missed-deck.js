@@ -0,0 +1,53 @@
+/**
+ * Missed deck
+ * Keeps every question a student got wrong or ran out of time on, across sessions, until
+ * they answer it right enough times in a row
+ */
+
+import { isAcceptedResult } from './normalize.js';
+
+// Where a session's questions come from
+export const QUESTION_SOURCES = {
+    BANKS: 'banks',
+    MISSED: 'missed'
+};
+
+// Results that put a question in the missed deck
+const MISSED_RESULTS = ['Incorrect', 'Timeout'];
+
+// Correct answers in a row that take a question out of the deck unless the student picks another number
+export const DEFAULT_CLEAR_STREAK = 2;
+
+/**
+ * Checks whether a result puts a question in the missed deck
+ * @param {string} correctness - Recorded result
+ * @returns {boolean} True for wrong answers and timeouts
+ */
+export function isMissedResult(correctness) {
+    return MISSED_RESULTS.includes(correctness);
+}
+
+/**
+ * Works out a question's place in the missed deck after answering it
+ * A partly correct answer keeps a question in the deck but starts its streak over
+ * @param {Object|null} entry - Current deck entry ({ misses, streak, missedAt }), or null for a
+ *   question not in the deck
+ * @param {string} correctness - Recorded result
+ * @param {number} clearStreak - Correct answers in a row that take a question out of the deck
+ * @param {number} [now] - Time of the answer
+ * @returns {Object|null} Updated entry, or null if the question isn't in the deck any more
+ */
+export function updateMissedEntry(entry, correctness, clearStreak, now = Date.now()) {
+    if (isMissedResult(correctness)) {
+        return { ...entry, misses: (entry?.misses ?? 0) + 1, streak: 0, missedAt: now };
+    }
+    if (!entry) {
+        return null;
+    }
+    if (!isAcceptedResult(correctness)) {
+        return { ...entry, streak: 0 };
+    }
+    
+    const streak = entry.streak + 1;
+    return streak >= clearStreak ? null : { ...entry, streak };
+}
@@ -0,0 +1,52 @@
+/**
+ * Tests for the missed deck (missed-deck.js)
+ * Run with: npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isMissedResult, updateMissedEntry } from './missed-deck.js';
+
+// Time of the answer being recorded
+const NOW = 1760000000000;
+
+describe('isMissedResult', () => {
+    test('counts wrong answers and timeouts as misses', () => {
+        assert.equal(isMissedResult('Incorrect'), true);
+        assert.equal(isMissedResult('Timeout'), true);
+        assert.equal(isMissedResult('Partial'), false);
+        assert.equal(isMissedResult('Correct'), false);
+    });
+});
+
+describe('updateMissedEntry', () => {
+    test('adds a missed question to the deck', () => {
+        assert.deepEqual(updateMissedEntry(null, 'Timeout', 2, NOW), { misses: 1, streak: 0, missedAt: NOW });
+    });
+    
+    test('leaves a question that was never missed out of the deck', () => {
+        assert.equal(updateMissedEntry(null, 'Correct', 2, NOW), null);
+        assert.equal(updateMissedEntry(null, 'Partial', 2, NOW), null);
+    });
+    
+    test('counts another miss and starts the streak over', () => {
+        const entry = { misses: 1, streak: 1, missedAt: NOW - 1000 };
+        assert.deepEqual(updateMissedEntry(entry, 'Incorrect', 2, NOW), { misses: 2, streak: 0, missedAt: NOW });
+    });
+    
+    test('keeps a question in the deck until the streak reaches the clear streak', () => {
+        const entry = { misses: 1, streak: 0, missedAt: NOW };
+        const once = updateMissedEntry(entry, 'Correct', 2, NOW);
+        assert.deepEqual(once, { misses: 1, streak: 1, missedAt: NOW });
+        assert.equal(updateMissedEntry(once, 'Close', 2, NOW), null);
+    });
+    
+    test('resets the streak on a partly correct answer without clearing the question', () => {
+        const entry = { misses: 2, streak: 1, missedAt: NOW };
+        assert.deepEqual(updateMissedEntry(entry, 'Partial', 2, NOW), { misses: 2, streak: 0, missedAt: NOW });
+    });
+    
+    test('clears a question on its first right answer with a clear streak of 1', () => {
+        assert.equal(updateMissedEntry({ misses: 1, streak: 0, missedAt: NOW }, 'Correct', 1, NOW), null);
+    });
+});
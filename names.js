@@ -0,0 +1,104 @@
+/**
+ * Personal names in answers
+ * Spots questions that ask for a person and works out the surnames a full-name answer
+ * can be given as, so "PINTER" can be accepted for "HAROLD PINTER"
+ */
+
+// Roles that make "Name the ...", "Identify this ..." or "Give the name of the ..." ask for a person
+const PERSON_ROLES = [
+    'author', 'writer', 'poet', 'playwright', 'dramatist', 'novelist', 'essayist', 'composer',
+    'painter', 'sculptor', 'artist', 'architect', 'photographer', 'director', 'scientist',
+    'physicist', 'chemist', 'biologist', 'astronomer', 'mathematician', 'economist',
+    'philosopher', 'psychologist', 'physician', 'inventor', 'explorer', 'president', 'general',
+    'admiral', 'leader', 'ruler', 'statesman', 'politician', 'person', 'man', 'woman'
+];
+
+// "Who was...", or a role as the object of Name/Identify/Give, possibly after a few
+// adjectives ("Identify the British playwright"); "the poet's nationality" doesn't count
+const PERSON_QUESTION_PATTERN = new RegExp(
+    '^\\s*(?:who|whom|whose)\\b'
+    + '|^\\s*(?:name|identify|give(?: the name of)?)\\s+(?:the|this|that|a|an)\\s+'
+    + `(?:[\\w.-]+\\s+){0,3}?(?:${PERSON_ROLES.join('|')})s?\\b(?!')`,
+    'i'
+);
+
+// Surnames shared by people a question could mean, so a surname alone draws a prompt
+export const AMBIGUOUS_SURNAMES = new Set([
+    'ADAMS', 'BACH', 'BHUTTO', 'BRONTE', 'BUSH', 'CLINTON', 'CROMWELL', 'CURIE', 'DARWIN',
+    'DUMAS', 'ELIOT', 'GANDHI', 'GRIMM', 'HARRISON', 'HUXLEY', 'JAMES', 'JOHNSON', 'KENNEDY',
+    'MANN', 'MEDICI', 'PITT', 'ROOSEVELT', 'SCHLEGEL', 'SMITH', 'STRAUSS', 'WRIGHT'
+]);
+
+// Words that join a surname to the name before it ("VAN BEETHOVEN", "DE GAULLE", "BEN GURION")
+const SURNAME_PARTICLES = new Set([
+    'AL', 'BEN', 'BIN', 'DA', 'DE', 'DEL', 'DELLA', 'DEN', 'DER', 'DES', 'DI', 'DU', 'EL',
+    'IBN', 'LA', 'LE', 'MAC', 'ST', 'TEN', 'TER', 'VAN', 'VON'
+]);
+
+// Generational suffixes and regnal numbers after a name ("KING JR", "HAILE SELASSIE I")
+const NAME_SUFFIX_PATTERN = /^(?:JR|SR|[IVX]+)$/;
+
+// Titles and epithets that end names but aren't surnames ("KUBLAI KHAN", "SHAKA ZULU")
+const NOT_SURNAMES = new Set(['KHAN', 'ZULU', 'GREAT', 'ELDER', 'YOUNGER', 'CONQUEROR', 'SAINT']);
+
+// Words that make an answer a description rather than a name ("ALEXANDER III OF MACEDON")
+const NOT_NAME_WORDS = new Set(['OF', 'THE', 'AND', 'FOR', 'FROM']);
+
+// Shortest surname accepted on its own ("ZHENG HE" is not "HE")
+const MIN_SURNAME_LENGTH = 3;
+
+// Longest name, in words, that is read as a personal name
+const MAX_NAME_WORDS = 5;
+
+/**
+ * Checks whether a question asks for a person
+ * @param {string} questionText - Question text
+ * @returns {boolean} True for "Who..." questions and ones that name a person's role
+ */
+export function isPersonQuestion(questionText) {
+    return PERSON_QUESTION_PATTERN.test(questionText);
+}
+
+/**
+ * Works out the surnames a full name can be given as
+ * "LUDWIG VAN BEETHOVEN" gives "VAN BEETHOVEN" and "BEETHOVEN"; "MARTIN LUTHER KING JR." gives
+ * "KING". Hyphenated names stay whole ("DAVID BEN-GURION" gives "BEN-GURION", never "GURION")
+ * @param {string} name - Answer as written
+ * @returns {string[]} Surname forms in uppercase (normalize them to compare), or none if the
+ *   answer doesn't look like a full name
+ */
+export function getSurnames(name) {
+    const words = name.trim().toUpperCase().split(/\s+/).map(word => word.replace(/\.$/, ''));
+    while (words.length > 1 && NAME_SUFFIX_PATTERN.test(words[words.length - 1])) {
+        words.pop();
+    }
+    if (words.length < 2 || words.length > MAX_NAME_WORDS
+        || !words.every(word => /^[\p{L}'’-]+$/u.test(word) && !NOT_NAME_WORDS.has(word))) {
+        return [];
+    }
+    
+    const surname = words[words.length - 1];
+    if (NOT_SURNAMES.has(surname)) {
+        return [];
+    }
+    
+    let start = words.length - 1;
+    while (start > 1 && SURNAME_PARTICLES.has(words[start - 1])) {
+        start--;
+    }
+    
+    const forms = [words.slice(start).join(' ')];
+    if (start < words.length - 1) {
+        forms.push(surname);
+    }
+    return forms.filter(form => form.replace(/[^\p{L}]/gu, '').length >= MIN_SURNAME_LENGTH);
+}
+
+/**
+ * Checks whether a surname is shared by people a question could mean
+ * @param {string} surname - Surname after normalize()
+ * @returns {boolean} True for surnames in AMBIGUOUS_SURNAMES
+ */
+export function isAmbiguousSurname(surname) {
+    return AMBIGUOUS_SURNAMES.has(surname.split(' ').pop());
+}
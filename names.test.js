@@ -0,0 +1,69 @@
+/**
+ * Tests for personal names in answers (names.js)
+ * Run with: npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isPersonQuestion, getSurnames, isAmbiguousSurname } from './names.js';
+import { matchAnswer } from './normalize.js';
+
+describe('isPersonQuestion', () => {
+    test('spots questions that ask for a person from their wording', () => {
+        assert.equal(isPersonQuestion('Name the author of "The Birthday Party."'), true);
+        assert.equal(isPersonQuestion('Identify the British playwright who wrote "Betrayal."'), true);
+        assert.equal(isPersonQuestion('Who created James Bond?'), true);
+    });
+    
+    test('ignores questions about something else', () => {
+        assert.equal(isPersonQuestion('Name the capital of France.'), false);
+        assert.equal(isPersonQuestion("Name the poet's nationality."), false);
+    });
+});
+
+describe('getSurnames', () => {
+    test('gives the last name of a full name', () => {
+        assert.deepEqual(getSurnames('HAROLD PINTER'), ['PINTER']);
+        assert.deepEqual(getSurnames('Ian Fleming'), ['FLEMING']);
+    });
+    
+    test('keeps particles and hyphens and drops suffixes', () => {
+        assert.deepEqual(getSurnames('LUDWIG VAN BEETHOVEN'), ['VAN BEETHOVEN', 'BEETHOVEN']);
+        assert.deepEqual(getSurnames('DAVID BEN-GURION'), ['BEN-GURION']);
+        assert.deepEqual(getSurnames('MARTIN LUTHER KING JR.'), ['KING']);
+    });
+    
+    test('gives nothing for answers that are not full names', () => {
+        assert.deepEqual(getSurnames('PINTER'), []);
+        assert.deepEqual(getSurnames('ALEXANDER III OF MACEDON'), []);
+        assert.deepEqual(getSurnames('KUBLAI KHAN'), []);
+        assert.deepEqual(getSurnames('ZHENG HE'), []);
+    });
+});
+
+describe('isAmbiguousSurname', () => {
+    test('knows surnames shared by well-known people', () => {
+        assert.equal(isAmbiguousSurname('ROOSEVELT'), true);
+        assert.equal(isAmbiguousSurname('PINTER'), false);
+    });
+});
+
+describe('surname matching', () => {
+    const author = { surnames: true, questionText: 'Name the author of "The Birthday Party."' };
+    
+    test('accepts a surname alone for a person when surnames are on', () => {
+        assert.equal(matchAnswer('Pinter', ['HAROLD PINTER'], author).result, 'Correct');
+        assert.equal(matchAnswer('Pinter', ['HAROLD PINTER'], { ...author, surnames: false }).result, 'Incorrect');
+    });
+    
+    test('needs a person question, found from the wording or the person option', () => {
+        const thing = { surnames: true, questionText: 'What play did Harold Pinter write in 1957?' };
+        assert.equal(matchAnswer('Party', ['BIRTHDAY PARTY'], thing).result, 'Incorrect');
+        assert.equal(matchAnswer('Fleming', ['IAN FLEMING'], { surnames: true, person: true }).result, 'Correct');
+    });
+    
+    test('prompts on an ambiguous surname', () => {
+        const president = { surnames: true, questionText: 'Name the president who created the New Deal.' };
+        assert.equal(matchAnswer('Roosevelt', ['FRANKLIN ROOSEVELT'], president).result, 'Prompt');
+    });
+});
@@ -1,10 +1,59 @@
 /**
- * Text normalization and answer matching utilities
- * Handles case-insensitive synonym matching with text cleaning
+ * Text normalization, answer matching and question similarity utilities
+ * Handles case-insensitive synonym matching with text cleaning, through a pipeline of
+ * matching stages chosen per category
  */
 
+import { parseNumericAnswer, findQuestionUnits, isSameQuantity } from './numbers.js';
+import { parseExpression, areEquivalentExpressions } from './expression.js';
+import { parseAnswerLine, splitList } from './answer-line.js';
+import { isPersonQuestion, getSurnames, isAmbiguousSurname } from './names.js';
+
+// Typography folded to plain ASCII before comparing; NFKC already expands "ﬁ" and "…"
+const TYPOGRAPHY_FOLDS = [
+    [/[‘’‚‛′`´]/g, "'"],
+    [/[“”„‟″«»]/g, '"'],
+    [/[‐‑‒–—―−]/g, '-']
+];
+
+// Letters that have no decomposed form
+const LETTER_FOLDS = {
+    Æ: 'AE', æ: 'ae', Œ: 'OE', œ: 'oe', Ø: 'O', ø: 'o', Đ: 'D', đ: 'd',
+    Ł: 'L', ł: 'l', Þ: 'TH', þ: 'th', ß: 'ss'
+};
+
+/**
+ * Folds typography and, unless accents are kept, diacritics
+ * Smart quotes become straight quotes, dashes become hyphens, ligatures are expanded,
+ * and accented letters (including ñ and ç) lose their accents
+ * @param {string} s - Input text
+ * @param {boolean} [keepAccents] - Keep diacritics (composed, so "é" typed either way compares equal)
+ * @returns {string} Folded text
+ */
+export function foldText(s, keepAccents = false) {
+    let folded = s.normalize('NFKC');
+    TYPOGRAPHY_FOLDS.forEach(([pattern, replacement]) => {
+        folded = folded.replace(pattern, replacement);
+    });
+    folded = folded.replace(/[ÆæŒœØøĐđŁłÞþß]/g, letter => LETTER_FOLDS[letter]);
+    
+    return keepAccents
+        ? folded.normalize('NFC')
+        : folded.normalize('NFD').replace(/\p{M}/gu, '');
+}
+
+/**
+ * Checks whether text has accented letters
+ * @param {string} s - Input text
+ * @returns {boolean} True if folding diacritics would change the text
+ */
+export function hasDiacritics(s) {
+    return foldText(s, true) !== foldText(s);
+}
+
 /**
  * Normalizes text for comparison by:
+ * - Folding typography, ligatures and (by default) diacritics
  * - Trimming whitespace
  * - Converting to uppercase
  * - Replacing hyphens with spaces
@@ -12,27 +61,650 @@
  * - Normalizing whitespace
  * - Removing common articles (the, a, an)
  * @param {string} s - Input string to normalize
+ * @param {Object} [options] - { keepAccents } to grade accents (see foldText)
  * @returns {string} Normalized string
  */
-export function normalize(s) {
-    return s
+export function normalize(s, options = {}) {
+    return foldText(s, options.keepAccents === true)
         .trim()
         .toUpperCase()
         .replaceAll('-', ' ')
-        .replace(/[.,!?:"'()\\[\\]{}]/g, '')
+        .replace(/[.,!?:;"'()[\]{}]/g, '')
         .replace(/\s+/g, ' ')
         .replace(/^(THE |A |AN )/, '');
 }
 
+// Verdicts returned by isCorrect
+export const VERDICT = {
+    CORRECT: 'correct',
+    PROMPT: 'prompt',
+    INCORRECT: 'incorrect'
+};
+
 /**
- * Checks if user input matches any of the correct answers
- * after normalization
+ * Grades user input against a question's answer line
  * @param {string} userInput - User's typed answer
- * @param {string[]} answersArray - Array of correct answers
- * @returns {boolean} True if input matches any answer
+ * @param {string[]} answersArray - Answers as written in the bank (see answer-line.js)
+ * @param {Object} [options] - Matching options (see matchAnswer)
+ * @returns {string} One of VERDICT: correct, prompt (ask for something more specific) or incorrect
  */
-export function isCorrect(userInput, answersArray) {
-    const u = normalize(userInput);
-    return answersArray.some(a => normalize(a) === u);
+export function isCorrect(userInput, answersArray, options = {}) {
+    const { result } = matchAnswer(userInput, answersArray, options);
+    if (isAcceptedResult(result)) {
+        return VERDICT.CORRECT;
+    }
+    return result === 'Prompt' ? VERDICT.PROMPT : VERDICT.INCORRECT;
 }
 
+// How far a typed answer may be from an accepted answer and still count (chosen per session)
+export const TYPO_TOLERANCE = {
+    OFF: 'off',
+    STRICT: 'strict',
+    LENIENT: 'lenient'
+};
+
+// Letters per allowed typo in each word, the most typos allowed in a word, and whether the
+// first letter must be right, for each tolerance
+const TYPO_BUDGETS = {
+    [TYPO_TOLERANCE.STRICT]: { lettersPerEdit: 10, maxEdits: 2, keepsFirstLetter: true },
+    [TYPO_TOLERANCE.LENIENT]: { lettersPerEdit: 7, maxEdits: 3, keepsFirstLetter: false }
+};
+
+// Words this short are never typos of each other ("QING" and "MING", "TANG" and "HAN")
+const MAX_EXACT_WORD_LENGTH = 4;
+
+// Questions that test spelling ("Spell the word..."), but not "Spell out the abbreviation..."
+const SPELLING_QUESTION_PATTERN = /^\s*spell\b(?!\s+out\b)/i;
+
+/**
+ * Checks whether a question asks for a spelling
+ * @param {string} questionText - Question text
+ * @returns {boolean} True for spelling questions
+ */
+export function isSpellingQuestion(questionText) {
+    return SPELLING_QUESTION_PATTERN.test(questionText);
+}
+
+/**
+ * Reduces an answer to its letters and digits, for grading spelling questions
+ * "L-A-I-N", "L A I N" and "lain" are all "LAIN"; articles are kept ("A DEMAIN" is "ADEMAIN")
+ * @param {string} s - Input text
+ * @param {boolean} [keepAccents] - Keep diacritics (see foldText)
+ * @returns {string} Uppercase letter sequence
+ */
+export function toLetterSequence(s, keepAccents = false) {
+    return foldText(s, keepAccents).toUpperCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Counts the edits needed to turn one string into another
+ * Insertions, deletions, substitutions and swaps of adjacent characters count as one edit each
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} [limit] - Stop early once the distance is known to exceed this
+ * @returns {number} Edit distance, or limit + 1 if it exceeds the limit
+ */
+export function editDistance(a, b, limit = Infinity) {
+    if (Math.abs(a.length - b.length) > limit) {
+        return limit + 1;
+    }
+    
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        let rowMin = i;
+        
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousRow[j - 2] + 1);
+            }
+            nextRow.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        
+        if (rowMin > limit) {
+            return limit + 1;
+        }
+        previousRow = row;
+        row = nextRow;
+    }
+    
+    return Math.min(row[b.length], limit + 1);
+}
+
+/**
+ * Checks whether a category is a Languages category, whose built-in pipeline grades accents
+ * @param {string} category - Category path (e.g. "Languages>Spanish")
+ * @returns {boolean} True for Languages and its subjects
+ */
+export function isLanguageCategory(category) {
+    return category.split('>')[0].trim().toUpperCase() === 'LANGUAGES';
+}
+
+/**
+ * Works out how many typos one word of an accepted answer allows
+ * Longer words allow more; short words and words with digits must be exact, since "1801"
+ * for "1802" isn't a typo
+ * @param {string} word - Word of an accepted answer after normalize()
+ * @param {string} tolerance - One of TYPO_TOLERANCE
+ * @returns {number} Allowed edits
+ */
+export function getAllowedTypos(word, tolerance) {
+    const budget = TYPO_BUDGETS[tolerance];
+    if (!budget || /\d/.test(word) || word.length <= MAX_EXACT_WORD_LENGTH) {
+        return 0;
+    }
+    
+    return Math.min(Math.floor(word.length / budget.lettersPerEdit), budget.maxEdits);
+}
+
+/**
+ * Counts the typos between typed text and an accepted answer, word by word
+ * Each word must be within its own allowance (see getAllowedTypos), so a long word can't pay
+ * for a typo in a short one. A typo never changes a word's last letter ("HYPERBOLE" is not
+ * "HYPERBOLA"), and on strict tolerance never its first
+ * @param {string} typed - User's answer after normalize()
+ * @param {string} answer - Accepted answer after normalize()
+ * @param {string} tolerance - One of TYPO_TOLERANCE
+ * @returns {number|null} Total typos, or null if a word is too far off or the word counts differ
+ */
+export function countTypos(typed, answer, tolerance) {
+    const typedWords = typed.split(' ');
+    const answerWords = answer.split(' ');
+    if (typedWords.length !== answerWords.length) {
+        return null;
+    }
+    
+    let total = 0;
+    for (let index = 0; index < answerWords.length; index++) {
+        const word = answerWords[index];
+        const typedWord = typedWords[index];
+        if (typedWord === word) continue;
+        
+        const allowed = getAllowedTypos(word, tolerance);
+        if (allowed === 0 || typedWord.at(-1) !== word.at(-1)
+            || (TYPO_BUDGETS[tolerance].keepsFirstLetter && typedWord[0] !== word[0])) {
+            return null;
+        }
+        
+        const distance = editDistance(typedWord, word, allowed);
+        if (distance > allowed) {
+            return null;
+        }
+        total += distance;
+    }
+    
+    return total;
+}
+
+/**
+ * Matches a list answer against the parts of an ALL OF list, in any order
+ * Items are split on commas, & and AND; neighbouring items are first tried together so
+ * a part with AND in it ("ROMEO AND JULIET") can still match
+ * @param {string} userInput - User's typed answer
+ * @param {Object} list - List from parseAnswerLine ({ text, parts })
+ * @param {Object} options - Matching options, used for each part
+ * @returns {Object} { matched, total, extra, missing }: parts given, parts required, items
+ *   that matched no part, and the first form of each part not given
+ */
+function matchListParts(userInput, list, options) {
+    const items = splitList(userInput);
+    const itemCount = (items.length + 1) / 2;
+    const given = list.parts.map(() => false);
+    let extra = 0;
+    
+    for (let start = 0; start < itemCount;) {
+        let next = start + 1;
+        let partIndex = -1;
+        for (let end = itemCount; end > start && partIndex === -1; end--) {
+            const text = items.slice(2 * start, 2 * end - 1).join('');
+            partIndex = list.parts.findIndex((alternatives, index) =>
+                !given[index] && isAcceptedResult(matchAnswer(text, alternatives, options).result));
+            next = end;
+        }
+        
+        if (partIndex !== -1) {
+            given[partIndex] = true;
+        } else if (items[2 * start].trim()) {
+            extra++;
+        }
+        start = partIndex !== -1 ? next : start + 1;
+    }
+    
+    return {
+        matched: given.filter(Boolean).length,
+        total: list.parts.length,
+        extra,
+        missing: list.parts.filter((alternatives, index) => !given[index]).map(alternatives => alternatives[0])
+    };
+}
+
+// Answer-matching stages by name (see registerMatcher)
+const MATCHERS = new Map();
+
+// Stages tried in order for categories without a pipeline of their own
+export const DEFAULT_PIPELINE = ['spelling', 'reject', 'exact', 'numeric', 'list', 'surname', 'prompt', 'fuzzy'];
+
+// Built-in pipelines by category path: Math also compares expressions, and Languages can
+// grade accents; banks.json can add or replace pipelines (see createMatchingPipelines)
+const CATEGORY_PIPELINES = {
+    MATH: ['spelling', 'reject', 'exact', 'numeric', 'expression', 'list', 'surname', 'prompt', 'fuzzy'],
+    LANGUAGES: ['spelling', 'reject', 'accent-strict', 'exact', 'numeric', 'list', 'surname', 'prompt', 'fuzzy']
+};
+
+// Pipeline key that replaces DEFAULT_PIPELINE in a matching configuration
+const DEFAULT_PIPELINE_KEY = '*';
+
+// Result when no stage accepts an answer
+const NO_MATCH = { result: 'Incorrect', matchedAnswer: null, distance: null };
+
+/**
+ * Adds a stage that matching pipelines can name
+ * A matcher receives the match context (see createMatchContext) and returns a result
+ * ({ result, matchedAnswer, distance }) to stop the pipeline, a Partial result to fall back on
+ * if no later stage matches, or null to pass the answer on
+ * @param {string} name - Stage name used in pipelines
+ * @param {Function} matcher - Matcher function
+ */
+export function registerMatcher(name, matcher) {
+    MATCHERS.set(name, matcher);
+}
+
+/**
+ * Lists the stages pipelines can use
+ * @returns {string[]} Registered stage names
+ */
+export function getMatcherNames() {
+    return [...MATCHERS.keys()];
+}
+
+/**
+ * Turns a category path into a pipeline key ("Languages > French" -> "LANGUAGES>FRENCH")
+ * @param {string} category - Category path
+ * @returns {string} Uppercase path with trimmed subjects
+ */
+function toPipelineKey(category) {
+    return category.split('>').map(part => part.trim()).join('>').toUpperCase();
+}
+
+/**
+ * Builds the pipelines used for each category from the built-in ones and a configuration
+ * @param {Object} [config] - Stage lists by category path, broad ("History") or specific
+ *   ("Languages>Latin"), with "*" replacing the default pipeline
+ * @returns {Map} Stage lists by pipeline key
+ * @throws {Error} If a pipeline is empty or names a stage that isn't registered
+ */
+export function createMatchingPipelines(config = {}) {
+    const pipelines = new Map(Object.entries(CATEGORY_PIPELINES));
+    pipelines.set(DEFAULT_PIPELINE_KEY, DEFAULT_PIPELINE);
+    
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error('Matching configuration must map categories to lists of stages');
+    }
+    
+    Object.entries(config).forEach(([category, stages]) => {
+        if (!Array.isArray(stages) || stages.length === 0) {
+            throw new Error(`Matching pipeline for "${category}" must be a non-empty list of stages`);
+        }
+        const unknown = stages.find(stage => !MATCHERS.has(stage));
+        if (unknown !== undefined) {
+            throw new Error(`Unknown matching stage "${unknown}" for "${category}" (use ${getMatcherNames().join(', ')})`);
+        }
+        pipelines.set(category.trim() === DEFAULT_PIPELINE_KEY ? DEFAULT_PIPELINE_KEY : toPipelineKey(category), [...stages]);
+    });
+    
+    return pipelines;
+}
+
+// Pipelines used when matchAnswer isn't given any
+const BUILT_IN_PIPELINES = createMatchingPipelines();
+
+/**
+ * Finds the pipeline for a category: the most specific configured subject wins
+ * ("Languages>Latin" before "Languages"), then the default pipeline
+ * @param {string} category - Category path
+ * @param {Map} [pipelines] - Pipelines from createMatchingPipelines
+ * @returns {string[]} Stage names in order
+ */
+export function getMatchingPipeline(category, pipelines = BUILT_IN_PIPELINES) {
+    const parts = toPipelineKey(category).split('>');
+    for (let depth = parts.length; depth > 0; depth--) {
+        const pipeline = pipelines.get(parts.slice(0, depth).join('>'));
+        if (pipeline) return pipeline;
+    }
+    return pipelines.get(DEFAULT_PIPELINE_KEY) || DEFAULT_PIPELINE;
+}
+
+/**
+ * Works out everything the stages compare an answer with
+ * @param {string} userInput - User's typed answer
+ * @param {string[]} answersArray - Answers as written in the bank
+ * @param {Object} options - Options passed to matchAnswer
+ * @param {string[]} pipeline - Stages that will run
+ * @returns {Object} Context with userInput, normalizedInput, strictInput (accents kept),
+ *   userNumber, line (see
+ *   parseAnswerLine), options, pipeline, tolerance, questionText, category, spelling,
+ *   acceptsSurnames, and gradesAccents(answer) and isSameAnswer(answer)
+ */
+function createMatchContext(userInput, answersArray, options, pipeline) {
+    const { tolerance = TYPO_TOLERANCE.OFF, questionText = '', category = '' } = options;
+    const normalizedInput = normalize(userInput);
+    const strictInput = normalize(userInput, { keepAccents: true });
+    const userNumber = parseNumericAnswer(userInput);
+    
+    // Answers written with accents are compared with their accents when the pipeline
+    // grades accents and the session asks for it
+    const accentStrict = options.accentStrict === true && pipeline.includes('accent-strict');
+    const gradesAccents = (answer) => accentStrict && hasDiacritics(answer);
+    
+    return {
+        userInput,
+        normalizedInput,
+        strictInput,
+        userNumber,
+        line: parseAnswerLine(answersArray),
+        options,
+        pipeline,
+        tolerance,
+        questionText,
+        category,
+        spelling: options.spelling ?? isSpellingQuestion(questionText),
+        acceptsSurnames: options.surnames === true && (options.person ?? isPersonQuestion(questionText)),
+        gradesAccents,
+        // normalize() drops minus signs, so numbers must also agree in value ("4" is not "-4")
+        isSameAnswer: (answer) => {
+            const answerNumber = userNumber && parseNumericAnswer(answer);
+            const sameText = gradesAccents(answer)
+                ? normalize(answer, { keepAccents: true }) === strictInput
+                : normalize(answer) === normalizedInput;
+            return sameText && !(answerNumber && answerNumber.value !== userNumber.value);
+        }
+    };
+}
+
+/**
+ * spelling: grades spelling questions on the letters alone, with no other leniency
+ * Decides every spelling question, so no later stage sees it
+ * @param {Object} context - Match context
+ * @returns {Object|null} Result for spelling questions, or null for other questions
+ */
+function matchSpelling(context) {
+    const { line, userInput, gradesAccents } = context;
+    if (!context.spelling) return null;
+    
+    const isSameSpelling = (a) => toLetterSequence(a, gradesAccents(a)) === toLetterSequence(userInput, gradesAccents(a));
+    if (line.reject.some(isSameSpelling)) {
+        return NO_MATCH;
+    }
+    const spellingMatch = line.accept.find(isSameSpelling);
+    if (spellingMatch !== undefined) {
+        return { result: 'Correct', matchedAnswer: spellingMatch, distance: 0 };
+    }
+    const spellingPrompt = line.prompt.find(isSameSpelling);
+    if (spellingPrompt !== undefined) {
+        return { result: 'Prompt', matchedAnswer: spellingPrompt, distance: 0 };
+    }
+    return NO_MATCH;
+}
+
+/**
+ * reject: an answer the line rules out ("DO NOT ACCEPT CROW") is Incorrect
+ * @param {Object} context - Match context
+ * @returns {Object|null} Incorrect result, or null
+ */
+function matchRejected(context) {
+    const rejected = context.line.reject.find(context.isSameAnswer);
+    return rejected !== undefined ? { ...NO_MATCH, matchedAnswer: rejected } : null;
+}
+
+/**
+ * accent-strict: with accents graded, an answer that only differs from an accented answer
+ * in its accents is Incorrect, unless another accepted answer matches it
+ * @param {Object} context - Match context
+ * @returns {Object|null} Incorrect result, or null
+ */
+function matchAccents(context) {
+    const { line, normalizedInput, gradesAccents, isSameAnswer } = context;
+    const accented = line.accept.find(a => gradesAccents(a) && normalize(a) === normalizedInput);
+    if (accented === undefined || line.accept.some(isSameAnswer)) return null;
+    return { ...NO_MATCH, matchedAnswer: accented };
+}
+
+/**
+ * exact: the same as an accepted answer after normalization
+ * @param {Object} context - Match context
+ * @returns {Object|null} Correct result, or null
+ */
+function matchExact(context) {
+    const exactMatch = context.line.accept.find(context.isSameAnswer);
+    return exactMatch !== undefined ? { result: 'Correct', matchedAnswer: exactMatch, distance: 0 } : null;
+}
+
+/**
+ * numeric: numbers in any form, with or without a unit ("200 J" for "200 JOULES")
+ * @param {Object} context - Match context
+ * @returns {Object|null} Correct result, or null
+ */
+function matchNumber(context) {
+    const { userNumber, line, questionText } = context;
+    if (!userNumber) return null;
+    
+    const askedUnits = findQuestionUnits(questionText);
+    const numericMatch = line.accept.find(a => isSameQuantity(userNumber, parseNumericAnswer(a), askedUnits));
+    return numericMatch !== undefined ? { result: 'Correct', matchedAnswer: numericMatch, distance: 0 } : null;
+}
+
+/**
+ * expression: equivalent algebraic expressions ("13 X SQUARED" for "13X^2")
+ * @param {Object} context - Match context
+ * @returns {Object|null} Correct result, or null
+ */
+function matchExpression(context) {
+    const userExpression = parseExpression(context.userInput);
+    if (!userExpression) return null;
+    
+    const expressionMatch = context.line.accept.find(a => {
+        const answerExpression = parseExpression(a);
+        return answerExpression && areEquivalentExpressions(userExpression, answerExpression);
+    });
+    return expressionMatch !== undefined ? { result: 'Correct', matchedAnswer: expressionMatch, distance: 0 } : null;
+}
+
+/**
+ * list: every part of an ALL OF list in any order ("MONTAGUES, CAPULETS"); the list with
+ * the most parts given is Partial if none is complete
+ * @param {Object} context - Match context
+ * @returns {Object|null} Correct or Partial result, or null
+ */
+function matchList(context) {
+    let partial = null;
+    for (const list of context.line.lists) {
+        const parts = matchListParts(context.userInput, list, { ...context.options, questionText: '' });
+        if (parts.matched === parts.total && parts.extra === 0) {
+            return { result: 'Correct', matchedAnswer: list.text, distance: 0, parts };
+        }
+        if (parts.matched > 0 && (!partial || parts.matched / parts.total > partial.parts.matched / partial.parts.total)) {
+            partial = { result: 'Partial', matchedAnswer: list.text, distance: null, parts };
+        }
+    }
+    return partial;
+}
+
+/**
+ * surname: a surname alone for a person ("PINTER" for "HAROLD PINTER"), unless the writer
+ * already lists a one-word name; a surname shared by several well-known people draws a prompt
+ * @param {Object} context - Match context
+ * @returns {Object|null} Correct or Prompt result, or null
+ */
+function matchSurname(context) {
+    const { line, normalizedInput } = context;
+    if (!context.acceptsSurnames || line.accept.some(a => !normalize(a).includes(' '))) return null;
+    
+    const surnameMatch = line.accept.find(a => getSurnames(a).some(surname => normalize(surname) === normalizedInput));
+    if (surnameMatch === undefined) return null;
+    return isAmbiguousSurname(normalizedInput)
+        ? { result: 'Prompt', matchedAnswer: normalizedInput, distance: 0 }
+        : { result: 'Correct', matchedAnswer: surnameMatch, distance: 0 };
+}
+
+/**
+ * prompt: a less specific answer the writer prompts on ("BIRD" for "RAVEN")
+ * @param {Object} context - Match context
+ * @returns {Object|null} Prompt result, or null
+ */
+function matchPrompt(context) {
+    const promptMatch = context.line.prompt.find(context.isSameAnswer);
+    return promptMatch !== undefined ? { result: 'Prompt', matchedAnswer: promptMatch, distance: 0 } : null;
+}
+
+/**
+ * fuzzy: the closest accepted answer within its typo allowance is Close
+ * @param {Object} context - Match context
+ * @returns {Object|null} Close result, or null
+ */
+function matchTypos(context) {
+    const { line, normalizedInput, strictInput, tolerance, gradesAccents } = context;
+    const comparesExpressions = context.pipeline.includes('expression');
+    
+    // A number is right or wrong, never a typo: "ONE" is not "NONE" and "TEN" is not "TEEN"
+    if (context.userNumber) return null;
+    
+    let closest = null;
+    line.accept.forEach(answer => {
+        // "Twenty nine" is not a typo for "twenty five", nor "COSINE Y" for "COSINE X"
+        if (parseNumericAnswer(answer) || (comparesExpressions && parseExpression(answer))) return;
+        
+        const distance = countTypos(normalizedInput, normalize(answer), tolerance);
+        if (distance === null) return;
+        
+        // A missing or wrong accent is not a typo when accents are graded
+        if (gradesAccents(answer)
+            && countTypos(strictInput, normalize(answer, { keepAccents: true }), tolerance) !== distance) {
+            return;
+        }
+        if (!closest || distance < closest.distance) {
+            closest = { result: 'Close', matchedAnswer: answer, distance };
+        }
+    });
+    
+    // No typo allowance for input at least as close to an answer the line rejects
+    const nearReject = closest && line.reject.some(answer =>
+        editDistance(normalizedInput, normalize(answer), closest.distance) <= closest.distance);
+    
+    return nearReject ? null : closest;
+}
+
+registerMatcher('spelling', matchSpelling);
+registerMatcher('reject', matchRejected);
+registerMatcher('accent-strict', matchAccents);
+registerMatcher('exact', matchExact);
+registerMatcher('numeric', matchNumber);
+registerMatcher('expression', matchExpression);
+registerMatcher('list', matchList);
+registerMatcher('surname', matchSurname);
+registerMatcher('prompt', matchPrompt);
+registerMatcher('fuzzy', matchTypos);
+
+/**
+ * Scores user input against a question's answer line
+ * Runs the category's pipeline (see getMatchingPipeline), stopping at the first stage that
+ * decides: by default an answer the line rejects is Incorrect; an exact match (after
+ * normalization), the same number or, in Math, an equivalent expression is Correct, as is
+ * every part of an ALL OF list in any order, and, with surnames on, a person's surname alone
+ * (Prompt if the surname is ambiguous); an exact match of a prompt-on answer is Prompt;
+ * otherwise the closest answer within its typo allowance makes the answer Close, which counts
+ * as correct, and a list with only some parts is Partial, which doesn't. Spelling questions
+ * are graded on the exact letter sequence, whatever separates the letters (see
+ * toLetterSequence), with no other leniency. Accents are ignored unless accentStrict is set
+ * and the pipeline has the accent-strict stage (Languages by default), and then only for
+ * accepted answers that are written with accents
+ * @param {string} userInput - User's typed answer
+ * @param {string[]} answersArray - Answers as written in the bank (see answer-line.js)
+ * @param {Object} [options] - { tolerance, questionText, category, accentStrict, spelling }: one
+ *   of TYPO_TOLERANCE (defaults to off), the question, used to spot spelling questions and the
+ *   unit asked for, its category, which picks the pipeline, whether to grade accents where the
+ *   pipeline allows it, and whether this is a spelling question (the parser's
+ *   question.spelling; detected from questionText when left out); plus { surnames, person }:
+ *   whether to accept surnames alone, and whether the question asks for a person
+ *   (question.person; detected from questionText when left out); and pipelines, from
+ *   createMatchingPipelines (the built-in pipelines when left out)
+ * @returns {Object} { result: 'Correct' | 'Close' | 'Prompt' | 'Partial' | 'Incorrect', matchedAnswer,
+ *   distance, trace }, with parts ({ matched, total, extra, missing }) for list answers; trace
+ *   lists the stages that ran as { stage, result, matchedAnswer }, with a null result for
+ *   stages that passed the answer on
+ */
+export function matchAnswer(userInput, answersArray, options = {}) {
+    const pipeline = getMatchingPipeline(options.category || '', options.pipelines);
+    const context = createMatchContext(userInput, answersArray, options, pipeline);
+    const trace = [];
+    let partial = null;
+    
+    for (const stage of pipeline) {
+        const match = MATCHERS.get(stage)(context);
+        trace.push({ stage, result: match?.result ?? null, matchedAnswer: match?.matchedAnswer ?? null });
+        if (!match) continue;
+        
+        // A partial list is only the answer if no later stage does better
+        if (match.result === 'Partial') {
+            partial = partial || match;
+            continue;
+        }
+        return { ...match, matchedAnswer: match.result === 'Incorrect' ? null : match.matchedAnswer, trace };
+    }
+    
+    return { ...(partial || NO_MATCH), trace };
+}
+
+/**
+ * Checks whether a recorded result counts toward the score
+ * @param {string} correctness - Recorded result (Correct, Close, Incorrect, Timeout)
+ * @returns {boolean} True for Correct and Close
+ */
+export function isAcceptedResult(correctness) {
+    return correctness === 'Correct' || correctness === 'Close';
+}
+
+/**
+ * Folds diacritics, lowercases text and collapses punctuation and whitespace for similarity checks
+ * Letters and digits from any script are kept, so questions in other languages stay distinct
+ * @param {string} text - Question text
+ * @returns {string} Comparison form of the text
+ */
+export function toComparisonText(text) {
+    return foldText(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Collects the character trigrams of a string
+ * @param {string} text - Comparison text
+ * @returns {Set<string>} Distinct trigrams
+ */
+export function getTrigrams(text) {
+    const padded = `  ${text} `;
+    const trigrams = new Set();
+    for (let i = 0; i < padded.length - 2; i++) {
+        trigrams.add(padded.slice(i, i + 3));
+    }
+    return trigrams;
+}
+
+/**
+ * Dice coefficient between two trigram sets
+ * @param {Set<string>} a - First trigram set
+ * @param {Set<string>} b - Second trigram set
+ * @returns {number} Similarity from 0 to 1
+ */
+export function trigramSimilarity(a, b) {
+    if (a.size === 0 && b.size === 0) {
+        return 1;
+    }
+    let shared = 0;
+    a.forEach(trigram => {
+        if (b.has(trigram)) shared++;
+    });
+    return (2 * shared) / (a.size + b.size);
+}
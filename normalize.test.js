@@ -0,0 +1,334 @@
+/**
+ * Tests for normalization and answer matching (normalize.js)
+ * Run with: npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    foldText,
+    hasDiacritics,
+    normalize,
+    TYPO_TOLERANCE,
+    isSpellingQuestion,
+    toLetterSequence,
+    editDistance,
+    getAllowedTypos,
+    countTypos,
+    DEFAULT_PIPELINE,
+    registerMatcher,
+    getMatcherNames,
+    createMatchingPipelines,
+    getMatchingPipeline,
+    matchAnswer
+} from './normalize.js';
+
+/**
+ * Matches an answer and returns just the result
+ * @param {string} input - Typed answer
+ * @param {string[]} answers - Accepted answers
+ * @param {Object} [options] - Options for matchAnswer
+ * @returns {string} Correct, Close or Incorrect
+ */
+function resultOf(input, answers, options) {
+    return matchAnswer(input, answers, options).result;
+}
+
+describe('normalize', () => {
+    test('ignores case, spacing, hyphens and a leading article', () => {
+        assert.equal(normalize('  the Jean-Paul   Sartre '), 'JEAN PAUL SARTRE');
+        assert.equal(normalize('A Tale of Two Cities'), 'TALE OF TWO CITIES');
+    });
+    
+    test('drops punctuation', () => {
+        assert.equal(normalize('Yes! (really)'), 'YES REALLY');
+    });
+});
+
+describe('text folding', () => {
+    test('drops accents, including ñ and ç', () => {
+        assert.equal(normalize('piéton'), 'PIETON');
+        assert.equal(normalize('à bientôt'), normalize('A BIENTOT'));
+        assert.equal(foldText('niño garçon'), 'nino garcon');
+    });
+    
+    test('folds smart quotes, dashes and ligatures', () => {
+        assert.equal(foldText('“Don’t”'), '"Don\'t"');
+        assert.equal(foldText('1914–1918 — war'), '1914-1918 - war');
+        assert.equal(foldText('ﬁnal Æsir Œuvre'), 'final AEsir OEuvre');
+        assert.equal(normalize('O’Neill'), normalize("O'Neill"));
+    });
+    
+    test('keeps accents when asked, in composed form', () => {
+        assert.equal(foldText('pie\u0301ton', true), 'piéton');
+        assert.equal(hasDiacritics('piéton'), true);
+        assert.equal(hasDiacritics('PIETON'), false);
+    });
+});
+
+describe('typo tolerance', () => {
+    const lenient = { tolerance: TYPO_TOLERANCE.LENIENT };
+    const strict = { tolerance: TYPO_TOLERANCE.STRICT };
+    
+    test('counts insertions, deletions, substitutions and swapped letters as one edit each', () => {
+        assert.equal(editDistance('MITOCHONDREA', 'MITOCHONDRIA'), 1);
+        assert.equal(editDistance('ONAMATOPOEIA', 'ONOMATOPOEIA'), 1);
+        assert.equal(editDistance('RECIEVE', 'RECEIVE'), 1);
+        assert.equal(editDistance('CAT', 'CAST'), 1);
+        assert.equal(editDistance('KITTEN', 'SITTING', 1), 2);
+    });
+    
+    test('accepts close misspellings as Close and shows the accepted spelling', () => {
+        const { result, matchedAnswer, distance } = matchAnswer('ONAMATOPOEIA', ['ONOMATOPOEIA'], strict);
+        assert.deepEqual({ result, matchedAnswer, distance }, { result: 'Close', matchedAnswer: 'ONOMATOPOEIA', distance: 1 });
+        assert.equal(resultOf('mitochondrea', ['MITOCHONDRIA'], lenient), 'Close');
+    });
+    
+    test('keeps exact matches Correct and rejects everything when off', () => {
+        assert.equal(resultOf('Mitochondria', ['MITOCHONDRIA'], strict), 'Correct');
+        assert.equal(resultOf('MITOCHONDREA', ['MITOCHONDRIA']), 'Incorrect');
+        assert.equal(resultOf('MITOCHONDREA', ['MITOCHONDRIA'], { tolerance: TYPO_TOLERANCE.OFF }), 'Incorrect');
+    });
+    
+    test('allows more typos for longer words and more on lenient', () => {
+        assert.equal(getAllowedTypos('ONOMATOPOEIA', TYPO_TOLERANCE.STRICT), 1);
+        assert.equal(getAllowedTypos('PHOTOSYNTHESIS', TYPO_TOLERANCE.STRICT), 1);
+        assert.equal(getAllowedTypos('PHOTOSYNTHESIS', TYPO_TOLERANCE.LENIENT), 2);
+        assert.equal(getAllowedTypos('GIBBOUS', TYPO_TOLERANCE.LENIENT), 1);
+        assert.equal(getAllowedTypos('GIBBOUS', TYPO_TOLERANCE.STRICT), 0);
+        assert.equal(getAllowedTypos('PARIS', TYPO_TOLERANCE.OFF), 0);
+    });
+    
+    test('allows no typos in words of four letters or fewer', () => {
+        assert.equal(getAllowedTypos('QING', TYPO_TOLERANCE.LENIENT), 0);
+        assert.equal(resultOf('QING DYNASTY', ['MING DYNASTY'], strict), 'Incorrect');
+        assert.equal(resultOf('TANG DYNASTY', ['HAN DYNASTY'], lenient), 'Incorrect');
+    });
+    
+    test('gives each word its own allowance', () => {
+        assert.equal(countTypos('MING DYNASTEE', 'MING DYNASTY', TYPO_TOLERANCE.LENIENT), null);
+        assert.equal(countTypos('PHOTOSINTHESIS CYCLE', 'PHOTOSYNTHESIS CYCLE', TYPO_TOLERANCE.LENIENT), 1);
+        assert.equal(countTypos('PHOTOSYNTHESIS', 'PHOTOSYNTHESIS CYCLE', TYPO_TOLERANCE.LENIENT), null);
+    });
+    
+    test('keeps short words and word endings exact', () => {
+        assert.equal(resultOf('CIRCE', ['CIRCLE'], lenient), 'Incorrect');
+        assert.equal(resultOf('HYPERBOLE', ['HYPERBOLA'], { category: 'Math>Algebra' }), 'Incorrect');
+        assert.equal(resultOf('HYPERBOLE', ['HYPERBOLA'], { category: 'Math>Algebra', ...strict }), 'Incorrect');
+        assert.equal(resultOf('HYPERBOLE', ['HYPERBOLA'], { category: 'Math>Algebra', ...lenient }), 'Incorrect');
+    });
+    
+    test('keeps the first letter on strict but not on lenient', () => {
+        assert.equal(resultOf('NITOCHONDRIA', ['MITOCHONDRIA'], strict), 'Incorrect');
+        assert.equal(resultOf('NITOCHONDRIA', ['MITOCHONDRIA'], lenient), 'Close');
+    });
+    
+    test('never treats a different number as a typo', () => {
+        assert.equal(getAllowedTypos('1802', TYPO_TOLERANCE.LENIENT), 0);
+        assert.equal(resultOf('1801', ['1802'], lenient), 'Incorrect');
+    });
+    
+    test('rejects answers too far from every accepted answer', () => {
+        assert.equal(resultOf('MITOSIS', ['MITOCHONDRIA'], lenient), 'Incorrect');
+    });
+    
+    test('spots spelling questions, which stay strict', () => {
+        assert.equal(isSpellingQuestion('Spell the word meaning "a fear of spiders."'), true);
+        assert.equal(isSpellingQuestion('What word is spelled backwards?'), false);
+        assert.equal(isSpellingQuestion('Spell out the abbreviation NATO.'), false);
+    });
+});
+
+describe('spelling questions', () => {
+    const spelling = { questionText: 'Spell the past participle of "lie."', tolerance: TYPO_TOLERANCE.LENIENT };
+    
+    test('reduce answers to their letters', () => {
+        assert.equal(toLetterSequence('L-A-I-N'), 'LAIN');
+        assert.equal(toLetterSequence('l a i n'), 'LAIN');
+        assert.equal(toLetterSequence('À demain'), 'ADEMAIN');
+    });
+    
+    test('accept the letters however they are separated', () => {
+        ['LAIN', 'L A I N', 'l-a-i-n'].forEach(input => {
+            assert.equal(resultOf(input, ['L-A-I-N'], spelling), 'Correct', input);
+        });
+    });
+    
+    test('accept no misspellings, even on lenient', () => {
+        assert.equal(resultOf('LAYN', ['L-A-I-N'], spelling), 'Incorrect');
+        assert.equal(resultOf('L A N', ['L-A-I-N'], spelling), 'Incorrect');
+    });
+    
+    test('follow the spelling option over the question wording', () => {
+        assert.equal(resultOf('L A I N', ['LAIN'], { spelling: true }), 'Correct');
+        assert.equal(resultOf('MITOCHONDREA', ['MITOCHONDRIA'], { ...spelling, spelling: false }), 'Close');
+    });
+});
+
+describe('accent-strict grading', () => {
+    const strict = { category: 'Languages>French', accentStrict: true };
+    
+    test('ignores accents by default', () => {
+        assert.equal(resultOf('piéton', ['PIETON']), 'Correct');
+        assert.equal(resultOf('a bientot', ['À BIENTÔT'], { category: 'Languages>French' }), 'Correct');
+    });
+    
+    test('grades accents in Languages answers written with them', () => {
+        assert.equal(resultOf('à bientôt', ['À BIENTÔT'], strict), 'Correct');
+        assert.equal(resultOf('a bientot', ['À BIENTÔT'], strict), 'Incorrect');
+        assert.equal(resultOf('a bientot', ['À BIENTÔT'], { ...strict, tolerance: TYPO_TOLERANCE.LENIENT }), 'Incorrect');
+    });
+    
+    test('leaves answers without accents and other categories alone', () => {
+        assert.equal(resultOf('piéton', ['PIETON'], strict), 'Correct');
+        assert.equal(resultOf('Dvorak', ['DVOŘÁK'], { ...strict, category: 'Fine Arts>Music' }), 'Correct');
+    });
+});
+
+describe('list answers', () => {
+    const families = ['ALL OF: CAPULET[S], MONTAGUE[S]'];
+    
+    test('accepts every part in any order, split on and, commas and &', () => {
+        ['Capulets and Montagues', 'Montagues and Capulets', 'Montague, Capulet', 'capulet & montague'].forEach(input => {
+            assert.equal(resultOf(input, families), 'Correct', input);
+        });
+    });
+    
+    test('reports the parts given when only some are', () => {
+        const match = matchAnswer('Montagues', families);
+        assert.equal(match.result, 'Partial');
+        assert.deepEqual(match.parts, { matched: 1, total: 2, extra: 0, missing: ['CAPULETS'] });
+    });
+    
+    test('does not accept a full list with an extra item', () => {
+        const match = matchAnswer('Capulets, Montagues and Tudors', families);
+        assert.equal(match.result, 'Partial');
+        assert.equal(match.parts.extra, 1);
+    });
+    
+    test('keeps a part that has and in it together', () => {
+        const plays = ['ALL OF: ROMEO AND JULIET, HAMLET'];
+        assert.equal(resultOf('Hamlet and Romeo and Juliet', plays), 'Correct');
+    });
+    
+    test('allows typos in each part', () => {
+        assert.equal(resultOf('Montaigues and Capulets', families, { tolerance: TYPO_TOLERANCE.LENIENT }), 'Correct');
+    });
+});
+
+describe('numeric answers', () => {
+    test('matches "200 J", "200 joules" and "two hundred" against 200 JOULES', () => {
+        ['200 J', '200 joules', 'two hundred', 'two hundred joules'].forEach(input => {
+            assert.equal(resultOf(input, ['200 JOULES']), 'Correct', input);
+        });
+        assert.equal(resultOf('200 W', ['200 JOULES']), 'Incorrect');
+        assert.equal(resultOf('201 J', ['200 JOULES']), 'Incorrect');
+    });
+    
+    test('keeps the sign of a negative answer', () => {
+        assert.equal(resultOf('negative four', ['-4']), 'Correct');
+        assert.equal(resultOf('negative four meters per second squared', ['-4 M/S^2']), 'Correct');
+        assert.equal(resultOf('4', ['-4']), 'Incorrect');
+    });
+    
+    test('matches fractions and decimals with the same value', () => {
+        assert.equal(resultOf('0.5', ['1/2']), 'Correct');
+        assert.equal(resultOf('one half', ['0.5']), 'Correct');
+    });
+    
+    test('never treats a typed number as a typo for a word', () => {
+        const lenient = { tolerance: TYPO_TOLERANCE.LENIENT };
+        assert.equal(resultOf('ONE', ['NONE'], lenient), 'Incorrect');
+        assert.equal(resultOf('TEN', ['TEEN'], lenient), 'Incorrect');
+        assert.equal(resultOf('NINETEEN', ['NINETEENTH'], lenient), 'Incorrect');
+        assert.equal(resultOf('1918', ['1919 BLACK SOX'], lenient), 'Incorrect');
+    });
+    
+    test('never treats a number with a unit as a typo either', () => {
+        const lenient = { tolerance: TYPO_TOLERANCE.LENIENT };
+        assert.equal(resultOf('SIX FEET', ['SIX FEAT'], lenient), 'Incorrect');
+        assert.equal(resultOf('SEVEN KM', ['SEVEN KIM'], lenient), 'Incorrect');
+        assert.equal(resultOf('7 KM', ['SEVEN KM'], lenient), 'Correct');
+        assert.equal(resultOf('8 KM', ['SEVEN KM'], lenient), 'Incorrect');
+    });
+    
+    test('accepts a unit the question asks for when the answer has none', () => {
+        const questionText = 'How many joules of work are done lifting the box?';
+        assert.equal(resultOf('200 J', ['200'], { questionText }), 'Correct');
+        assert.equal(resultOf('200 W', ['200'], { questionText }), 'Incorrect');
+    });
+});
+
+describe('expression answers', () => {
+    const math = { category: 'Math>Algebra' };
+    
+    test('matches symbolic and spoken spellings of one expression in Math', () => {
+        assert.equal(resultOf('100 times root 3', ['100*sqrt(3)'], math), 'Correct');
+        assert.equal(resultOf('13 x squared', ['13X^2'], math), 'Correct');
+        assert.equal(resultOf('13x to the second power', ['13X^2'], math), 'Correct');
+        assert.equal(resultOf('x to the power of 14', ['X^14'], math), 'Correct');
+    });
+    
+    test('matches an equation only against one for the same variable', () => {
+        assert.equal(resultOf('x=3', ['y=3'], { category: 'Math' }), 'Incorrect');
+        assert.equal(resultOf('X=0', ['0'], math), 'Incorrect');
+        assert.equal(resultOf('Y=2X', ['2X'], math), 'Incorrect');
+        assert.equal(resultOf('y equals 2 x', ['Y=2X'], math), 'Correct');
+    });
+    
+    test('leaves other categories to plain matching', () => {
+        assert.equal(resultOf('13 x squared', ['13X^2'], { category: 'Science>Physics' }), 'Incorrect');
+    });
+    
+    test('never treats a different expression as a typo', () => {
+        assert.equal(resultOf('COSINE Y', ['COSINE X'], { ...math, tolerance: TYPO_TOLERANCE.LENIENT }), 'Incorrect');
+    });
+});
+
+describe('matching pipelines', () => {
+    test('pick the pipeline of the most specific configured category', () => {
+        const pipelines = createMatchingPipelines({ 'Languages > Latin': ['exact'], History: ['exact', 'fuzzy'] });
+        assert.deepEqual(getMatchingPipeline('Languages>Latin>Vocabulary', pipelines), ['exact']);
+        assert.ok(getMatchingPipeline('Languages>French', pipelines).includes('accent-strict'));
+        assert.deepEqual(getMatchingPipeline('History>World History', pipelines), ['exact', 'fuzzy']);
+        assert.deepEqual(getMatchingPipeline('Science>Physics', pipelines), DEFAULT_PIPELINE);
+        assert.ok(getMatchingPipeline('Math>Algebra').includes('expression'));
+    });
+    
+    test('let "*" replace the default pipeline', () => {
+        const pipelines = createMatchingPipelines({ '*': ['exact'] });
+        assert.deepEqual(getMatchingPipeline('Science>Physics', pipelines), ['exact']);
+    });
+    
+    test('reject unknown stages and empty pipelines', () => {
+        assert.throws(() => createMatchingPipelines({ Math: ['exact', 'guess'] }), /Unknown matching stage "guess" for "Math"/);
+        assert.throws(() => createMatchingPipelines({ Math: [] }), /non-empty list of stages/);
+        assert.throws(() => createMatchingPipelines(['exact']), /must map categories/);
+    });
+    
+    test('only run the stages they list', () => {
+        const pipelines = createMatchingPipelines({ Science: ['exact'] });
+        const options = { category: 'Science>Biology', tolerance: TYPO_TOLERANCE.LENIENT, pipelines };
+        assert.equal(resultOf('MITOCHONDREA', ['MITOCHONDRIA'], options), 'Incorrect');
+        assert.equal(resultOf('MITOCHONDREA', ['MITOCHONDRIA'], { ...options, pipelines: undefined }), 'Close');
+    });
+    
+    test('trace which stage accepted or rejected the answer', () => {
+        const { trace } = matchAnswer('crow', ['RAVEN', 'DO NOT ACCEPT CROW'], { category: 'Science>Biology' });
+        assert.deepEqual(trace.map(step => step.stage), ['spelling', 'reject']);
+        assert.deepEqual(trace[1], { stage: 'reject', result: 'Incorrect', matchedAnswer: 'CROW' });
+        
+        const { trace: fullTrace } = matchAnswer('sparrow', ['RAVEN'], { category: 'Science>Biology' });
+        assert.deepEqual(fullTrace.map(step => step.stage), DEFAULT_PIPELINE);
+        assert.ok(fullTrace.every(step => step.result === null));
+    });
+    
+    test('can use a registered stage', () => {
+        registerMatcher('test-yes', context => context.normalizedInput === 'YES'
+            ? { result: 'Correct', matchedAnswer: 'YES', distance: 0 }
+            : null);
+        assert.ok(getMatcherNames().includes('test-yes'));
+        const pipelines = createMatchingPipelines({ Science: ['test-yes'] });
+        assert.equal(resultOf('yes', ['NO'], { category: 'Science', pipelines }), 'Correct');
+    });
+});
@@ -0,0 +1,370 @@
+/**
+ * Numbers and units in answers
+ * Reads numbers written as digits or words, fractions, decimals and negatives,
+ * with an optional unit, so equal quantities match however they are written
+ */
+
+// Number words read by parseNumericAnswer
+const SMALL_NUMBERS = {
+    ZERO: 0, ONE: 1, TWO: 2, THREE: 3, FOUR: 4, FIVE: 5, SIX: 6, SEVEN: 7, EIGHT: 8, NINE: 9,
+    TEN: 10, ELEVEN: 11, TWELVE: 12, THIRTEEN: 13, FOURTEEN: 14, FIFTEEN: 15,
+    SIXTEEN: 16, SEVENTEEN: 17, EIGHTEEN: 18, NINETEEN: 19
+};
+const TENS = {
+    TWENTY: 20, THIRTY: 30, FORTY: 40, FIFTY: 50, SIXTY: 60, SEVENTY: 70, EIGHTY: 80, NINETY: 90
+};
+const SCALES = { THOUSAND: 1e3, MILLION: 1e6, BILLION: 1e9 };
+
+// Fraction denominators ("two thirds", "one twenty-fourth"); "second" is left out since it's a unit
+const DENOMINATORS = (() => {
+    const irregular = { THREE: 'THIRD', FIVE: 'FIFTH', EIGHT: 'EIGHTH', NINE: 'NINTH', TWELVE: 'TWELFTH' };
+    const denominators = { HALF: 2, HALVES: 2, QUARTER: 4, QUARTERS: 4, HUNDREDTH: 100, THOUSANDTH: 1000 };
+    
+    Object.entries(SMALL_NUMBERS).filter(([, value]) => value >= 3).forEach(([word, value]) => {
+        denominators[irregular[word] || `${word}TH`] = value;
+    });
+    Object.entries(TENS).forEach(([word, value]) => {
+        denominators[`${word.slice(0, -1)}IETH`] = value;
+    });
+    Object.entries({ ...denominators }).forEach(([word, value]) => {
+        if (!word.endsWith('S')) {
+            denominators[`${word}S`] = value;
+        }
+    });
+    
+    return denominators;
+})();
+
+// Units by symbol, with the spellings accepted for each
+const UNIT_ALIASES = {
+    M: ['M', 'METER', 'METERS', 'METRE', 'METRES'],
+    CM: ['CM', 'CENTIMETER', 'CENTIMETERS', 'CENTIMETRE', 'CENTIMETRES'],
+    MM: ['MM', 'MILLIMETER', 'MILLIMETERS', 'MILLIMETRE', 'MILLIMETRES'],
+    KM: ['KM', 'KILOMETER', 'KILOMETERS', 'KILOMETRE', 'KILOMETRES'],
+    NM: ['NM', 'NANOMETER', 'NANOMETERS', 'NANOMETRE', 'NANOMETRES'],
+    FT: ['FT', 'FOOT', 'FEET'],
+    INCH: ['INCH', 'INCHES'],
+    YD: ['YD', 'YDS', 'YARD', 'YARDS'],
+    MI: ['MI', 'MILE', 'MILES'],
+    G: ['G', 'GRAM', 'GRAMS'],
+    KG: ['KG', 'KILOGRAM', 'KILOGRAMS'],
+    MG: ['MG', 'MILLIGRAM', 'MILLIGRAMS'],
+    LB: ['LB', 'LBS', 'POUND', 'POUNDS'],
+    OZ: ['OZ', 'OUNCE', 'OUNCES'],
+    S: ['S', 'SEC', 'SECS', 'SECOND', 'SECONDS'],
+    MS: ['MS', 'MILLISECOND', 'MILLISECONDS'],
+    MIN: ['MIN', 'MINS', 'MINUTE', 'MINUTES'],
+    H: ['H', 'HR', 'HRS', 'HOUR', 'HOURS'],
+    DAY: ['DAY', 'DAYS'],
+    YR: ['YR', 'YRS', 'YEAR', 'YEARS'],
+    L: ['L', 'LITER', 'LITERS', 'LITRE', 'LITRES'],
+    ML: ['ML', 'MILLILITER', 'MILLILITERS', 'MILLILITRE', 'MILLILITRES'],
+    MOL: ['MOL', 'MOLS', 'MOLE', 'MOLES'],
+    J: ['J', 'JOULE', 'JOULES'],
+    KJ: ['KJ', 'KILOJOULE', 'KILOJOULES'],
+    CAL: ['CAL', 'CALORIE', 'CALORIES'],
+    KCAL: ['KCAL', 'KILOCALORIE', 'KILOCALORIES'],
+    EV: ['EV', 'ELECTRONVOLT', 'ELECTRONVOLTS'],
+    N: ['N', 'NEWTON', 'NEWTONS'],
+    W: ['W', 'WATT', 'WATTS'],
+    KW: ['KW', 'KILOWATT', 'KILOWATTS'],
+    V: ['V', 'VOLT', 'VOLTS'],
+    A: ['A', 'AMP', 'AMPS', 'AMPERE', 'AMPERES'],
+    C: ['C', 'COULOMB', 'COULOMBS'],
+    OHM: ['OHM', 'OHMS', 'Ω'],
+    T: ['T', 'TESLA', 'TESLAS'],
+    HZ: ['HZ', 'HERTZ'],
+    PA: ['PA', 'PASCAL', 'PASCALS'],
+    KPA: ['KPA', 'KILOPASCAL', 'KILOPASCALS'],
+    ATM: ['ATM', 'ATMOSPHERE', 'ATMOSPHERES'],
+    K: ['K', 'KELVIN', 'KELVINS'],
+    DEGC: ['DEGC'],
+    DEGF: ['DEGF'],
+    DEG: ['DEG', 'DEGS', 'DEGREE', 'DEGREES', '°'],
+    RAD: ['RAD', 'RADS', 'RADIAN', 'RADIANS'],
+    MPH: ['MPH'],
+    PERCENT: ['%', 'PERCENT']
+};
+const UNIT_SYMBOLS = new Map(Object.entries(UNIT_ALIASES)
+    .flatMap(([symbol, aliases]) => aliases.map(alias => [alias, symbol])));
+
+// Words that end the unit phrase after "in" or "how many" in a question
+const UNIT_PHRASE_END = /\s+(?:IS|ARE|DOES|DO|DID|WILL|WOULD|CAN|COULD|WAS|WERE|HAS|HAVE|HAD|IF|WHEN|TO|FOR|OF|THAT|AT|ON|IN|AND|OR|WITH|FROM)\b.*$/;
+
+/**
+ * Reads a unit phrase ("J", "meters per second squared", "m/s^2", "square cm")
+ * @param {string} text - Unit text
+ * @returns {string|null} Canonical unit key such as "M S^-2", or null if any part isn't a known unit
+ */
+export function parseUnit(text) {
+    const unitText = text.toUpperCase()
+        .replace(/²/g, '^2')
+        .replace(/³/g, '^3')
+        .replace(/°\s*C\b|\bDEGREES?\s+CELSIUS\b|\bCELSIUS\b/g, 'DEGC')
+        .replace(/°\s*F\b|\bDEGREES?\s+FAHRENHEIT\b|\bFAHRENHEIT\b/g, 'DEGF')
+        .replace(/\b(?:SQUARE|SQ)\s+([A-Z]+)/g, '$1^2')
+        .replace(/\bCUBIC\s+([A-Z]+)/g, '$1^3')
+        .replace(/\s+SQUARED\b/g, '^2')
+        .replace(/\s+CUBED\b/g, '^3')
+        .replace(/\s+PER\s+/g, '/')
+        .replace(/\s*([/^*·])\s*/g, '$1')
+        .trim();
+    if (!unitText) {
+        return null;
+    }
+    
+    // Sum exponents by symbol: everything after a "/" is in the denominator
+    const exponents = new Map();
+    const valid = unitText.split('/').every((part, partIndex) => part.split(/[\s*·]+/).every(factor => {
+        const match = factor.match(/^([A-ZΩ°%]+)(?:\^?(-?\d))?$/);
+        const symbol = match && UNIT_SYMBOLS.get(match[1]);
+        if (!symbol) {
+            return false;
+        }
+        const power = (match[2] ? parseInt(match[2], 10) : 1) * (partIndex === 0 ? 1 : -1);
+        exponents.set(symbol, (exponents.get(symbol) || 0) + power);
+        return true;
+    }));
+    if (!valid) {
+        return null;
+    }
+    
+    return [...exponents.entries()]
+        .filter(([, power]) => power !== 0)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([symbol, power]) => power === 1 ? symbol : `${symbol}^${power}`)
+        .join(' ');
+}
+
+/**
+ * Reads a whole number written in words ("two hundred forty", "a thousand")
+ * Stops before the first word that isn't part of the number
+ * @param {string[]} tokens - Uppercase tokens
+ * @param {number} start - Index of the first token
+ * @returns {Object|null} { value, next } or null if no number starts here
+ */
+function readNumberWords(tokens, start) {
+    let total = 0;
+    let current = 0;
+    let index = start;
+    // Kind of the previous word, so "zero one" or "five six" isn't read as one number
+    let last = 'start';
+    
+    // "a hundred", "a half"
+    if (tokens[index] === 'A' && (tokens[index + 1] === 'HUNDRED' || SCALES[tokens[index + 1]] || DENOMINATORS[tokens[index + 1]])) {
+        current = 1;
+        last = 'units';
+        index++;
+    }
+    
+    for (; index < tokens.length; index++) {
+        const token = tokens[index];
+        const value = SMALL_NUMBERS[token];
+        if (value !== undefined && (['start', 'hundred', 'scale'].includes(last) || (last === 'tens' && value > 0 && value < 10))) {
+            current += value;
+            last = value === 0 ? 'zero' : 'units';
+        } else if (token in TENS && ['start', 'hundred', 'scale'].includes(last)) {
+            current += TENS[token];
+            last = 'tens';
+        } else if (token === 'HUNDRED' && ['units', 'tens'].includes(last)) {
+            current *= 100;
+            last = 'hundred';
+        } else if (token in SCALES && ['units', 'tens', 'hundred'].includes(last)) {
+            total += current * SCALES[token];
+            current = 0;
+            last = 'scale';
+        } else if (token === 'AND' && ['hundred', 'scale'].includes(last) && (tokens[index + 1] in SMALL_NUMBERS || tokens[index + 1] in TENS)) {
+            continue;
+        } else {
+            break;
+        }
+    }
+    
+    if (index === start) {
+        return null;
+    }
+    return { value: total + current, next: index };
+}
+
+/**
+ * Reads one unsigned number: digits, a digit fraction, words, a word fraction or "x over y"
+ * @param {string[]} tokens - Uppercase tokens
+ * @param {number} start - Index of the first token
+ * @returns {Object|null} { value, next } or null if no number starts here
+ */
+export function readNumber(tokens, start) {
+    const token = tokens[start];
+    let value;
+    let next;
+    
+    const fraction = token?.match(/^(\d+)\/(\d+)$/);
+    if (fraction) {
+        value = Number(fraction[1]) / Number(fraction[2]);
+        next = start + 1;
+    } else if (/^(\d+\.?\d*|\.\d+)$/.test(token || '')) {
+        value = Number(token);
+        next = start + 1;
+        
+        // Mixed numbers ("1 1/2")
+        const mixed = tokens[next]?.match(/^(\d+)\/(\d+)$/);
+        if (mixed && Number.isInteger(value)) {
+            value += Number(mixed[1]) / Number(mixed[2]);
+            next++;
+        }
+    } else {
+        const words = readNumberWords(tokens, start);
+        if (!words) {
+            return null;
+        }
+        value = words.value;
+        next = words.next;
+        
+        // Decimals in words ("two point five")
+        if (tokens[next] === 'POINT' && SMALL_NUMBERS[tokens[next + 1]] < 10) {
+            let digits = '';
+            next++;
+            while (SMALL_NUMBERS[tokens[next]] < 10) {
+                digits += SMALL_NUMBERS[tokens[next]];
+                next++;
+            }
+            value = Number(`${value}.${digits}`);
+        }
+        
+        // Word fractions ("six fifths"), including compound denominators ("one twenty-fourth")
+        let denominator = DENOMINATORS[tokens[next]];
+        if (!denominator && tokens[next] in TENS && DENOMINATORS[tokens[next + 1]] < 10) {
+            denominator = TENS[tokens[next]] + DENOMINATORS[tokens[next + 1]];
+            next++;
+        }
+        if (denominator) {
+            value /= denominator;
+            next++;
+        }
+    }
+    
+    // "x over y", "x divided by y"
+    if (tokens[next] === 'OVER' || (tokens[next] === 'DIVIDED' && tokens[next + 1] === 'BY')) {
+        const denominator = readNumber(tokens, next + (tokens[next] === 'OVER' ? 1 : 2));
+        if (!denominator || denominator.value === 0) {
+            return null;
+        }
+        return { value: value / denominator.value, next: denominator.next };
+    }
+    
+    return { value, next };
+}
+
+/**
+ * Reads an answer that is a number with an optional unit
+ * Accepts digits ("-4", "1,000", "2.5", "1/3", "1 1/2"), words ("negative four",
+ * "two hundred", "six fifths", "one over twenty-four") and a trailing unit ("200 J",
+ * "-4 m/s^2", "7 centimeters")
+ * @param {string} text - Answer text
+ * @returns {Object|null} { value, unit } where unit is a parseUnit key or null;
+ *   null if the text is anything other than a number and unit
+ */
+export function parseNumericAnswer(text) {
+    const prepared = text.trim().toUpperCase()
+        .replace(/[−–]/g, '-')
+        .replace(/(\d),(?=\d{3}\b)/g, '$1')
+        .replace(/^-\s*/, 'NEGATIVE ')
+        .replace(/([A-Z])-(?=[A-Z])/g, '$1 ')
+        .replace(/(\d)(?=[A-Z°%Ω])/g, '$1 ')
+        .replace(/[.!?]+$/, '');
+    const tokens = prepared.split(/\s+/).filter(Boolean);
+    
+    let start = 0;
+    let sign = 1;
+    if (tokens[0] === 'NEGATIVE' || tokens[0] === 'MINUS') {
+        sign = -1;
+        start = 1;
+    }
+    
+    const number = readNumber(tokens, start);
+    if (!number || !Number.isFinite(number.value)) {
+        return null;
+    }
+    
+    const rest = tokens.slice(number.next).join(' ');
+    if (!rest) {
+        return { value: sign * number.value, unit: null };
+    }
+    const unit = parseUnit(rest);
+    return unit ? { value: sign * number.value, unit } : null;
+}
+
+/**
+ * Lists the units a question asks for ("How many joules...", "...in meters per second?")
+ * @param {string} questionText - Question text
+ * @returns {string[]} parseUnit keys
+ */
+export function findQuestionUnits(questionText) {
+    const units = [];
+    const phrasePattern = /\b(?:IN|HOW MANY|NUMBER OF)\s+([^?.,;:]+)/g;
+    
+    for (const match of questionText.toUpperCase().matchAll(phrasePattern)) {
+        // Try the longest run of words first ("meters per second squared" before "meters")
+        const words = match[1].replace(UNIT_PHRASE_END, '').trim().split(/\s+/);
+        for (let count = words.length; count > 0; count--) {
+            const unit = parseUnit(words.slice(0, count).join(' '));
+            if (unit) {
+                units.push(unit);
+                break;
+            }
+        }
+    }
+    
+    return units;
+}
+
+/**
+ * Checks whether two numeric answers are the same quantity
+ * A missing unit on the user's side always matches; a unit on the user's side must match
+ * the accepted answer's unit, or a unit the question asks for if the answer has none
+ * @param {Object} user - User's answer from parseNumericAnswer
+ * @param {Object|null} accepted - Accepted answer from parseNumericAnswer
+ * @param {string[]} askedUnits - Units the question asks for (see findQuestionUnits)
+ * @returns {boolean} True if they match
+ */
+export function isSameQuantity(user, accepted, askedUnits) {
+    if (!accepted) {
+        return false;
+    }
+    
+    const scale = Math.max(1, Math.abs(user.value), Math.abs(accepted.value));
+    if (Math.abs(user.value - accepted.value) > 1e-9 * scale) {
+        return false;
+    }
+    
+    if (!user.unit) {
+        return true;
+    }
+    return accepted.unit ? user.unit === accepted.unit : askedUnits.includes(user.unit);
+}
+
+/**
+ * Checks whether a token can be part of a number written in words
+ * @param {string} token - Uppercase token
+ * @returns {boolean} True for number, scale and fraction words
+ */
+export function isNumberWord(token) {
+    return token in SMALL_NUMBERS || token in TENS || token in SCALES || token in DENOMINATORS
+        || token === 'HUNDRED' || token === 'POINT';
+}
+
+/**
+ * Reads an ordinal used as an exponent ("second", "third", "14th", "fourteenth")
+ * @param {string} token - Uppercase token
+ * @returns {number|null} Its value, or null if the token isn't an ordinal
+ */
+export function readOrdinal(token) {
+    if (token === 'SECOND') {
+        return 2;
+    }
+    const digits = token.match(/^(\d+)(?:ST|ND|RD|TH)$/);
+    if (digits) {
+        return Number(digits[1]);
+    }
+    // Singular ordinals only; "half" and "quarter" are fractions, not exponents
+    return token in DENOMINATORS && !/S$|^HALF$|^QUARTER$/.test(token) ? DENOMINATORS[token] : null;
+}
@@ -0,0 +1,53 @@
+/**
+ * Tests for reading numbers and units (numbers.js)
+ * Run with: npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseUnit, parseNumericAnswer, findQuestionUnits, isSameQuantity } from './numbers.js';
+
+describe('parseNumericAnswer', () => {
+    test('reads digits, number words, negatives, fractions and decimals', () => {
+        assert.deepEqual(parseNumericAnswer('-4'), { value: -4, unit: null });
+        assert.deepEqual(parseNumericAnswer('negative four'), { value: -4, unit: null });
+        assert.deepEqual(parseNumericAnswer('two hundred'), { value: 200, unit: null });
+        assert.deepEqual(parseNumericAnswer('1,000'), { value: 1000, unit: null });
+        assert.deepEqual(parseNumericAnswer('2.5'), { value: 2.5, unit: null });
+        assert.deepEqual(parseNumericAnswer('1 1/2'), { value: 1.5, unit: null });
+        assert.equal(parseNumericAnswer('six fifths').value, 1.2);
+    });
+    
+    test('reads a trailing unit and rejects anything else after the number', () => {
+        assert.deepEqual(parseNumericAnswer('-4 m/s^2'), { value: -4, unit: parseUnit('M/S^2') });
+        assert.equal(parseNumericAnswer('200 light bulbs'), null);
+        assert.equal(parseNumericAnswer('PARIS'), null);
+    });
+});
+
+describe('parseUnit', () => {
+    test('gives symbols and spelled-out units the same key', () => {
+        assert.equal(parseUnit('J'), parseUnit('joules'));
+        assert.equal(parseUnit('m/s^2'), parseUnit('meters per second squared'));
+        assert.equal(parseUnit('cm^2'), parseUnit('square centimeters'));
+        assert.equal(parseUnit('bulbs'), null);
+    });
+});
+
+describe('findQuestionUnits', () => {
+    test('finds the unit after "how many" or "in"', () => {
+        assert.deepEqual(findQuestionUnits('How many joules of work are done?'), [parseUnit('J')]);
+        assert.deepEqual(findQuestionUnits('What is its acceleration in meters per second squared?'), [parseUnit('M/S^2')]);
+        assert.deepEqual(findQuestionUnits('In what year did the war end?'), []);
+    });
+});
+
+describe('isSameQuantity', () => {
+    test('lets the user leave out the unit but not give a different one', () => {
+        const accepted = parseNumericAnswer('200 JOULES');
+        assert.equal(isSameQuantity(parseNumericAnswer('200'), accepted, []), true);
+        assert.equal(isSameQuantity(parseNumericAnswer('200 J'), accepted, []), true);
+        assert.equal(isSameQuantity(parseNumericAnswer('200 W'), accepted, []), false);
+        assert.equal(isSameQuantity(parseNumericAnswer('200 J'), parseNumericAnswer('200'), [parseUnit('J')]), true);
+    });
+});
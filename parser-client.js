@@ -0,0 +1,121 @@
+/**
+ * Main-thread side of the parser worker
+ * Runs bank parsing in parser-worker.js and reassembles the chunked result.
+ * CSV, TSV and JSON banks are converted by filename extension (see convert.js).
+ * Falls back to the synchronous parser when workers are unavailable
+ * (e.g. module workers unsupported, or the page is opened from file://).
+ */
+
+import { parseBankFile } from './convert.js';
+
+let nextJobId = 1;
+
+/**
+ * Checks whether module workers can be created here
+ * @returns {boolean} True if the worker path should be tried
+ */
+function canUseWorker() {
+    return typeof Worker !== 'undefined' && typeof URL !== 'undefined';
+}
+
+/**
+ * Runs one parse job in a dedicated worker
+ * Rejects with { workerUnavailable: true } if the worker itself fails to run,
+ * so callers can fall back to parsing on the main thread
+ * @param {Object} job - { filename, url } or { filename, content }
+ * @param {Function} onProgress - Called with a 0-1 fraction as parsing advances
+ * @returns {Promise<Object>} Same shape as parseQuestionBank's result
+ */
+function runWorkerJob(job, onProgress) {
+    return new Promise((resolve, reject) => {
+        const jobId = nextJobId++;
+        const questions = [];
+        let worker;
+        
+        try {
+            worker = new Worker(new URL('./parser-worker.js', import.meta.url), { type: 'module' });
+        } catch (error) {
+            reject(Object.assign(error, { workerUnavailable: true }));
+            return;
+        }
+        
+        worker.onmessage = (event) => {
+            const message = event.data;
+            if (message.jobId !== jobId) return;
+            
+            if (message.type === 'progress') {
+                if (message.total > 0) {
+                    onProgress(Math.min(message.loaded / message.total, 1));
+                }
+            } else if (message.type === 'questions') {
+                questions.push(...message.questions);
+            } else if (message.type === 'done') {
+                worker.terminate();
+                onProgress(1);
+                resolve({ questions, ...message.result });
+            } else if (message.type === 'failed') {
+                worker.terminate();
+                reject(new Error(message.message));
+            }
+        };
+        
+        worker.onerror = (event) => {
+            event.preventDefault?.();
+            worker.terminate();
+            reject(Object.assign(new Error(event.message || 'Parser worker failed'), { workerUnavailable: true }));
+        };
+        
+        worker.postMessage({ jobId, ...job });
+    });
+}
+
+/**
+ * Parses bank content, off the main thread when possible
+ * @param {string} content - Bank file content
+ * @param {string} filename - Source filename
+ * @param {Function} [onProgress] - Called with a 0-1 fraction as parsing advances
+ * @returns {Promise<Object>} Same shape as parseQuestionBank's result
+ */
+export async function parseBankText(content, filename, onProgress = () => {}) {
+    if (canUseWorker()) {
+        try {
+            return await runWorkerJob({ filename, content }, onProgress);
+        } catch (error) {
+            if (!error.workerUnavailable) throw error;
+            console.warn('Parser worker unavailable, parsing on main thread:', error);
+        }
+    }
+    
+    const result = parseBankFile(content, filename);
+    onProgress(1);
+    return result;
+}
+
+/**
+ * Fetches and parses a bank file, streaming it through the worker when possible
+ * @param {string} url - Bank file URL (relative to the page)
+ * @param {string} filename - Source filename
+ * @param {Function} [onProgress] - Called with a 0-1 fraction as the file downloads and parses
+ * @returns {Promise<Object>} Same shape as parseQuestionBank's result
+ */
+export async function parseBankUrl(url, filename, onProgress = () => {}) {
+    if (canUseWorker()) {
+        try {
+            // Resolve against the page, since the worker resolves relative URLs against itself
+            const absoluteUrl = new URL(url, document.baseURI).href;
+            return await runWorkerJob({ filename, url: absoluteUrl }, onProgress);
+        } catch (error) {
+            if (!error.workerUnavailable) throw error;
+            console.warn('Parser worker unavailable, parsing on main thread:', error);
+        }
+    }
+    
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load question bank: ${response.status}`);
+    }
+    
+    const result = parseBankFile(await response.text(), filename);
+    onProgress(1);
+    return result;
+}
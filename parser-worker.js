@@ -0,0 +1,178 @@
+/**
+ * Question bank parser worker
+ * Streams a bank file line by line off the main thread, posting progress
+ * and parsed questions in chunks so large banks don't freeze the page.
+ * CSV, TSV and JSON banks are read in full and converted before parsing.
+ *
+ * Messages in:  { jobId, filename, url } or { jobId, filename, content }
+ * Messages out: { type: 'progress', jobId, loaded, total }
+ *               { type: 'questions', jobId, questions }
+ *               { type: 'done', jobId, result }
+ *               { type: 'failed', jobId, message }
+ */
+
+import { createBankParser } from './parser.js';
+import { BANK_FILE_TYPES, getBankFileType, convertBankFile } from './convert.js';
+
+// Questions posted per message
+const CHUNK_SIZE = 1000;
+
+// Lines between progress messages when parsing in-memory content
+const PROGRESS_LINE_INTERVAL = 2000;
+
+/**
+ * Calls onLine for each line of text that arrives in pieces
+ * Lines are split exactly like content.split('\n'), including a final empty line
+ * @param {Function} onLine - Called with each complete line
+ * @returns {Object} Splitter with push(text) and end()
+ */
+function createLineSplitter(onLine) {
+    let buffer = '';
+    
+    return {
+        push(text) {
+            buffer += text;
+            let start = 0;
+            let newline = buffer.indexOf('\n');
+            while (newline !== -1) {
+                onLine(buffer.slice(start, newline));
+                start = newline + 1;
+                newline = buffer.indexOf('\n', start);
+            }
+            // Keep the incomplete last line for the next piece
+            buffer = buffer.slice(start);
+        },
+        end() {
+            onLine(buffer);
+            buffer = '';
+        }
+    };
+}
+
+/**
+ * Fetches a bank file and feeds it to the splitter as it downloads
+ * @param {string} url - Bank file URL
+ * @param {Object} splitter - Line splitter
+ * @param {Function} onProgress - Called with (loaded, total) in bytes; total is 0 if unknown
+ */
+async function streamFromUrl(url, splitter, onProgress) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load question bank: ${response.status}`);
+    }
+    
+    const total = Number(response.headers.get('Content-Length')) || 0;
+    
+    // Older browsers without streaming bodies read the whole file at once
+    if (!response.body) {
+        const text = await response.text();
+        splitter.push(text);
+        splitter.end();
+        onProgress(text.length, text.length);
+        return;
+    }
+    
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let loaded = 0;
+    
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        
+        loaded += value.byteLength;
+        splitter.push(decoder.decode(value, { stream: true }));
+        onProgress(loaded, total);
+    }
+    
+    splitter.push(decoder.decode());
+    splitter.end();
+}
+
+/**
+ * Feeds in-memory content (e.g. an imported bank) to the parser line by line
+ * @param {string} content - Bank file content
+ * @param {Function} onLine - Called for each line
+ * @param {Function} onProgress - Called with (loaded, total) in characters
+ */
+function streamFromContent(content, onLine, onProgress) {
+    let start = 0;
+    let lineCount = 0;
+    
+    for (;;) {
+        const newline = content.indexOf('\n', start);
+        const end = newline === -1 ? content.length : newline;
+        onLine(content.slice(start, end));
+        
+        if (++lineCount % PROGRESS_LINE_INTERVAL === 0) {
+            onProgress(end, content.length);
+        }
+        if (newline === -1) break;
+        start = newline + 1;
+    }
+    
+    onProgress(content.length, content.length);
+}
+
+/**
+ * Reads a whole file from a URL, reporting download progress
+ * Used for converted banks, which can't be parsed until the file is complete
+ * @param {string} url - Bank file URL
+ * @param {Function} onProgress - Called with (loaded, total) in bytes
+ * @returns {Promise<string>} File content
+ */
+async function readFromUrl(url, onProgress) {
+    const parts = [];
+    await streamFromUrl(url, { push: text => parts.push(text), end: () => {} }, onProgress);
+    return parts.join('');
+}
+
+self.onmessage = async (event) => {
+    const { jobId, filename, url, content } = event.data;
+    
+    try {
+        let parser;
+        let chunk = [];
+        
+        const flush = () => {
+            if (chunk.length > 0) {
+                self.postMessage({ type: 'questions', jobId, questions: chunk });
+                chunk = [];
+            }
+        };
+        
+        const onLine = (line) => {
+            const question = parser.parseLine(line);
+            if (question) {
+                chunk.push(question);
+                if (chunk.length >= CHUNK_SIZE) {
+                    flush();
+                }
+            }
+        };
+        
+        const onProgress = (loaded, total) => {
+            self.postMessage({ type: 'progress', jobId, loaded, total });
+        };
+        
+        if (getBankFileType(filename) !== BANK_FILE_TYPES.TEXT) {
+            const text = typeof content === 'string' ? content : await readFromUrl(url, onProgress);
+            const conversion = convertBankFile(text, filename);
+            parser = createBankParser(filename, conversion);
+            // Fetched files already reported progress while downloading
+            streamFromContent(conversion.text, onLine, typeof content === 'string' ? onProgress : () => {});
+        } else if (typeof content === 'string') {
+            parser = createBankParser(filename);
+            streamFromContent(content, onLine, onProgress);
+        } else {
+            parser = createBankParser(filename);
+            await streamFromUrl(url, createLineSplitter(onLine), onProgress);
+        }
+        
+        flush();
+        self.postMessage({ type: 'done', jobId, result: parser.finish() });
+        
+    } catch (error) {
+        self.postMessage({ type: 'failed', jobId, message: error.message });
+    }
+};
@@ -1,8 +1,14 @@
 /**
  * Question bank parser and validator
- * Handles flat-file parsing with error handling and validation
+ * Handles flat-file parsing with error handling and validation. Lines that
+ * can't be used are errors; questions that load but look wrong get warnings.
  */
 
+import { normalize, isLanguageCategory, isSpellingQuestion, toLetterSequence, toComparisonText, getTrigrams, trigramSimilarity } from './normalize.js';
+import { parseAnswerLine, findAnswerLineProblems } from './answer-line.js';
+import { isPersonQuestion } from './names.js';
+import { generateQuestionId, isValidExplicitId, createIdRegistry } from './identity.js';
+
 /**
  * Splits a line on unescaped semicolons
  * Handles \; as literal semicolons and \\ as literal backslashes
@@ -44,14 +50,211 @@ export function splitOnUnescapedSemicolons(line) {
     return fields;
 }
 
+// Levels a question can be written for
+const LEVELS = ['Freshman', 'Junior Varsity', 'Varsity'];
+
+/**
+ * Finds the level a level field names, ignoring case and surrounding whitespace
+ * @param {string} level - Level to look up
+ * @returns {string|null} Level as written in LEVELS, or null if unknown
+ */
+export function findLevel(level) {
+    const key = level.trim().toLowerCase();
+    return LEVELS.find(validLevel => validLevel.toLowerCase() === key) || null;
+}
+
+// Values of yes/no metadata fields (spelling, person), which override detection from the question
+const FLAG_VALUES = { yes: true, true: true, no: false, false: false };
+
+/**
+ * Reads a yes/no metadata field that overrides what was detected from the question text
+ * @param {Object} metadata - Question metadata
+ * @param {string} key - Field name
+ * @param {boolean} detected - Value detected from the question text
+ * @returns {boolean} The field's value, or the detected value if the field is absent
+ */
+function readFlagField(metadata, key, detected) {
+    if (metadata[key] === undefined) {
+        return detected;
+    }
+    const value = metadata[key].toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(FLAG_VALUES, value)) {
+        throw new Error(`Invalid ${key} value: "${metadata[key]}" (use yes or no)`);
+    }
+    return FLAG_VALUES[value];
+}
+
+// Questions with fewer words than this are flagged as suspiciously short
+const MIN_QUESTION_WORDS = 4;
+
 /**
- * Validates that a level string is one of the allowed values
- * @param {string} level - Level to validate
- * @returns {boolean} True if valid
+ * Checks a question that parsed for problems worth a warning
+ * These don't stop the question from loading
+ * @param {Object} question - Parsed question
+ * @param {string} rawLevel - Level field as written
+ * @returns {Array} Warnings as { type, reason }
  */
-function isValidLevel(level) {
-    const validLevels = ['Freshman', 'Junior Varsity', 'Varsity'];
-    return validLevels.includes(level);
+function findQuestionWarnings(question, rawLevel) {
+    const warnings = [];
+    
+    // Answers that normalize identically are redundant and usually a typo. The forms of one
+    // entry ("[THE] RAVEN") may normalize alike, so only other entries are compared.
+    // Accents can be graded in Languages questions, so there "PIÉTON" and "PIETON" differ,
+    // and spelling questions compare letter sequences ("A DEMAIN" isn't spelled "DEMAIN")
+    const keepAccents = isLanguageCategory(question.category);
+    const toKey = question.spelling
+        ? (answer) => toLetterSequence(answer, keepAccents)
+        : (answer) => normalize(answer, { keepAccents });
+    const sameness = question.spelling ? 'have the same letters' : 'are the same once normalized';
+    const seenAnswers = new Map();
+    question.answers.forEach(entry => {
+        const entryKeys = new Map();
+        parseAnswerLine([entry]).accept.forEach(answer => {
+            entryKeys.set(toKey(answer), answer);
+        });
+        entryKeys.forEach((answer, key) => {
+            if (seenAnswers.has(key)) {
+                warnings.push({ type: 'duplicate-answer', reason: `Answers "${seenAnswers.get(key)}" and "${answer}" ${sameness}` });
+            } else {
+                seenAnswers.set(key, answer);
+            }
+        });
+    });
+    
+    findAnswerLineProblems(question.answers).forEach(reason => {
+        warnings.push({ type: 'answer-syntax', reason });
+    });
+    
+    const straightQuotes = (question.question.match(/"/g) || []).length;
+    const openQuotes = (question.question.match(/“/g) || []).length;
+    const closeQuotes = (question.question.match(/”/g) || []).length;
+    if (straightQuotes % 2 !== 0 || openQuotes !== closeQuotes) {
+        warnings.push({ type: 'unbalanced-quote', reason: 'Question has an unmatched quotation mark' });
+    }
+    
+    const wordCount = question.question.split(/\s+/).length;
+    if (wordCount < MIN_QUESTION_WORDS) {
+        warnings.push({ type: 'short-question', reason: `Question is only ${wordCount} ${wordCount === 1 ? 'word' : 'words'} long` });
+    }
+    
+    if (rawLevel.trim() !== question.level) {
+        warnings.push({ type: 'level-casing', reason: `Level "${rawLevel.trim()}" should be written "${question.level}"` });
+    }
+    
+    if (/[a-z]/.test(question.author) && !/[A-Z]/.test(question.author)) {
+        warnings.push({ type: 'author-casing', reason: `Author "${question.author}" is all lowercase` });
+    }
+    
+    return warnings;
+}
+
+// Number of fields every question line starts with
+const BASE_FIELD_COUNT = 5;
+
+// Bank format versions this parser understands
+const SUPPORTED_FORMAT_VERSIONS = [1, 2];
+
+// Names that can't be used for extra columns or metadata keys
+const RESERVED_FIELD_NAMES = ['category', 'question', 'answers', 'level', 'author'];
+
+// Extra column and metadata key syntax
+const FIELD_NAME_PATTERN = /^[a-z][a-z0-9_-]*$/;
+
+/**
+ * Creates the format used when a file has no #format header (5 fields per line)
+ * @returns {Object} Format descriptor with version and extra column names
+ */
+export function createDefaultFormat() {
+    return { version: 1, columns: [] };
+}
+
+/**
+ * Validates and lowercases an extra column or metadata key name
+ * @param {string} name - Raw name
+ * @returns {string} Normalized name
+ */
+function normalizeFieldName(name) {
+    const normalized = name.trim().toLowerCase();
+    if (!FIELD_NAME_PATTERN.test(normalized)) {
+        throw new Error(`Invalid field name: "${name.trim()}"`);
+    }
+    if (RESERVED_FIELD_NAMES.includes(normalized)) {
+        throw new Error(`Field name "${normalized}" is reserved`);
+    }
+    return normalized;
+}
+
+/**
+ * Applies a header directive line (#format: or #columns:) to the current format
+ * @param {string} line - Raw header line
+ * @param {Object} format - Format descriptor to update
+ * @returns {boolean} True if the line was a recognized directive
+ */
+function applyHeaderDirective(line, format) {
+    const match = line.trim().match(/^#\s*(format|columns)\s*:(.*)$/i);
+    if (!match) {
+        return false;
+    }
+    
+    const directive = match[1].toLowerCase();
+    const value = match[2].trim();
+    
+    if (directive === 'format') {
+        const version = Number(value);
+        if (!SUPPORTED_FORMAT_VERSIONS.includes(version)) {
+            throw new Error(`Unsupported format version: ${value}`);
+        }
+        format.version = version;
+    } else {
+        if (format.version < 2) {
+            throw new Error('#columns requires "#format: 2" first');
+        }
+        const columns = splitOnUnescapedSemicolons(value).map(normalizeFieldName);
+        const duplicate = columns.find((column, index) => columns.indexOf(column) !== index);
+        if (duplicate) {
+            throw new Error(`Duplicate column: ${duplicate}`);
+        }
+        format.columns = columns;
+    }
+    
+    return true;
+}
+
+/**
+ * Reads the fields after the base five into a metadata object
+ * Declared columns are positional; anything after them must be key=value
+ * @param {string[]} extraFields - Fields after the author field
+ * @param {Object} format - Active format descriptor
+ * @returns {Object} Metadata keyed by column or key name (empty values omitted)
+ */
+function parseExtraFields(extraFields, format) {
+    const metadata = {};
+    
+    extraFields.forEach((field, index) => {
+        let key;
+        let value;
+        
+        if (index < format.columns.length) {
+            key = format.columns[index];
+            value = field;
+        } else {
+            const separator = field.indexOf('=');
+            if (separator === -1) {
+                throw new Error(`Expected key=value metadata, got "${field.trim()}"`);
+            }
+            key = normalizeFieldName(field.slice(0, separator));
+            value = field.slice(separator + 1);
+        }
+        
+        if (Object.prototype.hasOwnProperty.call(metadata, key)) {
+            throw new Error(`Duplicate metadata key: ${key}`);
+        }
+        if (value.trim()) {
+            metadata[key] = value.trim();
+        }
+    });
+    
+    return metadata;
 }
 
 /**
@@ -59,9 +262,11 @@ function isValidLevel(level) {
  * @param {string} line - Raw line from file
  * @param {string} filename - Source filename for error reporting
  * @param {number} lineNumber - Line number for error reporting
+ * @param {Object} [format] - Format declared by the file header (defaults to format 1)
+ * @param {Array} [warnings] - Collects warnings for a line that parses (see findQuestionWarnings)
  * @returns {Object|null} Parsed question object or null if invalid
  */
-export function parseQuestionLine(line, filename, lineNumber) {
+export function parseQuestionLine(line, filename, lineNumber, format = createDefaultFormat(), warnings = []) {
     try {
         // Skip empty lines
         if (!line.trim()) {
@@ -70,12 +275,16 @@ export function parseQuestionLine(line, filename, lineNumber) {
         
         const fields = splitOnUnescapedSemicolons(line);
         
-        // Must have exactly 5 fields
-        if (fields.length !== 5) {
+        // Format 1 lines must have exactly 5 fields; later formats allow extras
+        if (format.version === 1 && fields.length !== BASE_FIELD_COUNT) {
             throw new Error(`Expected 5 fields, got ${fields.length}`);
         }
+        if (fields.length < BASE_FIELD_COUNT) {
+            throw new Error(`Expected at least 5 fields, got ${fields.length}`);
+        }
         
         const [category, question, answersJson, level, author] = fields;
+        const metadata = parseExtraFields(fields.slice(BASE_FIELD_COUNT), format);
         
         // Validate category
         if (!category.trim()) {
@@ -103,8 +312,14 @@ export function parseQuestionLine(line, filename, lineNumber) {
             throw new Error('All answers must be non-empty strings');
         }
         
-        // Validate level
-        if (!isValidLevel(level)) {
+        // "PROMPT ON" and "DO NOT ACCEPT" entries alone leave nothing to accept
+        if (parseAnswerLine(answers).accept.length === 0) {
+            throw new Error('Answers need at least one accepted answer besides prompts and rejects');
+        }
+        
+        // Validate level (odd casing is only a warning)
+        const canonicalLevel = findLevel(level);
+        if (!canonicalLevel) {
             throw new Error(`Unknown level: ${level}`);
         }
         
@@ -113,25 +328,48 @@ export function parseQuestionLine(line, filename, lineNumber) {
             throw new Error('Author cannot be empty');
         }
         
-        // Extract broad and specific subjects
-        const subjectParts = category.split('>');
+        // Extract broad and specific subjects; paths can be any depth ("Humanities>World History>Ancient")
+        const subjectParts = category.split('>').map(part => part.trim());
+        if (subjectParts.some(part => !part)) {
+            throw new Error(`Category has an empty subject: ${category.trim()}`);
+        }
+        const categoryPath = subjectParts.join('>');
         const subjectBroad = subjectParts[0];
-        const subjectSpecific = subjectParts.length > 1 ? subjectParts[1] : category;
+        const subjectSpecific = subjectParts.length > 1 ? subjectParts[1] : categoryPath;
         
-        // Generate stable ID (simple hash of content)
-        const id = generateId(category + question + level + author);
+        // Use the writer's ID from the id column, or one generated from the category and
+        // question text (see identity.js); collisions are checked per file by createBankParser
+        // and across banks by resolvePoolIds
+        if (metadata.id !== undefined && !isValidExplicitId(metadata.id)) {
+            throw new Error(`Invalid question ID: "${metadata.id}" (use letters, digits and _ . : -, up to 64 characters)`);
+        }
+        const id = metadata.id || generateQuestionId(categoryPath, question);
         
-        return {
+        // Spelling questions are graded letter by letter, and person questions accept a
+        // surname alone; both are found from the wording and spelling= or person= overrides it
+        const spelling = readFlagField(metadata, 'spelling', isSpellingQuestion(question));
+        const person = readFlagField(metadata, 'person', isPersonQuestion(question));
+        
+        const parsed = {
             id,
-            category: category.trim(),
-            subjectBroad: subjectBroad.trim(),
-            subjectSpecific: subjectSpecific.trim(),
+            category: categoryPath,
+            subjectBroad,
+            subjectSpecific,
             question: question.trim(),
             answers: answers.map(a => a.trim()),
-            level: level.trim(),
-            author: author.trim()
+            level: canonicalLevel,
+            author: author.trim(),
+            spelling,
+            person,
+            metadata
         };
         
+        findQuestionWarnings(parsed, level).forEach(warning => {
+            warnings.push({ warning: true, ...warning, filename, line: lineNumber, rawLine: line });
+        });
+        
+        return parsed;
+        
     } catch (error) {
         // Return structured error for display
         return {
@@ -145,50 +383,258 @@ export function parseQuestionLine(line, filename, lineNumber) {
 }
 
 /**
- * Generates a simple hash-based ID for questions
- * @param {string} content - Content to hash
- * @returns {string} Stable ID
+ * Creates the running state for reading a bank file line by line
+ * @returns {Object} State with the active format and whether the header is still open
  */
-function generateId(content) {
-    let hash = 0;
-    for (let i = 0; i < content.length; i++) {
-        const char = content.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash; // Convert to 32-bit integer
+export function createParseState() {
+    return { format: createDefaultFormat(), inHeader: true };
+}
+
+/**
+ * Reads one line of a bank file, handling header directives and comments
+ * @param {string} line - Raw line from file
+ * @param {string} filename - Source filename for error reporting
+ * @param {number} lineNumber - Line number for error reporting
+ * @param {Object} state - Parse state from createParseState (updated in place)
+ * @param {Array} [warnings] - Collects warnings for a line that parses
+ * @returns {Object|null} Question, error object, or null for blank, header and comment lines
+ */
+export function parseBankLine(line, filename, lineNumber, state, warnings = []) {
+    const trimmed = line.trim();
+    
+    // Header directives are only read before the first question line
+    if (state.inHeader && trimmed.startsWith('#')) {
+        try {
+            if (applyHeaderDirective(line, state.format)) {
+                return null;
+            }
+        } catch (error) {
+            return { error: true, filename, line: lineNumber, reason: error.message, rawLine: line };
+        }
     }
-    return Math.abs(hash).toString(36);
+    if (trimmed) {
+        state.inHeader = false;
+    }
+    
+    // Format 2 treats any other # line as a comment
+    if (state.format.version >= 2 && trimmed.startsWith('#')) {
+        return null;
+    }
+    
+    return parseQuestionLine(line, filename, lineNumber, state.format, warnings);
 }
 
+// Minimum character-trigram similarity for two questions to count as near-duplicates
+const NEAR_DUPLICATE_THRESHOLD = 0.9;
+
 /**
- * Parses the entire question bank file
- * @param {string} content - File content as string
+ * Creates an incremental duplicate detector
+ * Exact duplicates have the same category, question text and answers.
+ * Near-duplicates share an accepted answer and have question text that is
+ * at least NEAR_DUPLICATE_THRESHOLD similar after normalization. Across
+ * categories the normalized text must match outright, so parallel questions
+ * like the French and Spanish word for "sad" aren't flagged.
+ * Each question is paired with the first earlier question it repeats.
+ * @returns {Object} Detector whose add(question) returns a duplicate or null
+ */
+function createDuplicateDetector() {
+    const exactIndex = new Map();
+    const answerIndex = new Map();
+    // Only the comparison text and category of each question are kept, not the questions
+    const texts = [];
+    const categories = [];
+    const trigramCache = new Map();
+    let count = 0;
+    
+    const trigramsFor = (index) => {
+        if (!trigramCache.has(index)) {
+            trigramCache.set(index, getTrigrams(texts[index]));
+        }
+        return trigramCache.get(index);
+    };
+    
+    return {
+        add(question) {
+            const index = count++;
+            const exactKey = [question.category, question.question, ...question.answers].join('\u0000');
+            const answerKeys = [...new Set(parseAnswerLine(question.answers).accept.map(answer => normalize(answer)))];
+            texts[index] = toComparisonText(question.question);
+            categories[index] = question.category;
+            
+            if (exactIndex.has(exactKey)) {
+                return { type: 'exact', index, pairedIndex: exactIndex.get(exactKey), similarity: 1 };
+            }
+            
+            // Only compare against earlier questions that accept one of the same answers
+            const candidates = new Set();
+            answerKeys.forEach(key => {
+                (answerIndex.get(key) || []).forEach(candidate => candidates.add(candidate));
+            });
+            
+            for (const candidate of [...candidates].sort((a, b) => a - b)) {
+                const similarity = trigramSimilarity(trigramsFor(index), trigramsFor(candidate));
+                const threshold = categories[candidate] === question.category ? NEAR_DUPLICATE_THRESHOLD : 1;
+                if (similarity >= threshold) {
+                    return { type: 'near', index, pairedIndex: candidate, similarity };
+                }
+            }
+            
+            // Not a duplicate - make it available for later comparisons
+            exactIndex.set(exactKey, index);
+            answerKeys.forEach(key => {
+                if (!answerIndex.has(key)) {
+                    answerIndex.set(key, []);
+                }
+                answerIndex.get(key).push(index);
+            });
+            return null;
+        }
+    };
+}
+
+/**
+ * Finds exact and near-duplicate questions (see createDuplicateDetector)
+ * @param {Array} questions - Parsed questions in file order
+ * @returns {Array} Duplicates as { type, index, pairedIndex, similarity }
+ */
+export function findDuplicateQuestions(questions) {
+    const detector = createDuplicateDetector();
+    return questions.map(question => detector.add(question)).filter(Boolean);
+}
+
+/**
+ * Creates an incremental parser that reads a bank one line at a time
+ * parseQuestionBank and the parser worker both build on this so their results match
  * @param {string} filename - Source filename
- * @returns {Object} Object with questions array and errors array
+ * @param {Object} [options] - Options for banks converted from another format (see convert.js)
+ * @param {number[]} [options.lineNumbers] - Source line reported for each line read, instead of its position
+ * @param {Array} [options.errors] - Errors found during conversion, reported alongside parse errors
+ * @returns {Object} Parser with parseLine(line) and finish()
  */
-export function parseQuestionBank(content, filename) {
-    const lines = content.split('\n');
-    const questions = [];
-    const errors = [];
+export function createBankParser(filename, options = {}) {
+    const state = createParseState();
+    const detector = createDuplicateDetector();
+    const questionLines = [];
+    const errors = [...(options.errors || [])];
+    const warnings = [];
+    const duplicates = [];
+    const ids = createIdRegistry();
+    // First spelling of each author, by lowercased name, for the casing check
+    const authorSpellings = new Map();
+    let linesRead = 0;
     
-    lines.forEach((line, index) => {
-        const lineNumber = index + 1;
-        const result = parseQuestionLine(line, filename, lineNumber);
-        
-        if (result) {
+    return {
+        /**
+         * Parses the next line of the file
+         * @param {string} line - Raw line
+         * @returns {Object|null} The parsed question, or null for errors and non-question lines
+         */
+        parseLine(line) {
+            linesRead++;
+            const lineNumber = options.lineNumbers ? options.lineNumbers[linesRead - 1] : linesRead;
+            const lineWarnings = [];
+            const result = parseBankLine(line, filename, lineNumber, state, lineWarnings);
+            if (!result) {
+                return null;
+            }
             if (result.error) {
                 errors.push(result);
-            } else {
-                questions.push(result);
+                return null;
+            }
+            
+            // Each ID may be used once per file; a repeated explicit ID drops the line
+            const claim = ids.claim(result.id, Boolean(result.metadata.id), lineNumber);
+            if (claim.conflictLine) {
+                errors.push({
+                    error: true,
+                    filename,
+                    line: lineNumber,
+                    reason: `Duplicate question ID "${result.id}" (already used on line ${claim.conflictLine})`,
+                    rawLine: line
+                });
+                return null;
             }
+            result.id = claim.id;
+            warnings.push(...lineWarnings);
+            
+            questionLines.push(lineNumber);
+            
+            // The same author should be spelled the same way throughout a file
+            const authorKey = result.author.toLowerCase();
+            const firstSpelling = authorSpellings.get(authorKey);
+            if (!firstSpelling) {
+                authorSpellings.set(authorKey, { author: result.author, line: lineNumber });
+            } else if (firstSpelling.author !== result.author) {
+                warnings.push({
+                    warning: true,
+                    type: 'author-casing',
+                    filename,
+                    line: lineNumber,
+                    reason: `Author "${result.author}" is written "${firstSpelling.author}" on line ${firstSpelling.line}`,
+                    rawLine: line
+                });
+            }
+            
+            // Report repeated questions as warnings; the questions themselves are kept
+            const duplicate = detector.add(result);
+            if (duplicate) {
+                const pairedLine = questionLines[duplicate.pairedIndex];
+                duplicates.push({ ...duplicate, line: lineNumber, pairedLine });
+                warnings.push({
+                    warning: true,
+                    type: duplicate.type === 'exact' ? 'duplicate' : 'near-duplicate',
+                    filename,
+                    line: lineNumber,
+                    pairedLine,
+                    reason: duplicate.type === 'exact'
+                        ? `Duplicate of line ${pairedLine}`
+                        : `Near-duplicate of line ${pairedLine} (${Math.round(duplicate.similarity * 100)}% similar)`,
+                    rawLine: line
+                });
+            }
+            
+            return result;
+        },
+        
+        /**
+         * Summarizes the file once every line has been read
+         * @returns {Object} Errors, warnings, duplicates, format, each question's source line and
+         *   counts (questions excluded)
+         */
+        finish() {
+            return {
+                // Conversion errors come first; keep everything in source order
+                errors: options.errors ? [...errors].sort((a, b) => a.line - b.line) : errors,
+                warnings,
+                duplicates,
+                format: state.format,
+                totalLines: linesRead,
+                questionLines,
+                validQuestions: questionLines.length,
+                errorCount: errors.length,
+                warningCount: warnings.length
+            };
         }
-    });
-    
-    return {
-        questions,
-        errors,
-        totalLines: lines.length,
-        validQuestions: questions.length,
-        errorCount: errors.length
     };
 }
 
+/**
+ * Parses the entire question bank file synchronously
+ * Large banks are parsed off the main thread by parser-worker.js; this remains the fallback
+ * @param {string} content - File content as string
+ * @param {string} filename - Source filename
+ * @returns {Object} Object with questions, errors, warnings and duplicates arrays
+ */
+export function parseQuestionBank(content, filename) {
+    const parser = createBankParser(filename);
+    const questions = [];
+    
+    content.split('\n').forEach(line => {
+        const question = parser.parseLine(line);
+        if (question) {
+            questions.push(question);
+        }
+    });
+    
+    return { questions, ...parser.finish() };
+}
@@ -0,0 +1,119 @@
+/**
+ * Tests for the bank parser's errors and warnings (parser.js)
+ * Run with: npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuestionBank } from './parser.js';
+
+/**
+ * Parses bank lines and lists the warning types found
+ * @param {string[]} lines - Bank lines
+ * @returns {Object} Parse result with warningTypes added
+ */
+function parseLines(lines) {
+    const result = parseQuestionBank(lines.join('\n'), 'bank.txt');
+    return { ...result, warningTypes: result.warnings.map(warning => warning.type) };
+}
+
+describe('parser errors', () => {
+    test('drops a line it cannot read and reports it with its line number', () => {
+        const result = parseLines([
+            'Humanities>Geography;What is the capital of France?;["PARIS"];Freshman;NCAL',
+            'Humanities>Geography;What is the capital of Spain?;["MADRID"];Expert;NCAL',
+            'Humanities>Geography;What is the capital of Italy?;not json;Freshman;NCAL'
+        ]);
+        assert.equal(result.questions.length, 1);
+        assert.deepEqual(result.errors.map(error => error.line), [2, 3]);
+        assert.match(result.errors[0].reason, /Unknown level: Expert/);
+        assert.match(result.errors[1].reason, /Invalid JSON/);
+    });
+});
+
+describe('spelling questions', () => {
+    test('are found from the wording or marked with the spelling column', () => {
+        const result = parseLines([
+            '#format: 2',
+            '#columns: spelling',
+            'Languages>English Vocabulary;Spell the word meaning "a fear of spiders.";["ARACHNOPHOBIA"];Freshman;NCAL;',
+            'Languages>English Vocabulary;How is the past participle of "lie" written?;["LAIN"];Freshman;NCAL;yes',
+            'Languages>English Vocabulary;Spell the name of the letter Z.;["ZED"];Freshman;NCAL;no'
+        ]);
+        assert.deepEqual(result.questions.map(question => question.spelling), [true, true, false]);
+    });
+    
+    test('reject a spelling value other than yes or no', () => {
+        const result = parseLines([
+            '#format: 2',
+            '#columns: spelling',
+            'Languages>English Vocabulary;How is the past participle of "lie" written?;["LAIN"];Freshman;NCAL;maybe'
+        ]);
+        assert.match(result.errors[0].reason, /Invalid spelling value: "maybe"/);
+    });
+});
+
+describe('person questions', () => {
+    test('are found from the wording or marked with the person column', () => {
+        const result = parseLines([
+            '#format: 2',
+            '#columns: person',
+            'Languages>English Literature;Name the author of "The Birthday Party.";["HAROLD PINTER"];Freshman;NCAL;',
+            'Languages>English Literature;This writer created James Bond in "Casino Royale.";["IAN FLEMING"];Freshman;NCAL;yes',
+            'Languages>English Literature;Name the man-eating tiger in "The Jungle Book.";["SHERE KHAN"];Freshman;NCAL;no'
+        ]);
+        assert.deepEqual(result.questions.map(question => question.person), [true, true, false]);
+    });
+});
+
+describe('parser warnings', () => {
+    test('keeps the question and flags answers that are the same once normalized', () => {
+        const result = parseLines(['Humanities>Geography;Which sea lies between Britain and Norway?;["NORTH SEA","THE NORTH SEA"];Freshman;NCAL']);
+        assert.equal(result.questions.length, 1);
+        assert.deepEqual(result.warningTypes, ['duplicate-answer']);
+        assert.equal(result.warnings[0].line, 1);
+    });
+    
+    test('keeps answers that differ only in accents apart in Languages questions', () => {
+        const result = parseLines(['Languages>French;What is the French word for pedestrian?;["PIÉTON","PIETON"];Freshman;NCAL']);
+        assert.deepEqual(result.warningTypes, []);
+    });
+    
+    test('compares the letters of spelling question answers', () => {
+        const result = parseLines(['Languages>English Vocabulary;Spell the past participle of "lie.";["L-A-I-N","LAIN"];Freshman;NCAL']);
+        assert.equal(result.questions[0].spelling, true);
+        assert.deepEqual(result.warningTypes, ['duplicate-answer']);
+    });
+    
+    test('flags an unmatched quotation mark in the question', () => {
+        const result = parseLines(['Languages>English Literature;Who wrote "The Raven?;["POE"];Freshman;NCAL']);
+        assert.deepEqual(result.warningTypes, ['unbalanced-quote']);
+    });
+    
+    test('flags a question shorter than four words', () => {
+        const result = parseLines(['Science>Chemistry;Symbol for gold?;["AU"];Freshman;NCAL']);
+        assert.deepEqual(result.warningTypes, ['short-question']);
+    });
+    
+    test('files an oddly cased level under the right one and flags it', () => {
+        const result = parseLines(['Science>Chemistry;What is the chemical symbol for gold?;["AU"];varsity;NCAL']);
+        assert.equal(result.questions[0].level, 'Varsity');
+        assert.deepEqual(result.warningTypes, ['level-casing']);
+    });
+    
+    test('flags an all-lowercase author and an author spelled two ways', () => {
+        const result = parseLines([
+            'Science>Chemistry;What is the chemical symbol for gold?;["AU"];Varsity;ncal',
+            'Science>Chemistry;What is the chemical symbol for iron?;["FE"];Varsity;Jane Doe',
+            'Science>Chemistry;What is the chemical symbol for lead?;["PB"];Varsity;JANE DOE'
+        ]);
+        assert.deepEqual(result.warningTypes, ['author-casing', 'author-casing']);
+        assert.deepEqual(result.warnings.map(warning => warning.line), [1, 3]);
+    });
+    
+    test('reports nothing for a clean line', () => {
+        const result = parseLines(['Science>Chemistry;What is the chemical symbol for gold?;["AU"];Varsity;NCAL']);
+        assert.equal(result.errors.length, 0);
+        assert.equal(result.warnings.length, 0);
+    });
+});
@@ -0,0 +1,136 @@
+/**
+ * Spaced repetition
+ * Schedules each question's next review with the SM-2 algorithm from how it was answered,
+ * so questions a student keeps missing come back soon and ones they know come back rarely
+ */
+
+// How a session orders its questions
+export const STUDY_MODES = {
+    SHUFFLE: 'shuffle',
+    REVIEW: 'review'
+};
+
+// Ease factor a question starts with, and the lowest it can fall to
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+// Days until the next review after the first and second reviews in a row that pass
+const FIRST_INTERVAL = 1;
+const SECOND_INTERVAL = 6;
+
+// Lowest SM-2 quality (0-5) that counts as remembered
+const PASSING_QUALITY = 3;
+
+// Quality given to a pass that needed a prompt or the student's own "I was right"
+const HESITANT_QUALITY = 4;
+
+// SM-2 quality of each recorded result
+const RESULT_QUALITY = {
+    Correct: 5,
+    Close: 4,
+    Partial: 2,
+    Incorrect: 1,
+    Timeout: 0
+};
+
+// Milliseconds in a day
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Rates a recorded answer on the SM-2 scale
+ * @param {Object} answer - Entry from appState.userAnswers
+ * @returns {number} Quality from 0 (no answer) to 5 (right first time)
+ */
+export function getReviewQuality(answer) {
+    const quality = RESULT_QUALITY[answer.correctness] ?? 0;
+    const hesitant = (answer.prompts?.length ?? 0) > 0 || Boolean(answer.overriddenFrom);
+    return hesitant ? Math.min(quality, HESITANT_QUALITY) : quality;
+}
+
+/**
+ * Works out a question's next review after answering it
+ * @param {Object|null} record - Current schedule ({ ease, interval, repetitions }), or null
+ *   for a question never reviewed
+ * @param {number} quality - Quality from getReviewQuality
+ * @param {number} [now] - Time of the review
+ * @returns {Object} { ease, interval, repetitions, due, reviewedAt } with the interval in days
+ *   and times in milliseconds
+ */
+export function scheduleReview(record, quality, now = Date.now()) {
+    const ease = record?.ease ?? INITIAL_EASE;
+    const repetitions = record?.repetitions ?? 0;
+    const interval = record?.interval ?? 0;
+    
+    let nextInterval;
+    let nextRepetitions;
+    if (quality < PASSING_QUALITY) {
+        // A miss starts the question over, with tomorrow's review
+        nextInterval = FIRST_INTERVAL;
+        nextRepetitions = 0;
+    } else {
+        if (repetitions === 0) {
+            nextInterval = FIRST_INTERVAL;
+        } else if (repetitions === 1) {
+            nextInterval = SECOND_INTERVAL;
+        } else {
+            nextInterval = Math.round(interval * ease);
+        }
+        nextRepetitions = repetitions + 1;
+    }
+    
+    const miss = 5 - quality;
+    const nextEase = Math.max(MIN_EASE, ease + 0.1 - miss * (0.08 + miss * 0.02));
+    
+    return {
+        ease: Math.round(nextEase * 100) / 100,
+        interval: nextInterval,
+        repetitions: nextRepetitions,
+        due: now + nextInterval * DAY_MS,
+        reviewedAt: now
+    };
+}
+
+/**
+ * Finds the last moment of the local day
+ * @param {number} now - Time in milliseconds
+ * @returns {number} 23:59:59.999 on the same day
+ */
+function endOfDay(now) {
+    const date = new Date(now);
+    date.setHours(23, 59, 59, 999);
+    return date.getTime();
+}
+
+/**
+ * Checks whether a reviewed question is due by the end of today
+ * @param {Object|undefined} record - Question's schedule, if it has been reviewed
+ * @param {number} [now] - Current time
+ * @returns {boolean} True for reviewed questions due today or overdue
+ */
+export function isDueToday(record, now = Date.now()) {
+    return Boolean(record) && record.due <= endOfDay(now);
+}
+
+/**
+ * Orders questions for a review session: due questions first (most overdue first), then
+ * questions never reviewed, then the rest by due date
+ * Questions keep their order within each group apart from sorting by due date, so shuffle
+ * them first to vary the new questions
+ * @param {Array} questions - Questions in the session
+ * @param {Map} schedule - Review records by question ID
+ * @param {number} [now] - Current time
+ * @returns {Array} Questions in review order
+ */
+export function orderForReview(questions, schedule, now = Date.now()) {
+    const group = (record) => {
+        if (!record) return 1;
+        return isDueToday(record, now) ? 0 : 2;
+    };
+    
+    return questions
+        .map((question, index) => ({ question, index, record: schedule.get(question.id) }))
+        .sort((a, b) => group(a.record) - group(b.record)
+            || (a.record && b.record ? a.record.due - b.record.due : 0)
+            || a.index - b.index)
+        .map(entry => entry.question);
+}
@@ -0,0 +1,84 @@
+/**
+ * Tests for spaced-repetition scheduling (review.js)
+ * Run with: npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getReviewQuality, scheduleReview, isDueToday, orderForReview } from './review.js';
+
+// Milliseconds in a day
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Noon local time, so "today" has room on both sides
+const NOW = new Date(2026, 9, 19, 12).getTime();
+
+describe('getReviewQuality', () => {
+    test('rates each result on the SM-2 scale', () => {
+        assert.equal(getReviewQuality({ correctness: 'Correct' }), 5);
+        assert.equal(getReviewQuality({ correctness: 'Close' }), 4);
+        assert.equal(getReviewQuality({ correctness: 'Partial' }), 2);
+        assert.equal(getReviewQuality({ correctness: 'Incorrect' }), 1);
+        assert.equal(getReviewQuality({ correctness: 'Timeout' }), 0);
+    });
+    
+    test('caps a prompted or overridden pass as hesitant', () => {
+        assert.equal(getReviewQuality({ correctness: 'Correct', prompts: ['CAPULETS'] }), 4);
+        assert.equal(getReviewQuality({ correctness: 'Correct', overriddenFrom: 'Incorrect' }), 4);
+        assert.equal(getReviewQuality({ correctness: 'Incorrect', prompts: ['CAPULETS'] }), 1);
+    });
+});
+
+describe('scheduleReview', () => {
+    test('schedules a new question for tomorrow', () => {
+        const record = scheduleReview(null, 5, NOW);
+        assert.deepEqual(record, { ease: 2.6, interval: 1, repetitions: 1, due: NOW + DAY_MS, reviewedAt: NOW });
+    });
+    
+    test('grows the interval from 1 to 6 days, then by the ease factor', () => {
+        const first = scheduleReview(null, 4, NOW);
+        const second = scheduleReview(first, 4, NOW);
+        const third = scheduleReview(second, 4, NOW);
+        
+        assert.equal(first.interval, 1);
+        assert.equal(second.interval, 6);
+        assert.equal(third.interval, Math.round(6 * second.ease));
+        assert.equal(third.repetitions, 3);
+        assert.equal(third.ease, 2.5);
+    });
+    
+    test('starts a missed question over and lowers its ease', () => {
+        const record = scheduleReview({ ease: 2.5, interval: 15, repetitions: 3 }, 1, NOW);
+        assert.equal(record.interval, 1);
+        assert.equal(record.repetitions, 0);
+        assert.equal(record.ease, 1.96);
+    });
+    
+    test('keeps the ease from falling below 1.3', () => {
+        assert.equal(scheduleReview({ ease: 1.3, interval: 1, repetitions: 0 }, 0, NOW).ease, 1.3);
+    });
+});
+
+describe('isDueToday', () => {
+    test('counts anything due before the end of today', () => {
+        assert.equal(isDueToday({ due: NOW - DAY_MS }, NOW), true);
+        assert.equal(isDueToday({ due: NOW + 60 * 60 * 1000 }, NOW), true);
+        assert.equal(isDueToday({ due: NOW + DAY_MS }, NOW), false);
+        assert.equal(isDueToday(undefined, NOW), false);
+    });
+});
+
+describe('orderForReview', () => {
+    test('puts due questions first, most overdue first, then new ones, then the rest', () => {
+        const questions = ['later', 'new', 'due', 'overdue', 'soon'].map(id => ({ id }));
+        const schedule = new Map([
+            ['later', { due: NOW + 10 * DAY_MS }],
+            ['due', { due: NOW }],
+            ['overdue', { due: NOW - 3 * DAY_MS }],
+            ['soon', { due: NOW + 2 * DAY_MS }]
+        ]);
+        
+        const order = orderForReview(questions, schedule, NOW).map(question => question.id);
+        assert.deepEqual(order, ['overdue', 'due', 'new', 'soon', 'later']);
+    });
+});
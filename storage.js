@@ -0,0 +1,145 @@
+/**
+ * Offline persistence using IndexedDB
+ * Stores imported question banks and per-bank preferences so they survive reloads,
+ * plus the bank snapshots and question ID migrations used to keep progress across bank edits,
+ * the answers students marked as right for coaches to add to their banks, each
+ * question's spaced-repetition schedule, and the deck of questions missed across sessions
+ */
+
+const DB_NAME = 'ncal-study-app';
+const DB_VERSION = 5;
+
+// Object store names
+export const STORES = {
+    BANKS: 'banks',
+    BANK_PREFS: 'bankPrefs',
+    BANK_SNAPSHOTS: 'bankSnapshots',
+    ID_MIGRATIONS: 'idMigrations',
+    ACCEPTED_ANSWERS: 'acceptedAnswers',
+    REVIEW_SCHEDULE: 'reviewSchedule',
+    MISSED_DECK: 'missedDeck'
+};
+
+// Shared connection, opened lazily on first use
+let dbPromise = null;
+
+/**
+ * Checks whether IndexedDB is available in this browser context
+ * @returns {boolean} True if IndexedDB can be used
+ */
+export function isStorageAvailable() {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+}
+
+/**
+ * Opens (and upgrades if needed) the application database
+ * @returns {Promise<IDBDatabase>} Open database connection
+ */
+function openDatabase() {
+    if (dbPromise) {
+        return dbPromise;
+    }
+    
+    dbPromise = new Promise((resolve, reject) => {
+        if (!isStorageAvailable()) {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+        
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORES.BANKS)) {
+                db.createObjectStore(STORES.BANKS, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(STORES.BANK_PREFS)) {
+                db.createObjectStore(STORES.BANK_PREFS, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(STORES.BANK_SNAPSHOTS)) {
+                db.createObjectStore(STORES.BANK_SNAPSHOTS, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(STORES.ID_MIGRATIONS)) {
+                db.createObjectStore(STORES.ID_MIGRATIONS, { keyPath: 'from' });
+            }
+            if (!db.objectStoreNames.contains(STORES.ACCEPTED_ANSWERS)) {
+                db.createObjectStore(STORES.ACCEPTED_ANSWERS, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(STORES.REVIEW_SCHEDULE)) {
+                db.createObjectStore(STORES.REVIEW_SCHEDULE, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(STORES.MISSED_DECK)) {
+                db.createObjectStore(STORES.MISSED_DECK, { keyPath: 'id' });
+            }
+        };
+        
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    
+    // Allow a later call to retry if opening failed
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+    
+    return dbPromise;
+}
+
+/**
+ * Runs a single request against an object store
+ * @param {string} storeName - Object store name
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {Function} operation - Receives the store and returns an IDBRequest
+ * @returns {Promise<*>} Result of the request once the transaction completes
+ */
+async function runRequest(storeName, mode, operation) {
+    const db = await openDatabase();
+    
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+        
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Reads every record in a store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<Array>} All records
+ */
+export function getAllRecords(storeName) {
+    return runRequest(storeName, 'readonly', store => store.getAll());
+}
+
+/**
+ * Reads one record by key
+ * @param {string} storeName - Object store name
+ * @param {*} key - Record key
+ * @returns {Promise<Object|undefined>} The record, or undefined if there is none
+ */
+export function getRecord(storeName, key) {
+    return runRequest(storeName, 'readonly', store => store.get(key));
+}
+
+/**
+ * Inserts or replaces a record
+ * @param {string} storeName - Object store name
+ * @param {Object} record - Record with its key property set
+ * @returns {Promise<*>} Key of the stored record
+ */
+export function putRecord(storeName, record) {
+    return runRequest(storeName, 'readwrite', store => store.put(record));
+}
+
+/**
+ * Deletes a record by key
+ * @param {string} storeName - Object store name
+ * @param {*} key - Record key
+ * @returns {Promise<void>}
+ */
+export function deleteRecord(storeName, key) {
+    return runRequest(storeName, 'readwrite', store => store.delete(key));
+}
@@ -0,0 +1,89 @@
+/**
+ * Subject catalog
+ * The standard NCAL categories, grouped by broad subject, and the subject tree
+ * shown on the setup screen
+ */
+
+export const SUBJECT_CATALOG = [
+    {
+        name: 'Humanities',
+        subjects: ['Geography', 'U.S. History', 'World History', 'Government', 'Economics', 'Music', 'Mythology', 'Art History']
+    },
+    {
+        name: 'Science',
+        subjects: ['Earth and Space Science', 'Biological Science', 'Chemistry', 'Physics']
+    },
+    {
+        name: 'Math',
+        subjects: ['Calculus', 'Algebra', 'Geometry', 'Trigonometry']
+    },
+    {
+        name: 'Languages',
+        subjects: ['English', 'English Literature', 'American Literature', 'World Literature', 'French', 'Spanish']
+    },
+    {
+        name: 'Current Events',
+        subjects: []
+    }
+];
+
+/**
+ * Orders sibling subjects: catalog subjects first in catalog order, then the rest alphabetically
+ * @param {string[]} catalogOrder - Names from the catalog at this level
+ * @returns {Function} Comparator for subject tree nodes
+ */
+function compareSubjects(catalogOrder) {
+    const rank = (node) => {
+        const index = catalogOrder.indexOf(node.name);
+        return index === -1 ? catalogOrder.length : index;
+    };
+    return (a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name);
+}
+
+/**
+ * Builds the subject tree shown on the setup screen from the categories in use
+ * Category paths of any depth ("Humanities>World History>Ancient") become nested nodes
+ * @param {Array} questions - Questions with a category path
+ * @param {Function} [isDue] - Whether a question is due for review, for the due counts
+ * @returns {Array} Top-level nodes as { name, path, count, ownCount, due, ownDue, children },
+ *   where count and due include every question below the node and ownCount and ownDue only
+ *   questions filed directly under its path
+ */
+export function buildSubjectTree(questions, isDue = () => false) {
+    const root = { children: new Map() };
+    
+    questions.forEach(question => {
+        const parts = question.category.split('>').map(part => part.trim());
+        const due = isDue(question) ? 1 : 0;
+        let node = root;
+        parts.forEach((part, depth) => {
+            if (!node.children.has(part)) {
+                node.children.set(part, {
+                    name: part,
+                    path: parts.slice(0, depth + 1).join('>'),
+                    count: 0,
+                    ownCount: 0,
+                    due: 0,
+                    ownDue: 0,
+                    children: new Map()
+                });
+            }
+            node = node.children.get(part);
+            node.count++;
+            node.due += due;
+        });
+        node.ownCount++;
+        node.ownDue += due;
+    });
+    
+    // Convert child maps to arrays, ordering broad subjects and their subjects like the catalog
+    const broadOrder = SUBJECT_CATALOG.map(group => group.name);
+    const toArray = (children, catalogOrder) => [...children.values()]
+        .map(node => {
+            const group = catalogOrder === broadOrder && SUBJECT_CATALOG.find(entry => entry.name === node.name);
+            return { ...node, children: toArray(node.children, group ? group.subjects : []) };
+        })
+        .sort(compareSubjects(catalogOrder));
+    
+    return toArray(root.children, broadOrder);
+}
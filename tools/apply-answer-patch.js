@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * Accepted answer patch
+ * Appends the answers students marked as right (exported from the app's Manage Banks section)
+ * to their questions in a bank file, so a coach can review them as an ordinary diff
+ *
+ * Usage: node tools/apply-answer-patch.js [--write] <patch.json> <bank-file>
+ *
+ * Without --write the patched bank is printed; with it the bank file is updated in place.
+ *
+ * Exit codes:
+ *   0 - Patch applied
+ *   1 - Some questions in the patch were not found in the bank
+ *   2 - Bad arguments, a file could not be read, or the patch has nothing for the bank
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { applyAnswerPatch } from '../answer-patch.js';
+
+const USAGE = 'Usage: node tools/apply-answer-patch.js [--write] <patch.json> <bank-file>';
+
+/**
+ * Parses command-line arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} Options with files, write flag and help flag
+ */
+function parseArgs(args) {
+    const options = { files: [], write: false, help: false };
+    
+    for (const arg of args) {
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg === '--write') {
+            options.write = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.files.push(arg);
+        }
+    }
+    
+    return options;
+}
+
+/**
+ * Finds the patch questions for a bank file, matched on file name
+ * @param {Object} patch - Patch from the app's accepted answers export
+ * @param {string} bankFile - Bank file path
+ * @returns {Array} Patch questions ({ id, answers })
+ */
+function findBankEntries(patch, bankFile) {
+    if (!Array.isArray(patch.banks)) {
+        throw new Error('Not an accepted answer patch (no banks list)');
+    }
+    return patch.banks
+        .filter(bank => basename(bank.file) === basename(bankFile))
+        .flatMap(bank => bank.questions);
+}
+
+/**
+ * Applies the patch and writes or prints the result
+ * @param {string[]} args - Command-line arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+    let options;
+    try {
+        options = parseArgs(args);
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        return 2;
+    }
+    
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (options.files.length !== 2) {
+        console.error(USAGE);
+        return 2;
+    }
+    
+    const [patchFile, bankFile] = options.files;
+    let entries;
+    let content;
+    try {
+        const patch = JSON.parse(await readFile(patchFile, 'utf8'));
+        entries = findBankEntries(patch, bankFile);
+        content = await readFile(bankFile, 'utf8');
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+    
+    if (entries.length === 0) {
+        console.error(`${patchFile} has no answers for ${basename(bankFile)}`);
+        return 2;
+    }
+    
+    const result = applyAnswerPatch(content, bankFile, entries);
+    if (options.write) {
+        if (result.added > 0) {
+            await writeFile(bankFile, result.content);
+        }
+    } else {
+        process.stdout.write(result.content);
+    }
+    
+    // Progress goes to stderr so the printed bank can be redirected to a file
+    console.error(`Added ${result.added} answers to ${result.questions} questions in ${bankFile}`);
+    result.missing.forEach(id => console.error(`  ${id} not found (question removed, or edited since the patch was exported)`));
+    
+    return result.missing.length > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+/**
+ * Question bank linter
+ * Checks bank files with the app's own parser plus style rules writers should fix before sending a packet
+ *
+ * Usage: node tools/lint-bank.js [--format text|json] [--strict] <file...>
+ *
+ * Exit codes:
+ *   0 - No errors (warnings allowed unless --strict)
+ *   1 - Errors found, or warnings found with --strict
+ *   2 - Bad arguments or a file could not be read
+ */
+
+import { readFile } from 'node:fs/promises';
+import { createBankParser, splitOnUnescapedSemicolons } from '../parser.js';
+import { SUBJECT_CATALOG } from '../subjects.js';
+
+const FIELD_NAMES = ['category', 'question', 'answers', 'level', 'author'];
+const CURLY_QUOTES = /[‘’“”]/;
+// Any category path becomes a subject in the app, but its broad subject should be a standard one
+const KNOWN_SUBJECTS = new Set(SUBJECT_CATALOG.map(group => group.name));
+
+const USAGE = 'Usage: node tools/lint-bank.js [--format text|json] [--strict] <file...>';
+
+/**
+ * Parses command-line arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} Options with files, format and strict flag
+ */
+function parseArgs(args) {
+    const options = { files: [], format: 'text', strict: false, help: false };
+    
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg === '--strict') {
+            options.strict = true;
+        } else if (arg === '--format' || arg.startsWith('--format=')) {
+            options.format = arg.includes('=') ? arg.split('=')[1] : args[++i];
+        } else if (arg === '--json') {
+            options.format = 'json';
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.files.push(arg);
+        }
+    }
+    
+    if (!['text', 'json'].includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format}`);
+    }
+    
+    return options;
+}
+
+/**
+ * Style checks on the raw fields of a line that parsed into a question
+ * @param {string} line - Raw line (without a trailing carriage return)
+ * @param {Object} question - Parsed question
+ * @returns {Array} Issues as { rule, message }
+ */
+function lintQuestionLine(line, question) {
+    const issues = [];
+    const fields = splitOnUnescapedSemicolons(line);
+    
+    fields.forEach((field, index) => {
+        const name = FIELD_NAMES[index] || `field ${index + 1}`;
+        
+        if (index !== 2 && field !== field.trim()) {
+            issues.push({ rule: 'whitespace', message: `Leading or trailing whitespace in ${name}` });
+        }
+        if (index !== 2 && /\s{2,}/.test(field.trim())) {
+            issues.push({ rule: 'whitespace', message: `Repeated whitespace in ${name}` });
+        }
+        if (CURLY_QUOTES.test(field)) {
+            issues.push({ rule: 'curly-quotes', message: `Curly quotes in ${name}; use straight quotes` });
+        }
+    });
+    
+    if (!KNOWN_SUBJECTS.has(question.subjectBroad)) {
+        issues.push({ rule: 'unknown-category', message: `Category "${question.category}" is not under a standard subject (${[...KNOWN_SUBJECTS].join(', ')})` });
+    }
+    
+    // Answers are checked individually since the parser trims them
+    const rawAnswers = JSON.parse(fields[2]);
+    rawAnswers.forEach(answer => {
+        if (answer !== answer.trim() || /\s{2,}/.test(answer.trim())) {
+            issues.push({ rule: 'whitespace', message: `Stray whitespace in answer "${answer}"` });
+        }
+        if (/[a-z]/.test(answer) && /[A-Z]/.test(answer)) {
+            issues.push({ rule: 'mixed-case-answer', message: `Mixed-case answer "${answer.trim()}"; answers are written in uppercase` });
+        }
+    });
+    
+    return issues;
+}
+
+/**
+ * Increments a count in a plain object
+ * @param {Object} counts - Counts keyed by name
+ * @param {string} key - Name to count
+ */
+function increment(counts, key) {
+    counts[key] = (counts[key] || 0) + 1;
+}
+
+/**
+ * Lints the content of one bank file
+ * @param {string} content - File content
+ * @param {string} filename - File path used in messages
+ * @returns {Object} Report with issues, question count and per-level/per-category counts
+ */
+function lintBank(content, filename) {
+    const lines = content.split('\n');
+    const parser = createBankParser(filename);
+    const issues = [];
+    const byLevel = {};
+    const byCategory = {};
+    
+    lines.forEach((rawLine, index) => {
+        const line = rawLine.replace(/\r$/, '');
+        const question = parser.parseLine(line);
+        if (!question) return;
+        
+        increment(byLevel, question.level);
+        increment(byCategory, question.category);
+        
+        lintQuestionLine(line, question).forEach(issue => {
+            issues.push({ line: index + 1, severity: 'warning', ...issue });
+        });
+    });
+    
+    // Parse errors plus the parser's own warnings (duplicates, casing, short questions...)
+    const { errors, warnings, validQuestions } = parser.finish();
+    errors.forEach(error => {
+        issues.push({ line: error.line, severity: 'error', rule: 'parse-error', message: error.reason });
+    });
+    warnings.forEach(warning => {
+        issues.push({ line: warning.line, severity: 'warning', rule: warning.type, message: warning.reason });
+    });
+    
+    issues.sort((a, b) => a.line - b.line);
+    
+    return {
+        file: filename,
+        questions: validQuestions,
+        errors: issues.filter(issue => issue.severity === 'error').length,
+        warnings: issues.filter(issue => issue.severity === 'warning').length,
+        issues,
+        counts: { byLevel, byCategory }
+    };
+}
+
+/**
+ * Formats a count table as indented "name: count" lines
+ * @param {Object} counts - Counts keyed by name
+ * @returns {string} Formatted lines sorted by name
+ */
+function formatCounts(counts) {
+    return Object.keys(counts)
+        .sort()
+        .map(key => `    ${key}: ${counts[key]}`)
+        .join('\n');
+}
+
+/**
+ * Formats reports as human-readable text
+ * @param {Array} reports - Reports from lintBank
+ * @returns {string} Text output
+ */
+function formatText(reports) {
+    const output = [];
+    
+    reports.forEach(report => {
+        output.push(report.file);
+        if (report.readError) {
+            output.push(`  error  ${report.readError}`);
+            output.push('');
+            return;
+        }
+        
+        report.issues.forEach(issue => {
+            output.push(`  ${String(issue.line).padStart(5)}  ${issue.severity.padEnd(7)}  ${issue.message}  (${issue.rule})`);
+        });
+        
+        output.push(`  ${report.questions} questions, ${report.errors} errors, ${report.warnings} warnings`);
+        output.push('  By level:');
+        output.push(formatCounts(report.counts.byLevel));
+        output.push('  By category:');
+        output.push(formatCounts(report.counts.byCategory));
+        output.push('');
+    });
+    
+    const errors = reports.reduce((sum, report) => sum + report.errors, 0);
+    const warnings = reports.reduce((sum, report) => sum + report.warnings, 0);
+    output.push(`${reports.length} files: ${errors} errors, ${warnings} warnings`);
+    
+    return output.join('\n');
+}
+
+/**
+ * Runs the linter
+ * @param {string[]} args - Command-line arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+    let options;
+    try {
+        options = parseArgs(args);
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        return 2;
+    }
+    
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (options.files.length === 0) {
+        console.error(USAGE);
+        return 2;
+    }
+    
+    let readFailed = false;
+    const reports = await Promise.all(options.files.map(async (file) => {
+        try {
+            return lintBank(await readFile(file, 'utf8'), file);
+        } catch (error) {
+            readFailed = true;
+            return { file, readError: error.message, questions: 0, errors: 1, warnings: 0, issues: [], counts: { byLevel: {}, byCategory: {} } };
+        }
+    }));
+    
+    if (options.format === 'json') {
+        console.log(JSON.stringify({ files: reports }, null, 2));
+    } else {
+        console.log(formatText(reports));
+    }
+    
+    if (readFailed) return 2;
+    
+    const hasErrors = reports.some(report => report.errors > 0);
+    const hasWarnings = reports.some(report => report.warnings > 0);
+    return hasErrors || (options.strict && hasWarnings) ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+/**
+ * Question ID migration map
+ * Compares two versions of a bank and lists which old question IDs became which new ones,
+ * so progress saved under an ID survives edits to question text or category
+ *
+ * Usage: node tools/migrate-ids.js [--format text|json] <old-bank> <new-bank>
+ *
+ * Exit codes:
+ *   0 - Map written
+ *   2 - Bad arguments or a file could not be read
+ */
+
+import { readFile } from 'node:fs/promises';
+import { parseBankFile } from '../convert.js';
+import { buildMigrationMap } from '../identity.js';
+
+const USAGE = 'Usage: node tools/migrate-ids.js [--format text|json] <old-bank> <new-bank>';
+
+/**
+ * Parses command-line arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} Options with files, format and help flag
+ */
+function parseArgs(args) {
+    const options = { files: [], format: 'text', help: false };
+    
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg === '--format' || arg.startsWith('--format=')) {
+            options.format = arg.includes('=') ? arg.split('=')[1] : args[++i];
+        } else if (arg === '--json') {
+            options.format = 'json';
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.files.push(arg);
+        }
+    }
+    
+    if (!['text', 'json'].includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format}`);
+    }
+    
+    return options;
+}
+
+/**
+ * Reads and parses one version of a bank
+ * @param {string} file - Bank file path (text, CSV, TSV or JSON)
+ * @returns {Promise<Object>} Parse result from parseBankFile
+ */
+async function loadBank(file) {
+    return parseBankFile(await readFile(file, 'utf8'), file);
+}
+
+/**
+ * Formats a migration map as human-readable text
+ * @param {Object} map - Map from buildMigrationMap with from/to filenames
+ * @returns {string} Text output
+ */
+function formatText(map) {
+    const output = [`${map.from} -> ${map.to}`];
+    
+    map.migrations.forEach(migration => {
+        output.push(`  ${migration.from} -> ${migration.to}  (${Math.round(migration.similarity * 100)}% similar)  ${migration.question}`);
+    });
+    map.removed.forEach(id => output.push(`  ${id} removed`));
+    map.added.forEach(id => output.push(`  ${id} added`));
+    
+    output.push(`${map.migrations.length} moved, ${map.removed.length} removed, ${map.added.length} added`);
+    if (map.errors > 0) {
+        output.push(`${map.errors} lines could not be parsed and were left out (run tools/lint-bank.js for details)`);
+    }
+    
+    return output.join('\n');
+}
+
+/**
+ * Builds and prints the migration map
+ * @param {string[]} args - Command-line arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+    let options;
+    try {
+        options = parseArgs(args);
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        return 2;
+    }
+    
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (options.files.length !== 2) {
+        console.error(USAGE);
+        return 2;
+    }
+    
+    const [oldFile, newFile] = options.files;
+    let oldBank;
+    let newBank;
+    try {
+        [oldBank, newBank] = await Promise.all([loadBank(oldFile), loadBank(newFile)]);
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+    
+    const map = {
+        from: oldFile,
+        to: newFile,
+        ...buildMigrationMap(oldBank.questions, newBank.questions),
+        errors: oldBank.errors.length + newBank.errors.length
+    };
+    
+    if (options.format === 'json') {
+        console.log(JSON.stringify(map, null, 2));
+    } else {
+        console.log(formatText(map));
+    }
+    
+    return 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
@@ -3,6 +3,42 @@
  * Handles all visual updates and user interactions
  */
 
+import { buildSubjectTree } from './subjects.js';
+import { isAcceptedResult, TYPO_TOLERANCE } from './normalize.js';
+import { parseAnswerLine } from './answer-line.js';
+import { STUDY_MODES } from './review.js';
+import { QUESTION_SOURCES } from './missed-deck.js';
+import { isEarlyBuzz, scoreBuzz, formatBuzzPosition } from './buzzer.js';
+
+// Result status text, where it differs from the recorded result
+const RESULT_LABELS = {
+    Close: 'Accepted (close)',
+    Partial: 'Partly correct',
+    Overridden: 'Correct (your call)'
+};
+
+// How the debugging view describes the result a matching stage returned
+const TRACE_OUTCOMES = {
+    Correct: 'accepted',
+    Close: 'accepted as close',
+    Partial: 'partly matched, kept in case nothing later matches',
+    Prompt: 'prompted',
+    Incorrect: 'rejected'
+};
+
+// Results a student can mark as right with "I was right", when they gave an answer
+const OVERRIDABLE_RESULTS = ['Incorrect', 'Partial'];
+
+// Filter tag for each typo tolerance setting
+const TYPO_TOLERANCE_TAGS = {
+    [TYPO_TOLERANCE.OFF]: 'Exact answers',
+    [TYPO_TOLERANCE.STRICT]: 'Strict typos',
+    [TYPO_TOLERANCE.LENIENT]: 'Lenient typos'
+};
+
+// Separates the levels of a category path shown below the subject ("Algebra › Quadratics")
+const CATEGORY_PATH_SEPARATOR = ' › ';
+
 // DOM element cache to avoid repeated queries
 const domCache = new Map();
 
@@ -148,7 +184,7 @@ export function updateAccuracyDisplay() {
     if (window.appState?.userAnswers) {
         // Use single pass to count both correct and incorrect
         const counts = window.appState.userAnswers.reduce((acc, answer) => {
-            if (answer?.correctness === 'Correct') {
+            if (isAcceptedResult(answer?.correctness)) {
                 acc.correct++;
             } else if (answer?.correctness) {
                 acc.incorrect++;
@@ -180,7 +216,31 @@ export function updateQuestionCounter() {
     const currentIndex = window.appState?.currentQuestionIndex || 0;
     const totalQuestions = window.appState?.filteredQuestions?.length || 0;
     
-    counterElement.textContent = `Q ${currentIndex + 1} / ${totalQuestions}`;
+    // With a session time limit, show the time left alongside
+    const timeLeft = window.appState?.sessionTimeLimit ? window.appState.sessionTimeLeft : null;
+    const clock = timeLeft === null ? '' : ` • ${formatClock(Math.max(timeLeft, 0))} left`;
+    
+    counterElement.textContent = `Q ${currentIndex + 1} / ${totalQuestions}${clock}`;
+}
+
+/**
+ * Formats seconds as minutes and seconds
+ * @param {number} seconds - Whole seconds
+ * @returns {string} Time such as "4:05"
+ */
+function formatClock(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Formats a category path for display without its broad subject
+ * @param {string} category - Category path (e.g. "Math>Algebra>Quadratics")
+ * @returns {string} Path below the subject, such as "Algebra › Quadratics", or the subject
+ *   itself if the path has nothing below it
+ */
+function formatCategoryPath(category) {
+    const parts = category.split('>').map(part => part.trim()).filter(Boolean);
+    return parts.length > 1 ? parts.slice(1).join(CATEGORY_PATH_SEPARATOR) : category.trim();
 }
 
 // Memoization cache for question filtering
@@ -190,10 +250,11 @@ const filterCache = new Map();
  * Creates a cache key for filter combinations
  * @param {Array} selectedSubjects - Selected subject categories
  * @param {string} selectedLevel - Selected difficulty level
+ * @param {string} source - Question source (see QUESTION_SOURCES)
  * @returns {string} Cache key
  */
-function createFilterCacheKey(selectedSubjects, selectedLevel) {
-    return `${selectedSubjects.sort().join(',')}|${selectedLevel}`;
+function createFilterCacheKey(selectedSubjects, selectedLevel, source) {
+    return `${selectedSubjects.sort().join(',')}|${selectedLevel}|${source}`;
 }
 
 /**
@@ -201,16 +262,22 @@ function createFilterCacheKey(selectedSubjects, selectedLevel) {
  * @param {Array} questions - All available questions
  * @param {Array} selectedSubjects - Selected subject categories
  * @param {string} selectedLevel - Selected difficulty level
+ * @param {string} source - Question source; the missed deck only counts questions in the deck
  * @returns {Array} Filtered questions
  */
-function filterQuestionsMemoized(questions, selectedSubjects, selectedLevel) {
-    const cacheKey = createFilterCacheKey(selectedSubjects, selectedLevel);
+function filterQuestionsMemoized(questions, selectedSubjects, selectedLevel, source) {
+    const cacheKey = createFilterCacheKey(selectedSubjects, selectedLevel, source);
     
     if (filterCache.has(cacheKey)) {
         return filterCache.get(cacheKey);
     }
     
-    const filteredQuestions = questions.filter(question => {
+    const missedDeck = window.appState?.missedDeck;
+    const pool = source === QUESTION_SOURCES.MISSED && missedDeck
+        ? questions.filter(question => missedDeck.has(question.id))
+        : questions;
+    
+    const filteredQuestions = pool.filter(question => {
         // Subject filter
         const subjectMatch = selectedSubjects.length === 0 || 
                            selectedSubjects.includes(question.category);
@@ -245,9 +312,10 @@ export function updatePoolPreview() {
     
     // Get questions from the global app state or use a fallback
     const questions = window.appState?.questions || [];
+    const source = window.appState?.questionSource || QUESTION_SOURCES.BANKS;
     
     // Use memoized filtering
-    const filteredQuestions = filterQuestionsMemoized(questions, selectedSubjects, selectedLevel);
+    const filteredQuestions = filterQuestionsMemoized(questions, selectedSubjects, selectedLevel, source);
     
     previewElement.textContent = `${filteredQuestions.length} questions available (randomized each session)`;
 }
@@ -277,24 +345,58 @@ export function updateFilterTags() {
     // Create filter tags
     const tags = [];
     
-    if (selectedSubjects.length === 0) {
-        tags.push('All Subjects');
-    } else if (selectedSubjects.length <= 3) {
-        selectedSubjects.forEach(subject => {
-            const specific = subject.split('>')[1] || subject;
-            tags.push(specific);
-        });
+    // A match round picks its own subjects and level
+    const match = window.appState?.match;
+    if (match) {
+        const round = match.rounds[match.current];
+        tags.push(`Match round ${match.current + 1} of ${match.rounds.length}: ${round.name}`);
+        tags.push(round.level || 'All Levels');
     } else {
-        tags.push(`${selectedSubjects.length} Subjects`);
+        if (selectedSubjects.length === 0) {
+            tags.push('All Subjects');
+        } else if (selectedSubjects.length <= 3) {
+            selectedSubjects.forEach(subject => {
+                tags.push(formatCategoryPath(subject));
+            });
+        } else {
+            tags.push(`${selectedSubjects.length} Subjects`);
+        }
+        
+        if (!selectedLevel) {
+            tags.push('All Levels');
+        } else {
+            tags.push(selectedLevel);
+        }
     }
     
-    if (!selectedLevel) {
-        tags.push('All Levels');
-    } else {
-        tags.push(selectedLevel);
+    tags.push(`${timeAllocated}s per question`);
+    
+    if (window.appState?.questionLimit) {
+        tags.push(`${window.appState.questionLimit} questions max`);
+    }
+    if (window.appState?.sessionTimeLimit) {
+        tags.push(`${window.appState.sessionTimeLimit} min session`);
     }
     
-    tags.push(`${timeAllocated}s per question`);
+    const typoTolerance = window.appState?.typoTolerance;
+    if (typoTolerance) {
+        tags.push(TYPO_TOLERANCE_TAGS[typoTolerance]);
+    }
+    if (window.appState?.accentStrict) {
+        tags.push('Accents graded');
+    }
+    if (window.appState && !window.appState.acceptSurnames) {
+        tags.push('Full names only');
+    }
+    if (window.appState?.studyMode === STUDY_MODES.REVIEW) {
+        tags.push('Spaced review');
+    }
+    if (window.appState?.questionSource === QUESTION_SOURCES.MISSED) {
+        tags.push('Missed deck');
+    }
+    if (window.appState?.buzzerMode) {
+        tags.push('Buzzer mode');
+    }
     
     // Update all filter tag containers
     filterTagsElements.forEach(container => {
@@ -311,14 +413,19 @@ export function updateFilterTags() {
 /**
  * Displays a question with all its information
  * @param {Object} question - Question object
+ * @param {Function} [onRevealEnd] - Called once the whole question is shown, when the reveal
+ *   finishes or is skipped
  */
-export function displayQuestion(question) {
+export function displayQuestion(question, onRevealEnd) {
     const elements = {
         category: getCachedElement('question-category', true),
         level: getCachedElement('question-level', true),
         author: getCachedElement('question-author', true),
+        source: getCachedElement('question-source', true),
+        pronunciation: getCachedElement('question-pronunciation', true),
         question: getCachedElement('question-text', true),
         answerInput: getCachedElement('answer-input', true),
+        answerPrompt: getCachedElement('answer-prompt', true),
         resultDisplay: getCachedElement('result-display', true)
     };
     
@@ -340,24 +447,33 @@ export function displayQuestion(question) {
     
     // Update question metadata
     if (elements.category) {
-        const categoryParts = question.category.split('>');
-        elements.category.textContent = categoryParts.length > 1 ? categoryParts[1] : question.category;
+        elements.category.textContent = formatCategoryPath(question.category);
     }
     if (elements.level) elements.level.textContent = question.level;
     if (elements.author) elements.author.textContent = `Author: ${question.author}`;
     
+    // Optional format 2 metadata
+    const sourceLabel = formatQuestionSource(question);
+    if (elements.source) {
+        elements.source.textContent = sourceLabel;
+        elements.source.classList.toggle('hidden', !sourceLabel);
+    }
+    const pronunciation = question.metadata?.pronunciation;
+    if (elements.pronunciation) {
+        elements.pronunciation.textContent = pronunciation ? `Pronunciation: ${pronunciation}` : '';
+        elements.pronunciation.classList.toggle('hidden', !pronunciation);
+    }
+    
     // Start progressive text reveal with the fresh element
     const freshQuestionElement = getCachedElement('question-text', true);
     if (freshQuestionElement) {
-        startTextReveal(freshQuestionElement, question.question);
+        startTextReveal(freshQuestionElement, question.question, onRevealEnd);
         
         // Add click handler to skip text reveal
         const skipReveal = () => {
             if (window.appState?.textRevealTimer) {
-                clearInterval(window.appState.textRevealTimer);
-                window.appState.textRevealTimer = null;
-                freshQuestionElement.textContent = question.question;
-                freshQuestionElement.classList.remove('revealing');
+                showFullQuestion(question.question);
+                onRevealEnd?.();
                 
                 // Focus the answer input and scroll to it on mobile
                 if (elements.answerInput) {
@@ -375,18 +491,125 @@ export function displayQuestion(question) {
         elements.answerInput.value = '';
     }
     
-    // Hide result display
+    // Hide result display and any prompt from the previous question
     if (elements.resultDisplay) {
         elements.resultDisplay.classList.add('hidden');
     }
+    if (elements.answerPrompt) {
+        elements.answerPrompt.classList.add('hidden');
+    }
 }
 
+/**
+ * Stops the question reveal where it is, as when a student buzzes in
+ * @returns {Object} { word, words }: the words shown so far and the words in the question
+ */
+export function stopTextReveal() {
+    if (window.appState?.textRevealTimer) {
+        clearInterval(window.appState.textRevealTimer);
+        window.appState.textRevealTimer = null;
+    }
+    getCachedElement('question-text', true)?.classList.remove('revealing');
+    
+    return { ...revealProgress };
+}
+
+/**
+ * Shows the whole question at once, stopping any reveal in progress
+ * @param {string} text - Question text
+ */
+export function showFullQuestion(text) {
+    stopTextReveal();
+    const questionElement = getCachedElement('question-text', true);
+    if (questionElement) {
+        questionElement.textContent = text;
+    }
+}
+
+/**
+ * Switches the answer box between waiting for a buzz and taking an answer
+ * @param {boolean} waiting - True while the question is read and the student hasn't buzzed
+ */
+export function setBuzzerWaiting(waiting) {
+    const answerInput = getCachedElement('answer-input', true);
+    const submitButton = getCachedElement('submit-answer', true);
+    const buzzButton = getCachedElement('buzz-in', true);
+    
+    if (answerInput) {
+        answerInput.disabled = waiting;
+        answerInput.placeholder = waiting ? 'Buzz in to answer...' : 'Type your answer...';
+    }
+    if (submitButton) submitButton.disabled = waiting;
+    buzzButton?.classList.toggle('hidden', !waiting);
+}
+
+/**
+ * Asks for a more specific answer after an answer the question prompts on
+ * @param {string} userAnswer - Answer that drew the prompt
+ */
+export function showAnswerPrompt(userAnswer) {
+    const answerPrompt = getCachedElement('answer-prompt', true);
+    const answerInput = getCachedElement('answer-input', true);
+    
+    if (answerPrompt) {
+        answerPrompt.textContent = `Prompt: "${userAnswer}" - can you be more specific?`;
+        answerPrompt.classList.remove('hidden');
+    }
+    if (answerInput) {
+        answerInput.focus();
+        answerInput.select();
+    }
+}
+
+/**
+ * Builds a short source label from question metadata (e.g. "Invitational 2024 • Round 3")
+ * @param {Object} question - Question object
+ * @returns {string} Source label, or empty string if the question has no source metadata
+ */
+function formatQuestionSource(question) {
+    const { source, year, round } = question.metadata || {};
+    const parts = [];
+    
+    const sourceText = [source, year].filter(Boolean).join(' ');
+    if (sourceText) parts.push(sourceText);
+    if (round) parts.push(`Round ${round}`);
+    
+    return parts.join(' • ');
+}
+
+/**
+ * Lists explanation and custom metadata fields for display after answering
+ * Source, year, round and pronunciation are shown elsewhere; they and the question ID are skipped here
+ * @param {Object} question - Question object
+ * @returns {Array<{label: string, value: string}>} Notes in display order
+ */
+function getQuestionNotes(question) {
+    const metadata = question.metadata || {};
+    const shownElsewhere = ['id', 'source', 'year', 'round', 'pronunciation', 'explanation', 'spelling', 'person'];
+    const notes = [];
+    
+    if (metadata.explanation) {
+        notes.push({ label: 'Explanation', value: metadata.explanation });
+    }
+    Object.entries(metadata).forEach(([key, value]) => {
+        if (!shownElsewhere.includes(key)) {
+            notes.push({ label: key.charAt(0).toUpperCase() + key.slice(1), value });
+        }
+    });
+    
+    return notes;
+}
+
+// Words of the current question shown so far, for buzzing in (see stopTextReveal)
+const revealProgress = { word: 0, words: 0 };
+
 /**
  * Progressively reveals text word by word
  * @param {HTMLElement} element - Element to display text in
  * @param {string} fullText - Complete text to reveal
+ * @param {Function} [onComplete] - Called when the last word is shown
  */
-function startTextReveal(element, fullText) {
+function startTextReveal(element, fullText, onComplete) {
     // Clear any existing text reveal timer safely
     if (window.appState?.textRevealTimer) {
         clearInterval(window.appState.textRevealTimer);
@@ -398,6 +621,8 @@ function startTextReveal(element, fullText) {
     const intervalMs = (60 / readingSpeed) * 1000; // Convert to milliseconds per word
     
     let currentWordIndex = 0;
+    revealProgress.word = 0;
+    revealProgress.words = words.length;
     element.textContent = ''; // Clear the element
     element.style.opacity = '1';
     element.classList.add('revealing'); // Add blinking cursor
@@ -410,6 +635,7 @@ function startTextReveal(element, fullText) {
             }
             element.textContent += words[currentWordIndex];
             currentWordIndex++;
+            revealProgress.word = currentWordIndex;
         } else {
             // Text reveal complete - clear timer and focus input
             if (window.appState?.textRevealTimer) {
@@ -417,6 +643,7 @@ function startTextReveal(element, fullText) {
                 window.appState.textRevealTimer = null;
             }
             element.classList.remove('revealing'); // Remove blinking cursor
+            onComplete?.();
             
             // Focus the answer input once text is fully revealed and scroll to it
             const answerInput = getCachedElement('answer-input', true);
@@ -441,6 +668,7 @@ function startTextReveal(element, fullText) {
     } else {
         // Single word - remove revealing class and focus input immediately
         element.classList.remove('revealing');
+        onComplete?.();
         const answerInput = getCachedElement('answer-input', true);
         if (answerInput) {
             answerInput.focus();
@@ -449,21 +677,64 @@ function startTextReveal(element, fullText) {
     }
 }
 
+/**
+ * Describes how much of a list answer was given
+ * @param {Object} parts - Part counts from matchAnswer ({ matched, total, extra, missing })
+ * @returns {string} Description, e.g. "1 of 2 parts, missing CAPULETS"
+ */
+export function formatPartCount(parts) {
+    const details = [`${parts.matched} of ${parts.total} parts`];
+    if (parts.missing.length > 0) {
+        details.push(`missing ${parts.missing.join(', ')}`);
+    }
+    if (parts.extra > 0) {
+        details.push(`${parts.extra} not in the list`);
+    }
+    return details.join(', ');
+}
+
 /**
  * Shows the result of an answered question
  * @param {boolean} isCorrect - Whether the answer was correct
  * @param {string} userAnswer - User's submitted answer
  * @param {string} canonicalAnswer - Correct answer to display
- * @param {string} resultType - Type of result (Correct/Incorrect/Timeout)
+ * @param {string} resultType - Type of result (Correct/Close/Partial/Incorrect/Timeout, or
+ *   Overridden once the student marks it as right)
+ * @param {Object} [question] - Answered question, used to show its explanation and notes
+ * @param {Object} [parts] - Part counts for a Partial list answer (see formatPartCount)
  */
-export function showQuestionResult(isCorrect, userAnswer, canonicalAnswer, resultType) {
+export function showQuestionResult(isCorrect, userAnswer, canonicalAnswer, resultType, question, parts) {
     const resultDisplay = document.getElementById('result-display');
     const resultStatus = document.getElementById('result-status');
     const canonicalElement = document.getElementById('canonical-answer');
+    const notesElement = document.getElementById('result-notes');
+    const acceptOwnButton = document.getElementById('accept-own-answer');
+    
+    document.getElementById('answer-prompt')?.classList.add('hidden');
+    document.getElementById('match-trace')?.classList.add('hidden');
+    document.getElementById('buzz-result')?.classList.add('hidden');
+    acceptOwnButton?.classList.toggle('hidden', !userAnswer || !OVERRIDABLE_RESULTS.includes(resultType));
+    
+    if (notesElement) {
+        const notes = question ? getQuestionNotes(question) : [];
+        notesElement.innerHTML = '';
+        notes.forEach(note => {
+            const noteItem = document.createElement('div');
+            noteItem.className = 'result-note';
+            const label = document.createElement('strong');
+            label.textContent = `${note.label}: `;
+            noteItem.append(label, note.value);
+            notesElement.appendChild(noteItem);
+        });
+        notesElement.classList.toggle('hidden', notes.length === 0);
+    }
     
     if (resultDisplay && resultStatus && canonicalElement) {
         // Set result status
-        resultStatus.textContent = resultType;
+        resultStatus.textContent = RESULT_LABELS[resultType] || resultType;
+        if (resultType === 'Partial' && parts) {
+            resultStatus.textContent += ` (${formatPartCount(parts)})`;
+        }
         resultStatus.className = `result-status ${resultType.toLowerCase()}`;
         
         // Show canonical answer
@@ -474,66 +745,578 @@ export function showQuestionResult(isCorrect, userAnswer, canonicalAnswer, resul
     }
 }
 
+/**
+ * Shows where the student buzzed and the points it earned, under the result
+ * @param {Object} answer - Entry from appState.userAnswers with a buzz
+ */
+export function showBuzzResult(answer) {
+    const buzzElement = document.getElementById('buzz-result');
+    if (!buzzElement || !answer?.buzz) return;
+    
+    const points = scoreBuzz(answer);
+    const timing = isEarlyBuzz(answer.buzz) ? 'Early buzz' : 'Buzz';
+    buzzElement.textContent = `${timing}: ${formatBuzzPosition(answer)} • ${formatPoints(points)}`;
+    buzzElement.classList.remove('hidden');
+}
 
+/**
+ * Formats buzz points with a sign
+ * @param {number} points - Points scored
+ * @returns {string} e.g. "+15 points", "-5 points", "0 points"
+ */
+function formatPoints(points) {
+    return `${points > 0 ? '+' : ''}${points} ${Math.abs(points) === 1 ? 'point' : 'points'}`;
+}
 
 /**
- * Updates subject selection UI based on available questions
+ * Shows which matching stages an answer went through and which one decided it
+ * @param {Array} trace - Stages from matchAnswer ({ stage, result, matchedAnswer })
+ */
+export function showMatchTrace(trace) {
+    const traceElement = document.getElementById('match-trace');
+    if (!traceElement) return;
+    
+    const title = document.createElement('strong');
+    title.textContent = 'How this answer was graded';
+    const list = document.createElement('ol');
+    trace.forEach(step => {
+        const item = document.createElement('li');
+        item.className = step.result ? 'decided' : 'passed';
+        item.textContent = `${step.stage}: ${step.result ? TRACE_OUTCOMES[step.result] || step.result : 'no match'}`;
+        if (step.matchedAnswer) {
+            item.textContent += ` (${step.matchedAnswer})`;
+        }
+        list.appendChild(item);
+    });
+    if (!trace.some(step => step.result)) {
+        const item = document.createElement('li');
+        item.className = 'decided';
+        item.textContent = 'No stage accepted the answer';
+        list.appendChild(item);
+    }
+    
+    traceElement.replaceChildren(title, list);
+    traceElement.classList.remove('hidden');
+}
+
+
+
+// Expanded/collapsed state of subject tree branches, by path, kept across re-renders
+const subjectExpansion = new Map();
+
+/**
+ * Rebuilds the subject tree from the categories of the available questions
+ * Current selections are kept; subjects that weren't listed before start selected
  * @param {Array} questions - Available questions
+ * @param {Function} [isDue] - Whether a question is due for review, for "N due today"
+ */
+export function updateSubjectSelector(questions, isDue) {
+    const subjectTree = document.getElementById('subject-tree');
+    if (!subjectTree) return;
+    
+    const previousSelection = new Map(
+        Array.from(subjectTree.querySelectorAll('input[type="checkbox"]'))
+            .map(checkbox => [checkbox.value, checkbox.checked])
+    );
+    
+    subjectTree.innerHTML = '';
+    
+    const nodes = buildSubjectTree(questions, isDue);
+    if (nodes.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'subject-empty';
+        empty.textContent = 'No subjects available. Enable a question bank above.';
+        subjectTree.appendChild(empty);
+        return;
+    }
+    
+    nodes.forEach(node => {
+        subjectTree.appendChild(createSubjectBranch(node, 0, previousSelection));
+    });
+}
+
+/**
+ * Creates a collapsible subject branch with a select-all header
+ * Top-level branches are the broad-subject cards; deeper branches nest inside them
+ * @param {Object} node - Subject tree node from buildSubjectTree
+ * @param {number} depth - Depth in the tree (0 for broad subjects)
+ * @param {Map} previousSelection - Checked state of previously listed subjects
+ * @returns {HTMLElement} Branch element
+ */
+function createSubjectBranch(node, depth, previousSelection) {
+    const branch = document.createElement('div');
+    branch.className = depth === 0 ? 'subject-group subject-branch' : 'subject-branch';
+    branch.dataset.path = node.path;
+    
+    const header = document.createElement(depth === 0 ? 'h3' : 'h4');
+    header.className = 'section-header';
+    header.dataset.section = node.path;
+    
+    const expandButton = document.createElement('button');
+    expandButton.type = 'button';
+    expandButton.className = 'subject-expand';
+    
+    const name = document.createElement('span');
+    name.className = 'subject-name';
+    name.textContent = node.name;
+    
+    header.append(expandButton, name, ...createSubjectCount(node.count, node.due));
+    
+    const children = document.createElement('div');
+    children.className = 'subject-children';
+    
+    // Questions filed directly under a subject that also has subtopics get their own option
+    if (node.ownCount > 0) {
+        const label = node.children.length > 0 ? `${node.name} (general)` : node.name;
+        children.appendChild(createSubjectOption(node.path, label, node.ownCount, node.ownDue, previousSelection));
+    }
+    
+    node.children.forEach(child => {
+        children.appendChild(child.children.length > 0
+            ? createSubjectBranch(child, depth + 1, previousSelection)
+            : createSubjectOption(child.path, child.name, child.count, child.due, previousSelection));
+    });
+    
+    branch.append(header, children);
+    
+    // Broad subjects start expanded, deeper branches collapsed
+    setSubjectBranchExpanded(branch, subjectExpansion.get(node.path) ?? depth === 0);
+    
+    return branch;
+}
+
+/**
+ * Creates a subject checkbox whose value is the category path it selects
+ * @param {string} path - Category path
+ * @param {string} text - Label text
+ * @param {number} count - Questions in the category
+ * @param {number} due - Questions in the category due for review today
+ * @param {Map} previousSelection - Checked state of previously listed subjects
+ * @returns {HTMLLabelElement} Label containing the checkbox
+ */
+function createSubjectOption(path, text, count, due, previousSelection) {
+    const label = document.createElement('label');
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = path;
+    checkbox.checked = previousSelection.get(path) ?? true;
+    
+    label.append(checkbox, ` ${text}`, ...createSubjectCount(count, due));
+    return label;
+}
+
+/**
+ * Creates the question count badge for a subject, after a due badge if any are due
+ * @param {number} count - Number of questions
+ * @param {number} [due] - Questions due for review today
+ * @returns {HTMLSpanElement[]} Badge elements
+ */
+function createSubjectCount(count, due = 0) {
+    const badge = document.createElement('span');
+    badge.className = 'subject-count';
+    badge.textContent = count;
+    badge.setAttribute('aria-label', `${count} ${count === 1 ? 'question' : 'questions'}`);
+    if (due === 0) {
+        return [badge];
+    }
+    
+    const dueBadge = document.createElement('span');
+    dueBadge.className = 'subject-due';
+    dueBadge.textContent = `${due} due today`;
+    return [dueBadge, badge];
+}
+
+/**
+ * Expands or collapses a subject branch
+ * @param {HTMLElement} branch - Branch element
+ * @param {boolean} expanded - Whether the branch should show its subjects
+ */
+function setSubjectBranchExpanded(branch, expanded) {
+    const expandButton = branch.querySelector(':scope > .section-header > .subject-expand');
+    const name = branch.querySelector(':scope > .section-header > .subject-name')?.textContent || '';
+    
+    branch.classList.toggle('collapsed', !expanded);
+    subjectExpansion.set(branch.dataset.path, expanded);
+    
+    if (expandButton) {
+        expandButton.textContent = expanded ? '▾' : '▸';
+        expandButton.setAttribute('aria-expanded', String(expanded));
+        expandButton.setAttribute('aria-label', `${expanded ? 'Collapse' : 'Expand'} ${name}`);
+    }
+}
+
+/**
+ * Toggles a subject branch between expanded and collapsed
+ * @param {HTMLElement} branch - Branch element
+ */
+export function toggleSubjectBranch(branch) {
+    setSubjectBranchExpanded(branch, branch.classList.contains('collapsed'));
+}
+
+/**
+ * Renders the bank management list on the setup screen
+ * Each row has an enable checkbox, question count, and rename/delete actions
+ * @param {Array} banks - Loaded banks with id, name, source, enabled flag and questions
+ */
+export function renderBankSelector(banks) {
+    const bankSelector = document.getElementById('bank-selector');
+    if (!bankSelector) return;
+    
+    bankSelector.innerHTML = '';
+    
+    banks.forEach(bank => {
+        const row = document.createElement('div');
+        row.className = 'bank-row';
+        
+        const label = document.createElement('label');
+        label.className = 'bank-option';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.dataset.bank = bank.id;
+        checkbox.checked = bank.enabled;
+        
+        const name = document.createElement('span');
+        name.className = 'bank-name';
+        name.textContent = bank.name;
+        
+        const source = document.createElement('span');
+        source.className = `bank-source ${bank.source}`;
+        source.textContent = bank.source === 'imported' ? 'Imported' : 'Bundled';
+        
+        const count = document.createElement('span');
+        count.className = 'bank-count';
+        count.textContent = bank.errors.length > 0
+            ? `${bank.questions.length} questions • ${bank.errors.length} errors`
+            : `${bank.questions.length} questions`;
+        
+        label.append(checkbox, name, source, count);
+        
+        const actions = document.createElement('div');
+        actions.className = 'bank-actions';
+        actions.appendChild(createBankActionButton('rename', 'Rename', bank));
+        actions.appendChild(createBankActionButton('export', 'Export', bank));
+        if (bank.source === 'imported') {
+            actions.appendChild(createBankActionButton('delete', 'Delete', bank));
+        }
+        
+        row.append(label, actions);
+        bankSelector.appendChild(row);
+    });
+}
+
+/**
+ * Creates a rename/export/delete button for a bank row
+ * @param {string} action - Action name read by the click handler
+ * @param {string} text - Button label
+ * @param {Object} bank - Bank the button acts on
+ * @returns {HTMLButtonElement} Button element
+ */
+function createBankActionButton(action, text, bank) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn-toggle';
+    button.dataset.bankAction = action;
+    button.dataset.bankId = bank.id;
+    button.textContent = text;
+    button.setAttribute('aria-label', `${text} ${bank.name}`);
+    return button;
+}
+
+/**
+ * Shows the bank loading bar at the given fraction
+ * @param {number} fraction - Progress from 0 to 1
+ * @param {string} label - Text shown under the bar
+ */
+export function updateLoadingProgress(fraction, label) {
+    const container = document.getElementById('bank-loading');
+    const fill = document.getElementById('bank-loading-fill');
+    const text = document.getElementById('bank-loading-text');
+    if (!container) return;
+    
+    const percent = Math.round(Math.max(0, Math.min(fraction, 1)) * 100);
+    container.classList.remove('hidden');
+    container.setAttribute('aria-valuenow', String(percent));
+    if (fill) {
+        fill.style.width = `${percent}%`;
+    }
+    if (text) {
+        text.textContent = label;
+    }
+}
+
+/**
+ * Hides the bank loading bar
+ */
+export function hideLoadingProgress() {
+    const container = document.getElementById('bank-loading');
+    if (container) {
+        container.classList.add('hidden');
+    }
+}
+
+/**
+ * Shows or hides the "skip duplicates" option with the number of duplicates found
+ * @param {number} count - Duplicate questions in the enabled banks
+ */
+export function updateDuplicateOption(count) {
+    const option = document.getElementById('duplicate-option');
+    const label = document.getElementById('duplicate-count');
+    if (!option) return;
+    
+    option.classList.toggle('hidden', count === 0);
+    if (label) {
+        label.textContent = `Skip ${count} duplicate ${count === 1 ? 'question' : 'questions'}`;
+    }
+}
+
+/**
+ * Shows how many questions are in the missed deck next to the setup screen's source option
+ * @param {number} count - Missed deck questions in the enabled banks
+ */
+export function updateMissedDeckSource(count) {
+    const label = document.getElementById('missed-deck-count');
+    if (label) {
+        label.textContent = `Missed deck (${count})`;
+    }
+}
+
+/**
+ * Lists the match templates from the bank manifest on the setup screen, hiding the match
+ * option when there are none
+ * @param {Array} templates - Templates as { file, name }
+ */
+export function renderMatchTemplates(templates) {
+    const container = document.getElementById('match-setup');
+    const select = document.getElementById('match-template');
+    if (!container || !select) return;
+    
+    select.innerHTML = '';
+    templates.forEach(template => {
+        const option = document.createElement('option');
+        option.value = template.file;
+        option.textContent = template.name;
+        select.appendChild(option);
+    });
+    container.classList.toggle('hidden', templates.length === 0);
+}
+
+/**
+ * Shows or hides the accepted answers export with the number of answers waiting
+ * @param {number} count - Answers marked as right that aren't in their banks yet
  */
-export function updateSubjectSelector(questions) {
-    const subjectGroups = document.querySelectorAll('.subject-group');
+export function updateAcceptedAnswersExport(count) {
+    const container = document.getElementById('accepted-answers-export');
+    const button = document.getElementById('export-accepted-answers');
+    if (!container) return;
     
-    subjectGroups.forEach(group => {
-        const checkboxes = group.querySelectorAll('input[type="checkbox"]');
-        checkboxes.forEach(checkbox => {
-            const subjectValue = checkbox.value;
-            const hasQuestions = questions.some(q => q.category === subjectValue);
+    container.classList.toggle('hidden', count === 0);
+    if (button) {
+        button.textContent = `Export ${count} accepted ${count === 1 ? 'answer' : 'answers'}`;
+    }
+}
+
+// Labels for each kind of parser issue, used for the filter buttons
+const ISSUE_TYPE_LABELS = {
+    'parse-error': 'Errors',
+    'duplicate': 'Duplicates',
+    'near-duplicate': 'Near-duplicates',
+    'duplicate-answer': 'Duplicate answers',
+    'answer-syntax': 'Answer syntax',
+    'unbalanced-quote': 'Unbalanced quotes',
+    'short-question': 'Short questions',
+    'level-casing': 'Level casing',
+    'author-casing': 'Author casing',
+    'id-collision': 'ID collisions'
+};
+
+// Issues currently shown in the error panel, and the issue types filtered out
+let displayedIssues = { errors: [], warnings: [] };
+const hiddenIssueTypes = new Set();
+
+/**
+ * Gets the filter type of a parser issue (errors don't carry a type)
+ * @param {Object} issue - Parser error or warning
+ * @returns {string} Issue type
+ */
+function getIssueType(issue) {
+    return issue.error ? 'parse-error' : (issue.type || 'warning');
+}
+
+/**
+ * Appends a file-grouped list of parser issues to a container
+ * @param {HTMLElement} container - Section element to fill
+ * @param {Array} issues - Errors or warnings with filename, line, reason and rawLine
+ * @param {string} itemClass - Class name for each issue element
+ */
+function appendIssuesByFile(container, issues, itemClass) {
+    // Group issues by file, keeping the order files were reported in
+    const issuesByFile = new Map();
+    issues.forEach(issue => {
+        if (!issuesByFile.has(issue.filename)) {
+            issuesByFile.set(issue.filename, []);
+        }
+        issuesByFile.get(issue.filename).push(issue);
+    });
+    
+    issuesByFile.forEach((fileIssues, filename) => {
+        const fileHeader = document.createElement('h5');
+        fileHeader.className = 'error-file';
+        fileHeader.textContent = `${filename} (${fileIssues.length})`;
+        container.appendChild(fileHeader);
+        
+        // Add each issue
+        fileIssues.forEach(issue => {
+            const issueItem = document.createElement('div');
+            issueItem.className = itemClass;
             
-            // Debug logging
-            console.log('Checking subject:', subjectValue, 'hasQuestions:', hasQuestions);
-            console.log('Available categories:', questions.map(q => q.category));
+            const location = document.createElement('strong');
+            location.textContent = issue.line ? `${issue.filename}:${issue.line}` : issue.filename;
+            issueItem.append(location, ` — ${issue.reason}`);
             
-            checkbox.disabled = !hasQuestions;
-            if (!hasQuestions) {
-                checkbox.checked = false;
+            if (issue.rawLine) {
+                const rawLine = document.createElement('small');
+                rawLine.textContent = `Raw line: ${issue.rawLine}`;
+                issueItem.append(document.createElement('br'), rawLine);
             }
+            
+            container.appendChild(issueItem);
         });
     });
 }
 
 /**
- * Shows parser errors in the error panel
- * @param {Array} errors - Array of parser error objects
+ * Creates one section of the error panel (errors or warnings)
+ * @param {string} title - Section heading
+ * @param {Array} issues - All issues of this severity
+ * @param {string} itemClass - Class name for each issue element
+ * @returns {HTMLElement} Section element
  */
-export function showParserErrors(errors) {
-    const errorPanel = document.getElementById('error-panel');
+function createIssueSection(title, issues, itemClass) {
+    const section = document.createElement('section');
+    section.className = 'issue-section';
+    
+    const visibleIssues = issues.filter(issue => !hiddenIssueTypes.has(getIssueType(issue)));
+    
+    const heading = document.createElement('h4');
+    heading.textContent = visibleIssues.length === issues.length
+        ? `${title} (${issues.length})`
+        : `${title} (${visibleIssues.length} of ${issues.length} shown)`;
+    section.appendChild(heading);
+    
+    appendIssuesByFile(section, visibleIssues, itemClass);
+    return section;
+}
+
+/**
+ * Renders the filter buttons and issue sections from displayedIssues
+ */
+function renderParserIssues() {
+    const errorFilters = document.getElementById('error-filters');
     const errorList = document.getElementById('error-list');
+    if (!errorList) return;
     
-    if (errorPanel && errorList && errors.length > 0) {
-        // Clear previous errors
-        errorList.innerHTML = '';
-        
-        // Add error count
-        const errorCount = document.createElement('p');
-        errorCount.textContent = `Found ${errors.length} parsing errors:`;
-        errorList.appendChild(errorCount);
+    const { errors, warnings } = displayedIssues;
+    
+    // One toggle per issue type present, with its count
+    if (errorFilters) {
+        const typeCounts = new Map();
+        [...errors, ...warnings].forEach(issue => {
+            const type = getIssueType(issue);
+            typeCounts.set(type, (typeCounts.get(type) || 0) + 1);
+        });
         
-        // Add each error
-        errors.forEach(error => {
-            const errorItem = document.createElement('div');
-            errorItem.className = 'error-item';
-            errorItem.innerHTML = `
-                <strong>${error.filename}:${error.line}</strong> — ${error.reason}
-                <br><small>Raw line: ${error.rawLine}</small>
-            `;
-            errorList.appendChild(errorItem);
+        errorFilters.innerHTML = '';
+        typeCounts.forEach((count, type) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = type === 'parse-error' ? 'error-filter error' : 'error-filter';
+            button.dataset.issueType = type;
+            button.setAttribute('aria-pressed', String(!hiddenIssueTypes.has(type)));
+            button.textContent = `${ISSUE_TYPE_LABELS[type] || type} (${count})`;
+            errorFilters.appendChild(button);
         });
+    }
+    
+    errorList.innerHTML = '';
+    
+    // Add error and warning counts
+    const errorCount = document.createElement('p');
+    errorCount.textContent = `Found ${errors.length} parsing errors and ${warnings.length} warnings. Questions with warnings are still loaded.`;
+    errorList.appendChild(errorCount);
+    
+    if (errors.length > 0) {
+        errorList.appendChild(createIssueSection('Errors', errors, 'error-item'));
+    }
+    if (warnings.length > 0) {
+        errorList.appendChild(createIssueSection('Warnings', warnings, 'error-item warning-item'));
+    }
+}
+
+/**
+ * Shows parser errors and warnings in the error panel, in separate sections grouped by source file
+ * @param {Array} errors - Array of parser error objects
+ * @param {Array} [warnings] - Array of parser warning objects (e.g. duplicates)
+ */
+export function showParserErrors(errors, warnings = []) {
+    const errorPanel = document.getElementById('error-panel');
+    
+    if (errorPanel && (errors.length > 0 || warnings.length > 0)) {
+        displayedIssues = { errors, warnings };
+        renderParserIssues();
         
         // Show error panel
         errorPanel.classList.remove('hidden');
     }
 }
 
+/**
+ * Shows or hides one type of issue in the error panel
+ * @param {string} type - Issue type from a filter button
+ */
+export function toggleParserIssueType(type) {
+    if (hiddenIssueTypes.has(type)) {
+        hiddenIssueTypes.delete(type);
+    } else {
+        hiddenIssueTypes.add(type);
+    }
+    renderParserIssues();
+}
+
+/**
+ * Builds a structured report of the issues in the error panel (for "Copy Details")
+ * Filters only affect the panel; the report always includes every issue
+ * @returns {Object} Report with summary counts, errors and warnings
+ */
+export function getParserIssueReport() {
+    const toEntry = (issue) => ({
+        file: issue.filename,
+        line: issue.line,
+        type: getIssueType(issue),
+        reason: issue.reason,
+        ...(issue.pairedLine ? { pairedLine: issue.pairedLine } : {}),
+        rawLine: issue.rawLine
+    });
+    
+    const byType = {};
+    [...displayedIssues.errors, ...displayedIssues.warnings].forEach(issue => {
+        const type = getIssueType(issue);
+        byType[type] = (byType[type] || 0) + 1;
+    });
+    
+    return {
+        generatedAt: new Date().toISOString(),
+        summary: {
+            errors: displayedIssues.errors.length,
+            warnings: displayedIssues.warnings.length,
+            byType
+        },
+        errors: displayedIssues.errors.map(toEntry),
+        warnings: displayedIssues.warnings.map(toEntry)
+    };
+}
+
 /**
  * Hides the parser error panel
  */
@@ -598,14 +1381,19 @@ export function setStartButtonState(disabled) {
  * @param {Object} sessionData - Session results data
  */
 export function showSummary(sessionData) {
-    const { questions, userAnswers, timeAllocated, correct, incorrect, total } = sessionData;
+    const { questions, userAnswers, timeAllocated, correct, incorrect, skipped = 0, total } = sessionData;
     
     // Update overall results
     const overallScore = document.getElementById('overall-score');
     const overallPercentage = document.getElementById('overall-percentage');
     const overallProgressFill = document.getElementById('overall-progress-fill');
+    const overallSkipped = document.getElementById('overall-skipped');
     
     if (overallScore) overallScore.textContent = `${correct}/${total}`;
+    if (overallSkipped) {
+        overallSkipped.textContent = `${skipped} skipped`;
+        overallSkipped.classList.toggle('hidden', skipped === 0);
+    }
     if (overallPercentage) {
         const percentage = total > 0 ? Math.round((correct / total) * 100) : 0;
         overallPercentage.textContent = `(${percentage}%)`;
@@ -621,6 +1409,9 @@ export function showSummary(sessionData) {
     // Update missed questions table
     updateMissedQuestionsTable(questions, userAnswers);
     
+    // Buzz positions and points, for buzzer mode sessions
+    updateBuzzSummary(questions, userAnswers);
+    
     // Update summary filter tags
     updateFilterTags();
     
@@ -637,18 +1428,19 @@ function updateSubjectBreakdown(questions, userAnswers) {
     const subjectAccuracy = document.getElementById('subject-accuracy');
     if (!subjectAccuracy) return;
     
-    // Group questions by subject
+    // Group answered questions by subject; skipped questions don't count
     const subjectStats = {};
     questions.forEach((question, index) => {
         const subject = question.subjectSpecific;
         const userAnswer = userAnswers[index];
+        if (!userAnswer) return;
         
         if (!subjectStats[subject]) {
             subjectStats[subject] = { correct: 0, total: 0 };
         }
         
         subjectStats[subject].total++;
-        if (userAnswer && userAnswer.correctness === 'Correct') {
+        if (isAcceptedResult(userAnswer.correctness)) {
             subjectStats[subject].correct++;
         }
     });
@@ -668,6 +1460,60 @@ function updateSubjectBreakdown(questions, userAnswers) {
     });
 }
 
+/**
+ * Lists where the student buzzed on each answered question, with the session's buzz points
+ * Hidden for sessions not played in buzzer mode
+ * @param {Array} questions - Questions array
+ * @param {Array} userAnswers - User answers array
+ */
+function updateBuzzSummary(questions, userAnswers) {
+    const buzzSummary = document.getElementById('buzz-summary');
+    const buzzTable = document.getElementById('buzz-table');
+    const buzzTotals = document.getElementById('buzz-totals');
+    if (!buzzSummary || !buzzTable) return;
+    
+    const buzzed = questions
+        .map((question, index) => ({ question, answer: userAnswers[index] }))
+        .filter(entry => entry.answer?.buzz);
+    buzzSummary.classList.toggle('hidden', buzzed.length === 0);
+    if (buzzed.length === 0) return;
+    
+    const points = buzzed.reduce((sum, entry) => sum + scoreBuzz(entry.answer), 0);
+    const early = buzzed.filter(entry => isEarlyBuzz(entry.answer.buzz));
+    const earlyCorrect = early.filter(entry => isAcceptedResult(entry.answer.correctness)).length;
+    if (buzzTotals) {
+        buzzTotals.textContent = `${formatPoints(points)} • ${earlyCorrect} early correct • ${early.length - earlyCorrect} early wrong`;
+    }
+    
+    const table = document.createElement('table');
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th>Question</th>
+                <th>Buzzed at</th>
+                <th>Result</th>
+                <th>Points</th>
+            </tr>
+        </thead>
+        <tbody></tbody>
+    `;
+    
+    const tbody = table.querySelector('tbody');
+    buzzed.forEach(({ question, answer }) => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${question.question}</td>
+            <td>${formatBuzzPosition(answer)}</td>
+            <td>${RESULT_LABELS[answer.correctness] || answer.correctness}</td>
+            <td>${scoreBuzz(answer)}</td>
+        `;
+        tbody.appendChild(row);
+    });
+    
+    buzzTable.innerHTML = '';
+    buzzTable.appendChild(table);
+}
+
 /**
  * Updates the missed questions table
  * @param {Array} questions - Questions array
@@ -677,12 +1523,14 @@ function updateMissedQuestionsTable(questions, userAnswers) {
     const missedTable = document.getElementById('missed-table');
     if (!missedTable) return;
     
-    // Filter for missed questions
+    // Filter for missed questions; skipped questions have no answer and aren't missed
     const missedQuestions = questions.filter((question, index) => {
         const userAnswer = userAnswers[index];
-        return !userAnswer || userAnswer.correctness !== 'Correct';
+        return userAnswer && !isAcceptedResult(userAnswer.correctness);
     });
     
+    document.getElementById('drill-missed')?.classList.toggle('hidden', missedQuestions.length === 0);
+    
     if (missedQuestions.length === 0) {
         missedTable.innerHTML = '<p>No questions were missed!</p>';
         return;
@@ -713,13 +1561,25 @@ function updateMissedQuestionsTable(questions, userAnswers) {
             resultDisplay = '<span style="color: #ffc107;">⏰ Timeout</span>';
         } else if (resultDisplay === 'Incorrect') {
             resultDisplay = '<span style="color: #dc3545;">❌ Incorrect</span>';
+        } else if (resultDisplay === 'Partial') {
+            resultDisplay = `<span style="color: #fd7e14;">◐ Partial</span><div class="question-meta">${formatPartCount(userAnswer.parts)}</div>`;
+        }
+        if (userAnswer.answer && OVERRIDABLE_RESULTS.includes(userAnswer.correctness)) {
+            resultDisplay += `<div><button type="button" class="btn-toggle" data-accept-answer="${questions.indexOf(question)}">I was right</button></div>`;
         }
         
+        const sourceLabel = formatQuestionSource(question);
+        const notes = getQuestionNotes(question);
+        const questionDetails = [
+            sourceLabel && `<div class="question-meta">${sourceLabel}</div>`,
+            ...notes.map(note => `<div class="question-meta"><strong>${note.label}:</strong> ${note.value}</div>`)
+        ].filter(Boolean).join('');
+        
         row.innerHTML = `
             <td>${question.subjectSpecific}</td>
-            <td>${question.question}</td>
-            <td>${question.answers[0]}</td>
-            <td>${userAnswer.answer || '—'}</td>
+            <td>${question.question}${questionDetails}</td>
+            <td>${parseAnswerLine(question.answers).display}</td>
+            <td>${[...(userAnswer.prompts || []).map(answer => `${answer} (prompted)`), userAnswer.answer].filter(Boolean).join(', ') || '—'}</td>
             <td>${resultDisplay}</td>
         `;
         tbody.appendChild(row);
@@ -729,6 +1589,159 @@ function updateMissedQuestionsTable(questions, userAnswers) {
     missedTable.appendChild(table);
 }
 
+/**
+ * Describes a match round's settings for the intermission screen
+ * @param {Object} round - Round from parseMatchTemplate
+ * @returns {string} e.g. "6 questions • All levels • 15s each • 10 points right, 0 wrong"
+ */
+function describeMatchRound(round) {
+    const details = [
+        `${round.picked.length} questions`,
+        round.level || 'All levels',
+        `${round.time}s each`
+    ];
+    if (round.buzzer) {
+        details.push(`buzzer: early ${round.points.earlyCorrect} right, ${round.points.earlyWrong} wrong`);
+    }
+    details.push(`${round.points.correct} points right, ${round.points.wrong} wrong`);
+    return details.join(' • ');
+}
+
+/**
+ * Describes how a match round falls short of its template
+ * @param {Object} round - Round from appState.match, with its picks and subject shortfalls
+ * @returns {string} e.g. "Science Round: 4 of 6 questions; not enough Science>Physics (1 of 3)",
+ *   or an empty string for a full round
+ */
+function describeRoundShortfall(round) {
+    const notes = [];
+    if (round.picked.length < round.questions) {
+        notes.push(`${round.picked.length} of ${round.questions} questions`);
+    }
+    if (round.shortfalls.length > 0) {
+        const subjects = round.shortfalls.map(subject => `${subject.path} (${subject.found} of ${subject.wanted})`).join(', ');
+        notes.push(round.picked.length < round.questions
+            ? `not enough ${subjects}`
+            : `not enough ${subjects}, filled from other subjects`);
+    }
+    return notes.length > 0 ? `${round.name}: ${notes.join('; ')}` : '';
+}
+
+/**
+ * Lists the match rounds the checked banks couldn't fill the way the template asks
+ * @param {Object} match - Match from appState.match
+ */
+function renderMatchWarnings(match) {
+    const container = document.getElementById('match-warnings');
+    const list = container?.querySelector('ul');
+    if (!list) return;
+    
+    const warnings = [
+        ...match.rounds.map(describeRoundShortfall).filter(Boolean),
+        ...match.droppedRounds.map(name => `${name}: left out, no questions fit it`)
+    ];
+    
+    list.innerHTML = '';
+    warnings.forEach(warning => {
+        const item = document.createElement('li');
+        item.textContent = warning;
+        list.appendChild(item);
+    });
+    container.classList.toggle('hidden', warnings.length === 0);
+}
+
+/**
+ * Fills the match screen's table with the rounds played so far and the running total
+ * @param {Object} match - Match from appState.match
+ */
+function renderMatchResults(match) {
+    const resultsElement = document.getElementById('match-results');
+    if (!resultsElement) return;
+    
+    const table = document.createElement('table');
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th>Round</th>
+                <th>Correct</th>
+                <th>Skipped</th>
+                <th>Points</th>
+            </tr>
+        </thead>
+        <tbody></tbody>
+        <tfoot></tfoot>
+    `;
+    
+    const tbody = table.querySelector('tbody');
+    match.results.forEach(result => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${result.name}</td>
+            <td>${result.correct}/${result.asked}</td>
+            <td>${result.asked - result.answered}</td>
+            <td>${result.points}</td>
+        `;
+        tbody.appendChild(row);
+    });
+    
+    const total = match.results.reduce((sum, result) => sum + result.points, 0);
+    const footer = document.createElement('tr');
+    footer.innerHTML = `<th colspan="3">Total</th><th>${total}</th>`;
+    table.querySelector('tfoot').appendChild(footer);
+    
+    resultsElement.innerHTML = '';
+    resultsElement.appendChild(table);
+}
+
+/**
+ * Shows the intermission between match rounds: the scores so far and what the next round is
+ * @param {Object} match - Match from appState.match, with current pointing at the next round
+ */
+export function showMatchIntermission(match) {
+    const title = document.getElementById('match-title');
+    const nextRound = document.getElementById('match-next-round');
+    const round = match.rounds[match.current];
+    
+    if (title) title.textContent = `${match.name}: Intermission`;
+    if (nextRound) {
+        nextRound.textContent = `Next: Round ${match.current + 1} of ${match.rounds.length}, ${round.name} (${describeMatchRound(round)})`;
+        nextRound.classList.remove('hidden');
+    }
+    document.getElementById('next-round')?.classList.remove('hidden');
+    document.getElementById('end-match')?.classList.remove('hidden');
+    document.getElementById('leave-match')?.classList.add('hidden');
+    
+    renderMatchResults(match);
+    renderMatchWarnings(match);
+    showScreen('match-screen');
+    announceStatus(`Round ${match.current} complete`);
+}
+
+/**
+ * Shows the final scoreboard for a match
+ * @param {Object} match - Finished match
+ */
+export function showMatchScoreboard(match) {
+    const title = document.getElementById('match-title');
+    const played = match.results.length;
+    
+    if (title) {
+        title.textContent = played < match.rounds.length
+            ? `${match.name}: Final Scoreboard (${played} of ${match.rounds.length} rounds)`
+            : `${match.name}: Final Scoreboard`;
+    }
+    document.getElementById('match-next-round')?.classList.add('hidden');
+    document.getElementById('next-round')?.classList.add('hidden');
+    document.getElementById('end-match')?.classList.add('hidden');
+    document.getElementById('leave-match')?.classList.remove('hidden');
+    
+    renderMatchResults(match);
+    renderMatchWarnings(match);
+    showScreen('match-screen');
+    const total = match.results.reduce((sum, result) => sum + result.points, 0);
+    announceStatus(`Match over: ${total} points`);
+}
+
 /**
  * Announces status changes for screen readers
  * @param {string} message - Message to announce